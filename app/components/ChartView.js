@@ -0,0 +1,298 @@
+"use client";
+
+import React, { useState, useMemo, useRef } from 'react';
+import { ChartColumn, X, Download, AlertCircle } from 'lucide-react';
+import { CHART_TYPES, CHART_AGGREGATES, buildChart, niceTicks, formatTick, svgMarkup, svgToPng } from '../lib/charts';
+import { downloadBlob } from '../lib/download';
+
+// Chart geometry in SVG units; the SVG scales to the dialog width
+const WIDTH = 800;
+const HEIGHT = 440;
+const MARGIN = { top: 16, right: 24, bottom: 84, left: 72 };
+const PLOT_W = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_H = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+// Presentation attributes are inline (not CSS classes) so downloaded files look the same
+const COLOR = '#6366f1';
+const TEXT = { fontFamily: 'ui-sans-serif, system-ui, sans-serif', fontSize: 11, fill: '#64748b' };
+const AXIS = '#cbd5e1';
+const GRID = '#f1f5f9';
+
+const linear = (d0, d1, r0, r1) => (v) => (d1 === d0 ? (r0 + r1) / 2 : r0 + ((v - d0) / (d1 - d0)) * (r1 - r0));
+
+const shorten = (label, max = 16) => (label.length > max ? `${label.slice(0, max - 1)}…` : label);
+
+// Y axis with grid lines for a value domain; returns the scale and the axis elements
+const valueAxis = (values, label) => {
+  let lo = 0;
+  let hi = 0;
+  for (const v of values) {
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }
+  if (lo === hi) hi = lo + 1;
+  const ticks = niceTicks(lo, hi, 5);
+  lo = Math.min(lo, ticks[0]);
+  hi = Math.max(hi, ticks[ticks.length - 1]);
+  const y = linear(lo, hi, MARGIN.top + PLOT_H, MARGIN.top);
+  const elements = (
+    <g>
+      {ticks.map(t => (
+        <g key={t}>
+          <line x1={MARGIN.left} x2={MARGIN.left + PLOT_W} y1={y(t)} y2={y(t)} stroke={GRID} />
+          <text x={MARGIN.left - 8} y={y(t)} textAnchor="end" dominantBaseline="middle" {...TEXT}>{formatTick(t)}</text>
+        </g>
+      ))}
+      <line x1={MARGIN.left} x2={MARGIN.left} y1={MARGIN.top} y2={MARGIN.top + PLOT_H} stroke={AXIS} />
+      <text transform={`translate(16 ${MARGIN.top + PLOT_H / 2}) rotate(-90)`} textAnchor="middle" {...TEXT} fontWeight="600">{label}</text>
+    </g>
+  );
+  return { y, elements };
+};
+
+// Numeric (or date) X axis along the bottom
+const numberAxis = (lo, hi, isDate) => {
+  const x = linear(lo, hi, MARGIN.left, MARGIN.left + PLOT_W);
+  const ticks = niceTicks(lo, hi, 6).filter(t => t >= lo && t <= hi);
+  const elements = (
+    <g>
+      {ticks.map(t => (
+        <text key={t} x={x(t)} y={MARGIN.top + PLOT_H + 18} textAnchor="middle" {...TEXT}>{formatTick(t, isDate)}</text>
+      ))}
+    </g>
+  );
+  return { x, elements };
+};
+
+// The chart body for a buildChart() result
+const renderPlot = (chart, xLabel, yLabel) => {
+  const baseline = <line x1={MARGIN.left} x2={MARGIN.left + PLOT_W} y1={MARGIN.top + PLOT_H} y2={MARGIN.top + PLOT_H} stroke={AXIS} />;
+  const xTitle = <text x={MARGIN.left + PLOT_W / 2} y={HEIGHT - 8} textAnchor="middle" {...TEXT} fontWeight="600">{xLabel}</text>;
+
+  if (chart.kind === 'categories') {
+    const { y, elements } = valueAxis(chart.items.map(i => i.value), yLabel);
+    const band = PLOT_W / chart.items.length;
+    const center = (i) => MARGIN.left + band * (i + 0.5);
+    const rotate = chart.items.length > 8;
+    const labelEvery = Math.ceil(chart.items.length / 50);
+    return (
+      <>
+        {elements}
+        {chart.line ? (
+          <>
+            <polyline points={chart.items.map((item, i) => `${center(i)},${y(item.value)}`).join(' ')} fill="none" stroke={COLOR} strokeWidth={2} />
+            {chart.items.map((item, i) => (
+              <circle key={i} cx={center(i)} cy={y(item.value)} r={3} fill={COLOR}><title>{`${item.label}: ${formatTick(item.value)}`}</title></circle>
+            ))}
+          </>
+        ) : chart.items.map((item, i) => (
+          <rect key={i} x={MARGIN.left + band * i + band * 0.1} width={band * 0.8} y={Math.min(y(item.value), y(0))} height={Math.abs(y(0) - y(item.value))} fill={COLOR}>
+            <title>{`${item.label}: ${formatTick(item.value)}`}</title>
+          </rect>
+        ))}
+        {chart.items.map((item, i) => i % labelEvery === 0 && (
+          <text
+            key={i}
+            transform={rotate ? `translate(${center(i)} ${MARGIN.top + PLOT_H + 12}) rotate(-40)` : undefined}
+            x={rotate ? undefined : center(i)}
+            y={rotate ? undefined : MARGIN.top + PLOT_H + 18}
+            textAnchor={rotate ? 'end' : 'middle'}
+            {...TEXT}
+          >
+            {shorten(item.label, rotate ? 14 : Math.max(4, Math.floor(band / 7)))}
+          </text>
+        ))}
+        {baseline}
+        {xTitle}
+      </>
+    );
+  }
+
+  if (chart.kind === 'bins') {
+    const { bins } = chart;
+    const { y, elements } = valueAxis(bins.map(b => b.count), 'Rows');
+    const lo = bins[0].x0;
+    const hi = bins[bins.length - 1].x1;
+    const { x, elements: xTicks } = numberAxis(lo, hi === lo ? lo + 1 : hi, chart.xDate);
+    const binWidth = bins.length === 1 ? PLOT_W : x(bins[0].x1) - x(bins[0].x0);
+    return (
+      <>
+        {elements}
+        {bins.map((bin, i) => (
+          <rect key={i} x={(bins.length === 1 ? MARGIN.left : x(bin.x0)) + 0.5} width={Math.max(1, binWidth - 1)} y={y(bin.count)} height={y(0) - y(bin.count)} fill={COLOR}>
+            <title>{`${formatTick(bin.x0, chart.xDate)} – ${formatTick(bin.x1, chart.xDate)}: ${bin.count.toLocaleString()}`}</title>
+          </rect>
+        ))}
+        {xTicks}
+        {baseline}
+        {xTitle}
+      </>
+    );
+  }
+
+  // Points: line or scatter over a numeric or date X axis
+  const { points } = chart;
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const p of points) {
+    if (p.x < lo) lo = p.x;
+    if (p.x > hi) hi = p.x;
+  }
+  const { y, elements } = valueAxis(points.map(p => p.y), yLabel);
+  const { x, elements: xTicks } = numberAxis(lo, hi === lo ? lo + 1 : hi, chart.xDate);
+  return (
+    <>
+      {elements}
+      {chart.line
+        ? <polyline points={points.map(p => `${x(p.x)},${y(p.y)}`).join(' ')} fill="none" stroke={COLOR} strokeWidth={2} />
+        : points.map((p, i) => <circle key={i} cx={x(p.x)} cy={y(p.y)} r={3} fill={COLOR} fillOpacity={0.5} />)}
+      {xTicks}
+      {baseline}
+      {xTitle}
+    </>
+  );
+};
+
+// Chart builder over the rows the grid shows (filters and search applied). Charts are plain
+// SVG drawn here and can be downloaded as SVG or PNG.
+export default function ChartView({ columns, rows, schema, fileName, onClose }) {
+  const [spec, setSpec] = useState(() => ({ type: 'bar', x: columns[0] || '', y: '', agg: 'count', bins: 20 }));
+  const [downloadError, setDownloadError] = useState(null);
+  const svgRef = useRef(null);
+
+  const chart = useMemo(() => buildChart(rows, spec, schema), [rows, spec, schema]);
+
+  const update = (changes) => setSpec(prev => ({ ...prev, ...changes }));
+  const usesAggregate = spec.type === 'bar' || spec.type === 'line';
+  const usesY = spec.type === 'scatter' || (usesAggregate && spec.agg !== 'count');
+  const yLabel = spec.type === 'scatter' ? spec.y : spec.agg === 'count' ? 'Rows' : `${CHART_AGGREGATES[spec.agg]} of ${spec.y}`;
+  const baseName = `${fileName.replace(/\.[^/.]+$/, "")}_${spec.type}_chart`;
+
+  const downloadSvg = () => {
+    if (!svgRef.current) return;
+    downloadBlob(new Blob([svgMarkup(svgRef.current)], { type: 'image/svg+xml' }), `${baseName}.svg`);
+  };
+
+  const downloadPng = async () => {
+    if (!svgRef.current) return;
+    setDownloadError(null);
+    try {
+      downloadBlob(await svgToPng(svgRef.current), `${baseName}.png`);
+    } catch (err) {
+      setDownloadError(err.message);
+    }
+  };
+
+  const selectClass = "w-full px-2 py-1.5 border border-slate-300 rounded-md bg-white text-sm focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer";
+
+  return (
+    <div className="absolute inset-0 z-50 bg-white/80 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl border border-slate-200 max-w-5xl w-full max-h-full overflow-auto p-6 animate-in fade-in zoom-in-95 duration-200">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-3 text-indigo-600">
+            <ChartColumn size={28} />
+            <h3 className="text-xl font-bold text-slate-900">Chart</h3>
+            <span className="text-sm text-slate-500">{rows.length.toLocaleString()} filtered rows</span>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 rounded hover:bg-slate-100 text-slate-500 transition-colors"
+            title="Close"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex flex-col md:flex-row gap-6">
+          {/* CONTROLS */}
+          <div className="md:w-56 shrink-0 space-y-3">
+            <div>
+              <label htmlFor="chart-type" className="block text-sm font-medium text-slate-700 mb-1">Chart Type</label>
+              <select id="chart-type" value={spec.type} onChange={(e) => update({ type: e.target.value })} className={selectClass}>
+                {Object.entries(CHART_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="chart-x" className="block text-sm font-medium text-slate-700 mb-1">{spec.type === 'histogram' ? 'Column' : 'X Axis'}</label>
+              <select id="chart-x" value={spec.x} onChange={(e) => update({ x: e.target.value })} className={selectClass}>
+                {columns.map(col => <option key={col} value={col}>{col}</option>)}
+              </select>
+            </div>
+            {usesAggregate && (
+              <div>
+                <label htmlFor="chart-agg" className="block text-sm font-medium text-slate-700 mb-1">Value</label>
+                <select
+                  id="chart-agg"
+                  value={spec.agg}
+                  onChange={(e) => update({ agg: e.target.value, y: spec.y || columns.find(c => c !== spec.x) || columns[0] })}
+                  className={selectClass}
+                >
+                  {Object.entries(CHART_AGGREGATES).map(([agg, label]) => <option key={agg} value={agg}>{label}</option>)}
+                </select>
+              </div>
+            )}
+            {usesY && (
+              <div>
+                <label htmlFor="chart-y" className="block text-sm font-medium text-slate-700 mb-1">{spec.type === 'scatter' ? 'Y Axis' : 'Of Column'}</label>
+                <select id="chart-y" value={spec.y} onChange={(e) => update({ y: e.target.value })} className={selectClass}>
+                  <option value="" disabled>Choose a column...</option>
+                  {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                </select>
+              </div>
+            )}
+            {spec.type === 'histogram' && (
+              <div>
+                <label htmlFor="chart-bins" className="block text-sm font-medium text-slate-700 mb-1">Bins: {spec.bins}</label>
+                <input id="chart-bins" type="range" min={5} max={100} step={5} value={spec.bins} onChange={(e) => update({ bins: Number(e.target.value) })} className="w-full accent-indigo-600" />
+              </div>
+            )}
+            {chart.dropped > 0 && (
+              <p className="text-xs text-amber-700">
+                {spec.type === 'bar'
+                  ? `Showing the largest values; ${chart.dropped.toLocaleString()} more categories left out.`
+                  : `Showing an even sample; ${chart.dropped.toLocaleString()} points left out.`}
+              </p>
+            )}
+          </div>
+
+          {/* CHART */}
+          <div className="flex-1 min-w-0">
+            {chart.error ? (
+              <div className="h-full min-h-[16rem] flex items-center justify-center gap-2 text-sm text-slate-500 border border-dashed border-slate-200 rounded-lg">
+                <AlertCircle size={16} />
+                {chart.error}
+              </div>
+            ) : (
+              <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={`${CHART_TYPES[spec.type]} chart of ${spec.x}`}>
+                {renderPlot(chart, spec.x, yLabel)}
+              </svg>
+            )}
+          </div>
+        </div>
+
+        <div className="flex items-center justify-end gap-3 mt-4">
+          {downloadError && <p className="mr-auto text-xs text-red-600">{downloadError}</p>}
+          <button
+            type="button"
+            onClick={downloadSvg}
+            disabled={Boolean(chart.error)}
+            className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-300 text-slate-700 text-sm font-medium rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50"
+          >
+            <Download size={16} />
+            SVG
+          </button>
+          <button
+            type="button"
+            onClick={downloadPng}
+            disabled={Boolean(chart.error)}
+            className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-lg hover:bg-indigo-700 transition-colors shadow-sm disabled:opacity-50"
+          >
+            <Download size={16} />
+            PNG
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
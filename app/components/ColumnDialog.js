@@ -0,0 +1,118 @@
+"use client";
+
+import React, { useState, useMemo } from 'react';
+import { Columns3, Sigma } from 'lucide-react';
+import { compileExpression, FUNCTIONS } from '../lib/expressions';
+
+const TITLES = {
+  rename: 'Rename Column',
+  insert: 'Insert Column',
+  computed: 'Computed Column'
+};
+
+// Modal for naming a column and, for computed columns, writing its expression.
+// mode: 'rename' | 'insert' | 'computed'
+export default function ColumnDialog({ mode, initialName, initialExpression, takenNames, sourceColumns, sampleRows, onSubmit, onClose }) {
+  const [name, setName] = useState(initialName || '');
+  const [expression, setExpression] = useState(initialExpression || '');
+
+  const nameError = useMemo(() => {
+    const trimmed = name.trim();
+    if (!trimmed) return "Enter a column name.";
+    if (trimmed !== initialName && takenNames.includes(trimmed)) return `A column named "${trimmed}" already exists.`;
+    return null;
+  }, [name, initialName, takenNames]);
+
+  // Compile as the user types so errors and a preview show immediately
+  const compiled = useMemo(() => {
+    if (mode !== 'computed' || !expression.trim()) return null;
+    try {
+      return { expr: compileExpression(expression, sourceColumns) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [mode, expression, sourceColumns]);
+
+  const canSubmit = !nameError && (mode !== 'computed' || (compiled && compiled.expr));
+
+  const submit = () => {
+    if (canSubmit) onSubmit({ name: name.trim(), expression: mode === 'computed' ? expression.trim() : null });
+  };
+
+  return (
+    <div className="absolute inset-0 z-50 bg-white/80 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl border border-slate-200 max-w-lg w-full p-6 animate-in fade-in zoom-in-95 duration-200">
+        <div className="flex items-center gap-3 mb-4 text-indigo-600">
+          {mode === 'computed' ? <Sigma size={28} /> : <Columns3 size={28} />}
+          <h3 className="text-xl font-bold text-slate-900">{TITLES[mode]}</h3>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="column-name" className="block text-sm font-medium text-slate-700 mb-1">Column Name</label>
+            <input
+              id="column-name"
+              type="text"
+              autoFocus
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && mode !== 'computed' && submit()}
+              className="w-full px-3 py-2 border border-slate-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+            />
+            {nameError && name !== '' && <p className="mt-1 text-xs text-red-600">{nameError}</p>}
+          </div>
+
+          {mode === 'computed' && (
+            <div>
+              <label htmlFor="column-expression" className="block text-sm font-medium text-slate-700 mb-1">Expression</label>
+              <p className="text-xs text-slate-500 mb-2">
+                e.g. <code className="font-mono text-indigo-600">price * qty</code>, <code className="font-mono text-indigo-600">upper(name)</code>, <code className="font-mono text-indigo-600">concat(first, &apos; &apos;, last)</code>. Use [brackets] for names with spaces.
+              </p>
+              <textarea
+                id="column-expression"
+                value={expression}
+                onChange={(e) => setExpression(e.target.value)}
+                spellCheck={false}
+                rows={3}
+                className="w-full px-3 py-2 font-mono text-sm border border-slate-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none resize-none"
+              />
+              <p className="mt-1 text-[11px] text-slate-400 leading-relaxed">
+                Functions: {Object.keys(FUNCTIONS).join(', ')}
+              </p>
+
+              {compiled && compiled.error && <p className="mt-2 text-xs text-red-600">{compiled.error}</p>}
+              {compiled && compiled.expr && sampleRows.length > 0 && (
+                <div className="mt-2 bg-slate-50 p-3 rounded-lg border border-slate-100">
+                  <p className="text-xs text-slate-500 font-medium uppercase mb-1">Preview</p>
+                  <ul className="space-y-0.5 text-sm font-mono text-slate-800">
+                    {sampleRows.map((row, i) => (
+                      <li key={i} className="truncate">{String(compiled.expr.evaluate(row))}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 bg-white border border-slate-300 text-slate-700 font-medium rounded-lg hover:bg-slate-50 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={submit}
+              disabled={!canSubmit}
+              className="flex-1 px-4 py-2 bg-indigo-600 text-white font-medium rounded-lg hover:bg-indigo-700 transition-colors shadow-sm disabled:opacity-50"
+            >
+              {mode === 'rename' ? 'Rename' : initialExpression ? 'Update' : 'Add Column'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+"use client";
+
+import React, { useState } from 'react';
+import { GitCompare, X, Upload, Download, AlertCircle } from 'lucide-react';
+import { CHANGE_TYPES, changesetRows, changesetReport } from '../lib/diff';
+import { loadPapaParse } from '../lib/loaders';
+import { downloadBlob } from '../lib/download';
+
+const selectClass = "w-full px-2 py-1.5 border border-slate-300 rounded-md bg-white text-sm focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer";
+
+const CHANGE_STYLES = {
+  added: 'bg-emerald-50 text-emerald-700 border-emerald-100',
+  removed: 'bg-red-50 text-red-700 border-red-100',
+  modified: 'bg-amber-50 text-amber-700 border-amber-100',
+  unchanged: 'bg-slate-50 text-slate-500 border-slate-200'
+};
+
+// Names the file(s) whose rows repeat a key, e.g. "3 rows of sales.csv and 1 row of sales_v2.csv repeat a key"
+const duplicateKeysMessage = (counts, baseName, otherName) => {
+  const part = (n, name) => `${n.toLocaleString()} row${n === 1 ? '' : 's'} of ${name}`;
+  const parts = [];
+  if (counts.base > 0) parts.push(part(counts.base, baseName));
+  if (counts.other > 0) parts.push(part(counts.other, otherName));
+  const verb = parts.length === 1 && (counts.base || counts.other) === 1 ? 'repeats' : 'repeat';
+  return `${parts.join(' and ')} ${verb} a key; they are matched in order.`;
+};
+
+// Side panel comparing the data with another version of it (an open tab or a file): key columns
+// to align rows on, counts of added, removed and modified rows, changed cells per column, and
+// the changeset as CSV or JSON. spec: { keys, types } where types are the changes the grid shows.
+// base and other: { name, columns, rows }; diff from lib/diff, or null until a file is chosen.
+// others: [{ id, name, columns, rowCount }] of the other tabs, loaded with onLoadTab(id) when picked.
+export default function ComparePanel({ base, other, others, spec, diff, showingDiff, onLoadTab, onLoadFile, onChooseOther, onChange, onToggleDiff, onClose }) {
+  const [loadingFile, setLoadingFile] = useState(false);
+  const [error, setError] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  const keyColumns = other ? base.columns.filter(col => other.columns.includes(col)) : [];
+  const changedColumns = diff ? Object.entries(diff.columnCounts).filter(([, n]) => n > 0).sort((a, b) => b[1] - a[1]) : [];
+  const baseName = `${base.name.replace(/\.[^/.]+$/, "")}_changes`;
+
+  const loadFile = async (file) => {
+    setLoadingFile(true);
+    setError(null);
+    try {
+      const dataset = await onLoadFile(file);
+      if (dataset) onChooseOther(dataset);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingFile(false);
+    }
+  };
+
+  const toggleKey = (col) => onChange({
+    ...spec,
+    keys: spec.keys.includes(col) ? spec.keys.filter(c => c !== col) : keyColumns.filter(c => c === col || spec.keys.includes(c))
+  });
+
+  const toggleType = (type) => onChange({
+    ...spec,
+    types: spec.types.includes(type) ? spec.types.filter(t => t !== type) : [...spec.types, type]
+  });
+
+  const exportJSON = () => {
+    const report = changesetReport(diff, base, other, { baseName: base.name, otherName: other.name });
+    downloadBlob(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), `${baseName}.json`);
+  };
+
+  const exportCSV = async () => {
+    setExportError(null);
+    try {
+      const Papa = await loadPapaParse();
+      const csv = Papa.unparse(changesetRows(diff, base, other), { columns: ['change', 'key', 'base_row', 'compare_row', 'column', 'before', 'after'] });
+      downloadBlob(new Blob([csv], { type: 'text/csv' }), `${baseName}.csv`);
+    } catch (err) {
+      setExportError(`CSV export failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <aside className="w-96 shrink-0 bg-white border-l border-slate-200 flex flex-col animate-in fade-in slide-in-from-right-4 duration-200">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+        <div className="flex items-center gap-2 text-indigo-600">
+          <GitCompare size={18} />
+          <h3 className="text-sm font-bold text-slate-900">Compare</h3>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 rounded hover:bg-slate-100 text-slate-500 transition-colors"
+          title="Close"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {/* OTHER VERSION: an open tab or a file parsed with the regular importers */}
+        <div className="px-4 py-3 border-b border-slate-200 space-y-2">
+          <p className="text-xs font-bold uppercase tracking-wider text-slate-400">Compare With</p>
+          {others.length > 0 && (
+            <select
+              aria-label="Open dataset to compare with"
+              value={other && other.id ? other.id : ''}
+              onChange={(e) => {
+                const tab = others.find(o => String(o.id) === e.target.value);
+                if (tab) onChooseOther(onLoadTab(tab.id));
+              }}
+              className={selectClass}
+            >
+              <option value="" disabled>Choose an open tab...</option>
+              {others.map(o => (
+                <option key={o.id} value={o.id}>{o.name} ({o.rowCount.toLocaleString()} rows)</option>
+              ))}
+            </select>
+          )}
+          <input
+            type="file"
+            id="compare-file"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) loadFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+          <label
+            htmlFor="compare-file"
+            className={`cursor-pointer inline-flex items-center gap-2 px-3 py-1.5 border border-slate-300 rounded-md text-sm font-medium text-slate-700 hover:bg-slate-50 ${loadingFile ? 'opacity-50 pointer-events-none' : ''}`}
+          >
+            <Upload size={14} />
+            {loadingFile ? 'Loading...' : 'Load a file'}
+          </label>
+          {other && (
+            <p className="text-xs text-slate-500">
+              <span className="font-medium text-slate-700">{other.name}</span>: {other.rows.length.toLocaleString()} rows, {other.columns.length} columns
+            </p>
+          )}
+          {error && (
+            <p className="flex items-start gap-1.5 text-xs text-red-600">
+              <AlertCircle size={12} className="shrink-0 mt-0.5" />
+              {error}
+            </p>
+          )}
+        </div>
+
+        {other && (
+          <>
+            {/* ROW ALIGNMENT */}
+            <div className="px-4 py-3 border-b border-slate-200">
+              <p className="text-xs font-bold uppercase tracking-wider text-slate-400 mb-2">Match Rows On</p>
+              <p className="text-xs text-slate-500 mb-2">
+                {spec.keys.length === 0
+                  ? 'Row position: row 1 with row 1 and so on. Tick key columns to match rows by key instead.'
+                  : `Rows with the same ${spec.keys.join(', ')} are compared.`}
+              </p>
+              <div className="max-h-40 overflow-auto space-y-1">
+                {keyColumns.map(col => (
+                  <label key={col} className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer min-w-0">
+                    <input type="checkbox" checked={spec.keys.includes(col)} onChange={() => toggleKey(col)} />
+                    <span className="truncate" title={col}>{col}</span>
+                  </label>
+                ))}
+              </div>
+              {diff && diff.duplicateKeys.base + diff.duplicateKeys.other > 0 && (
+                <p className="mt-2 text-xs text-amber-700">{duplicateKeysMessage(diff.duplicateKeys, base.name, other.name)}</p>
+              )}
+            </div>
+
+            {/* SUMMARY: rows by change, shown in the grid when ticked */}
+            {diff && (
+              <div className="px-4 py-3 border-b border-slate-200 space-y-2">
+                <div className="flex items-center justify-between">
+                  <p className="text-xs font-bold uppercase tracking-wider text-slate-400">Rows</p>
+                  <button type="button" onClick={onToggleDiff} className="text-xs font-medium text-indigo-600 hover:text-indigo-700">
+                    {showingDiff ? 'Back to data' : 'Show in grid'}
+                  </button>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {Object.entries(CHANGE_TYPES).map(([type, label]) => (
+                    <label key={type} className={`flex items-center justify-between gap-2 px-2 py-1 rounded border text-xs cursor-pointer ${CHANGE_STYLES[type]}`}>
+                      <span className="flex items-center gap-1.5">
+                        <input type="checkbox" checked={spec.types.includes(type)} onChange={() => toggleType(type)} />
+                        {label}
+                      </span>
+                      <span className="font-mono font-semibold">{diff.counts[type].toLocaleString()}</span>
+                    </label>
+                  ))}
+                </div>
+                {(diff.addedColumns.length > 0 || diff.removedColumns.length > 0) && (
+                  <div className="text-xs text-slate-500 space-y-0.5">
+                    {diff.addedColumns.length > 0 && <p className="truncate" title={diff.addedColumns.join(', ')}>New columns: {diff.addedColumns.join(', ')}</p>}
+                    {diff.removedColumns.length > 0 && <p className="truncate" title={diff.removedColumns.join(', ')}>Missing columns: {diff.removedColumns.join(', ')}</p>}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* CHANGED CELLS PER COLUMN */}
+            {diff && (
+              <div className="px-4 py-3 border-b border-slate-200">
+                <p className="text-xs font-bold uppercase tracking-wider text-slate-400 mb-2">Changed Cells</p>
+                {changedColumns.length === 0 ? (
+                  <p className="text-xs text-slate-500">No cells changed in matched rows.</p>
+                ) : (
+                  <ul className="space-y-1">
+                    {changedColumns.map(([col, n]) => (
+                      <li key={col} className="flex items-center justify-between gap-2 text-sm">
+                        <span className="truncate text-slate-700" title={col}>{col}</span>
+                        <span className="shrink-0 font-mono text-xs text-amber-700">{n.toLocaleString()}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {diff && (
+              <div className="px-4 py-3 space-y-2 text-xs text-slate-500">
+                <div className="flex items-center justify-between">
+                  <span>Changeset</span>
+                  <div className="flex items-center gap-1">
+                    <Download size={12} />
+                    <button type="button" onClick={exportJSON} className="font-medium text-indigo-600 hover:text-indigo-700">JSON</button>
+                    <span>/</span>
+                    <button type="button" onClick={exportCSV} className="font-medium text-indigo-600 hover:text-indigo-700">CSV</button>
+                  </div>
+                </div>
+                {exportError && (
+                  <p className="flex items-start gap-1.5 text-red-600">
+                    <AlertCircle size={12} className="shrink-0 mt-0.5" />
+                    {exportError}
+                  </p>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </aside>
+  );
+}
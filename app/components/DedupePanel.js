@@ -0,0 +1,114 @@
+"use client";
+
+import React from 'react';
+import { CopyMinus, X, Trash2 } from 'lucide-react';
+import { KEEP_OPTIONS } from '../lib/dedupe';
+
+const selectClass = "w-full min-w-0 px-2 py-1 border border-slate-300 rounded-md bg-white text-sm focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer";
+
+// Side panel that finds duplicate rows, on all columns or on chosen key columns, and removes
+// all but one row of each group. spec: { keys, trim, ignoreCase, keep }; keys [] means all columns.
+// result: { groups, rows } of the current data, as built by lib/dedupe.
+export default function DedupePanel({ columns, spec, result, showingGroups, onChange, onToggleGroups, onRemove, onClose }) {
+  const removeCount = result.rows.length - result.groups.length;
+
+  const toggleKey = (col) => onChange({
+    ...spec,
+    keys: spec.keys.includes(col) ? spec.keys.filter(c => c !== col) : columns.filter(c => c === col || spec.keys.includes(c))
+  });
+
+  return (
+    <aside className="w-96 shrink-0 bg-white border-l border-slate-200 flex flex-col animate-in fade-in slide-in-from-right-4 duration-200">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+        <div className="flex items-center gap-2 text-indigo-600">
+          <CopyMinus size={18} />
+          <h3 className="text-sm font-bold text-slate-900">Deduplicate</h3>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 rounded hover:bg-slate-100 text-slate-500 transition-colors"
+          title="Close"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {/* KEY COLUMNS */}
+        <div className="px-4 py-3 border-b border-slate-200">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-xs font-bold uppercase tracking-wider text-slate-400">Compare</p>
+            {spec.keys.length > 0 && (
+              <button type="button" onClick={() => onChange({ ...spec, keys: [] })} className="text-xs font-medium text-indigo-600 hover:text-indigo-700">
+                All columns
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-slate-500 mb-2">
+            {spec.keys.length === 0
+              ? 'Exact duplicates: every column must match. Tick key columns to compare only those.'
+              : `Rows with the same ${spec.keys.join(', ')} are duplicates. Rows with all keys empty are ignored.`}
+          </p>
+          <div className="max-h-48 overflow-auto space-y-1">
+            {columns.map(col => (
+              <label key={col} className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer min-w-0">
+                <input type="checkbox" checked={spec.keys.includes(col)} onChange={() => toggleKey(col)} />
+                <span className="truncate" title={col}>{col}</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center gap-4 mt-3 text-sm text-slate-700">
+            <label className="flex items-center gap-1.5 cursor-pointer">
+              <input type="checkbox" checked={spec.trim} onChange={(e) => onChange({ ...spec, trim: e.target.checked })} />
+              Trim spaces
+            </label>
+            <label className="flex items-center gap-1.5 cursor-pointer">
+              <input type="checkbox" checked={spec.ignoreCase} onChange={(e) => onChange({ ...spec, ignoreCase: e.target.checked })} />
+              Ignore case
+            </label>
+          </div>
+        </div>
+
+        {/* GROUPS FOUND */}
+        <div className="px-4 py-3 border-b border-slate-200 space-y-2 text-sm">
+          {result.groups.length === 0 ? (
+            <p className="text-slate-500">No duplicate rows found.</p>
+          ) : (
+            <>
+              <p className="text-slate-700">
+                <span className="font-semibold">{result.groups.length.toLocaleString()}</span> groups of duplicates,{' '}
+                <span className="font-semibold">{result.rows.length.toLocaleString()}</span> rows in total
+              </p>
+              <button
+                type="button"
+                onClick={onToggleGroups}
+                className="text-xs font-medium text-indigo-600 hover:text-indigo-700"
+              >
+                {showingGroups ? 'Back to all rows' : 'Show the groups in the grid'}
+              </button>
+            </>
+          )}
+        </div>
+
+        {/* REMOVAL */}
+        <div className="px-4 py-3 space-y-2">
+          <p className="text-xs font-bold uppercase tracking-wider text-slate-400">In Each Group</p>
+          <select aria-label="Row to keep" value={spec.keep} onChange={(e) => onChange({ ...spec, keep: e.target.value })} className={selectClass}>
+            {Object.entries(KEEP_OPTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <button
+            type="button"
+            onClick={onRemove}
+            disabled={removeCount === 0}
+            className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-md bg-red-600 text-white text-sm font-medium hover:bg-red-700 transition-colors disabled:opacity-50 disabled:pointer-events-none"
+          >
+            <Trash2 size={14} />
+            Remove {removeCount.toLocaleString()} duplicate row{removeCount === 1 ? '' : 's'}
+          </button>
+          <p className="text-xs text-slate-400">The rest of each group is deleted as one step you can undo.</p>
+        </div>
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,170 @@
+"use client";
+
+import React, { useState, useMemo } from 'react';
+import { X } from 'lucide-react';
+import { columnKind, operatorsFor, validateFilter, distinctValues } from '../lib/filters';
+
+// Popover for creating or editing a single column filter
+export default function FilterBuilder({ columns, columnSchema, data, initialFilter, onApply, onClose }) {
+  const [column, setColumn] = useState(initialFilter ? initialFilter.column : columns[0]);
+  const kind = columnKind(columnSchema[column] ? columnSchema[column].type : 'string');
+  const operators = operatorsFor(kind);
+
+  const [op, setOp] = useState(initialFilter ? initialFilter.op : operators[0].op);
+  const [value, setValue] = useState(initialFilter ? initialFilter.value : '');
+  const [value2, setValue2] = useState(initialFilter ? initialFilter.value2 : '');
+  const [selected, setSelected] = useState(() => new Set(initialFilter ? initialFilter.values : []));
+  const [checklistSearch, setChecklistSearch] = useState('');
+  const [error, setError] = useState(null);
+
+  const distinct = useMemo(() => op === 'in' ? distinctValues(data, column) : null, [data, column, op]);
+
+  const visibleChoices = distinct
+    ? distinct.values.filter(({ value: v }) => v.toLowerCase().includes(checklistSearch.toLowerCase()))
+    : [];
+
+  const changeColumn = (col) => {
+    setColumn(col);
+    const nextOps = operatorsFor(columnKind(columnSchema[col] ? columnSchema[col].type : 'string'));
+    if (!nextOps.some(o => o.op === op)) setOp(nextOps[0].op);
+    setSelected(new Set());
+    setError(null);
+  };
+
+  const toggleValue = (v) => {
+    const next = new Set(selected);
+    if (next.has(v)) next.delete(v);
+    else next.add(v);
+    setSelected(next);
+  };
+
+  const apply = () => {
+    const filter = {
+      id: initialFilter ? initialFilter.id : Date.now() + Math.random(),
+      column,
+      op,
+      value,
+      value2,
+      values: Array.from(selected)
+    };
+    const problem = validateFilter(filter);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onApply(filter);
+  };
+
+  const inputType = kind === 'numeric' ? 'number' : kind === 'date' ? 'date' : 'text';
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40" onClick={onClose}></div>
+      <div className="absolute left-0 mt-2 w-80 bg-white rounded-lg shadow-xl border border-slate-200 z-50 p-4 animate-in fade-in zoom-in-95 duration-100">
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="text-xs font-bold uppercase tracking-wider text-slate-500">{initialFilter ? 'Edit Filter' : 'Add Filter'}</h4>
+          <button type="button" onClick={onClose} className="p-1 rounded hover:bg-slate-100 text-slate-400" title="Close">
+            <X size={14} />
+          </button>
+        </div>
+
+        <div className="space-y-3">
+          <select
+            aria-label="Filter column"
+            value={column}
+            onChange={(e) => changeColumn(e.target.value)}
+            className="w-full px-2 py-1.5 border border-slate-300 rounded-md bg-white text-sm focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer"
+          >
+            {columns.map(col => <option key={col} value={col}>{col}</option>)}
+          </select>
+
+          <select
+            aria-label="Filter operator"
+            value={op}
+            onChange={(e) => { setOp(e.target.value); setError(null); }}
+            className="w-full px-2 py-1.5 border border-slate-300 rounded-md bg-white text-sm focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer"
+          >
+            {operators.map(o => <option key={o.op} value={o.op}>{o.label}</option>)}
+          </select>
+
+          {op === 'in' ? (
+            <div className="border border-slate-200 rounded-md">
+              <input
+                type="text"
+                aria-label="Search values"
+                placeholder="Search values..."
+                value={checklistSearch}
+                onChange={(e) => setChecklistSearch(e.target.value)}
+                className="w-full px-2 py-1.5 text-sm border-b border-slate-200 outline-none rounded-t-md"
+              />
+              <div className="max-h-48 overflow-auto py-1">
+                {visibleChoices.map(({ value: v, count }) => (
+                  <label key={v} className="flex items-center gap-2 px-2 py-1 text-sm text-slate-700 hover:bg-slate-50 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selected.has(v)}
+                      onChange={() => toggleValue(v)}
+                      className="h-3.5 w-3.5 accent-indigo-600"
+                    />
+                    <span className={`flex-1 truncate ${v === '' ? 'italic text-slate-400' : ''}`}>{v === '' ? '(empty)' : v}</span>
+                    <span className="text-[11px] font-mono text-slate-400">{count.toLocaleString()}</span>
+                  </label>
+                ))}
+              </div>
+              {distinct && distinct.total > distinct.values.length && (
+                <p className="px-2 py-1 text-[11px] text-slate-400 border-t border-slate-100">
+                  Showing the {distinct.values.length} most frequent of {distinct.total.toLocaleString()} values
+                </p>
+              )}
+            </div>
+          ) : op !== 'empty' && op !== 'notEmpty' && (
+            <div className="flex items-center gap-2">
+              <input
+                type={inputType}
+                aria-label="Filter value"
+                value={value}
+                onChange={(e) => { setValue(e.target.value); setError(null); }}
+                onKeyDown={(e) => e.key === 'Enter' && apply()}
+                placeholder={op === 'regex' ? 'e.g. ^ab.*z$' : 'Value'}
+                className="flex-1 min-w-0 px-2 py-1.5 border border-slate-300 rounded-md text-sm focus:ring-2 focus:ring-indigo-500 outline-none"
+              />
+              {op === 'between' && (
+                <>
+                  <span className="text-xs text-slate-400">and</span>
+                  <input
+                    type={inputType}
+                    aria-label="Upper bound"
+                    value={value2}
+                    onChange={(e) => { setValue2(e.target.value); setError(null); }}
+                    onKeyDown={(e) => e.key === 'Enter' && apply()}
+                    placeholder="Value"
+                    className="flex-1 min-w-0 px-2 py-1.5 border border-slate-300 rounded-md text-sm focus:ring-2 focus:ring-indigo-500 outline-none"
+                  />
+                </>
+              )}
+            </div>
+          )}
+
+          {error && <p className="text-xs text-red-600">{error}</p>}
+
+          <div className="flex gap-2 pt-1">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-3 py-1.5 bg-white border border-slate-300 text-slate-700 text-sm font-medium rounded-md hover:bg-slate-50 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={apply}
+              className="flex-1 px-3 py-1.5 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 transition-colors shadow-sm"
+            >
+              {initialFilter ? 'Update' : 'Add'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,233 @@
+"use client";
+
+import React, { useState, useMemo } from 'react';
+import { Merge, Plus, X, Upload } from 'lucide-react';
+import { JOIN_TYPES, joinStats, joinColumns, joinRows } from '../lib/join';
+
+const guessKeys = (leftColumns, rightColumns) => {
+  const shared = leftColumns.find(col => rightColumns.includes(col));
+  return [{ left: shared || leftColumns[0], right: shared || rightColumns[0] }];
+};
+
+// Join tool: picks the other dataset (an open tab or a file), the join type and key column
+// pairs, previews the match counts and hands the result to onApply({ result, rightSchema, mode }).
+// others: [{ id, name, columns, rowCount }] of the other tabs; onLoadTab(id) gives the chosen one as
+// { id, name, columns, rows, schema }, and onLoadFile(file) resolves to the same shape.
+export default function JoinDialog({ leftName, leftColumns, leftRows, others, onLoadTab, onLoadFile, onApply, onClose }) {
+  const [right, setRight] = useState(null);
+  const [type, setType] = useState('left');
+  const [keys, setKeys] = useState([]);
+  const [leftSuffix, setLeftSuffix] = useState('_left');
+  const [rightSuffix, setRightSuffix] = useState('_right');
+  const [ignoreCase, setIgnoreCase] = useState(false);
+  const [loadingFile, setLoadingFile] = useState(false);
+  const [error, setError] = useState(null);
+
+  const chooseRight = (dataset) => {
+    setRight(dataset);
+    setKeys(guessKeys(leftColumns, dataset.columns));
+    setError(null);
+  };
+
+  const loadFile = async (file) => {
+    setLoadingFile(true);
+    setError(null);
+    try {
+      const dataset = await onLoadFile(file);
+      if (dataset) chooseRight(dataset);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingFile(false);
+    }
+  };
+
+  const updateKey = (i, side, col) => setKeys(keys.map((k, j) => (j === i ? { ...k, [side]: col } : k)));
+
+  const options = { type, leftSuffix, rightSuffix, ignoreCase };
+  const keysValid = keys.length > 0 && keys.every(k => leftColumns.includes(k.left) && right && right.columns.includes(k.right));
+
+  const stats = useMemo(() => {
+    if (!right || !keysValid) return null;
+    return joinStats(leftRows, right.rows, keys, { type, ignoreCase });
+  }, [leftRows, right, keys, keysValid, type, ignoreCase]);
+
+  const outputColumns = useMemo(() => {
+    if (!right || !keysValid) return [];
+    const { left, right: rightCols } = joinColumns(leftColumns, right.columns, keys, { type, leftSuffix, rightSuffix });
+    return [...left, ...rightCols].map(c => c.name);
+  }, [leftColumns, right, keys, keysValid, type, leftSuffix, rightSuffix]);
+
+  const apply = (mode) => {
+    const result = joinRows(leftRows, leftColumns, right.rows, right.columns, keys, options);
+    onApply({ result, rightName: right.name, rightSchema: right.schema, mode, label: `${type === 'anti' ? 'Anti' : type[0].toUpperCase() + type.slice(1)} join with ${right.name}` });
+  };
+
+  const selectClass = "w-full px-2 py-1.5 border border-slate-300 rounded-md bg-white text-sm focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer";
+
+  return (
+    <div className="absolute inset-0 z-50 bg-white/80 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl border border-slate-200 max-w-2xl w-full max-h-full overflow-auto p-6 animate-in fade-in zoom-in-95 duration-200">
+        <div className="flex items-center gap-3 mb-4 text-indigo-600">
+          <Merge size={28} />
+          <h3 className="text-xl font-bold text-slate-900">Join Datasets</h3>
+        </div>
+
+        <div className="space-y-4">
+          {/* OTHER DATASET: an open tab or a file parsed with the regular importers */}
+          <div>
+            <p className="block text-sm font-medium text-slate-700 mb-1">Join <span className="font-semibold">{leftName}</span> with</p>
+            <div className="flex gap-2">
+              {others.length > 0 && (
+                <select
+                  aria-label="Open dataset to join"
+                  value={right && right.id ? right.id : ''}
+                  onChange={(e) => {
+                    const tab = others.find(o => String(o.id) === e.target.value);
+                    if (tab) chooseRight(onLoadTab(tab.id));
+                  }}
+                  className={selectClass}
+                >
+                  <option value="" disabled>Choose an open tab...</option>
+                  {others.map(o => (
+                    <option key={o.id} value={o.id}>{o.name} ({o.rowCount.toLocaleString()} rows)</option>
+                  ))}
+                </select>
+              )}
+              <input
+                type="file"
+                id="join-file"
+                className="hidden"
+                onChange={(e) => {
+                  if (e.target.files[0]) loadFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+              <label
+                htmlFor="join-file"
+                className={`shrink-0 cursor-pointer inline-flex items-center gap-2 px-3 py-1.5 border border-slate-300 rounded-md text-sm font-medium text-slate-700 hover:bg-slate-50 ${loadingFile ? 'opacity-50 pointer-events-none' : ''}`}
+              >
+                <Upload size={14} />
+                {loadingFile ? 'Loading...' : 'Load a file'}
+              </label>
+            </div>
+            {right && !right.id && (
+              <p className="mt-1 text-xs text-slate-500">{right.name}: {right.rows.length.toLocaleString()} rows, {right.columns.length} columns</p>
+            )}
+            {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+          </div>
+
+          {right && (
+            <>
+              <div>
+                <label htmlFor="join-type" className="block text-sm font-medium text-slate-700 mb-1">Join Type</label>
+                <select id="join-type" value={type} onChange={(e) => setType(e.target.value)} className={selectClass}>
+                  {Object.entries(JOIN_TYPES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {/* KEY COLUMN PAIRS */}
+              <div>
+                <p className="block text-sm font-medium text-slate-700 mb-1">Match On</p>
+                <div className="space-y-2">
+                  {keys.map((key, i) => (
+                    <div key={i} className="flex items-center gap-2">
+                      <select aria-label={`Key ${i + 1} in ${leftName}`} value={key.left} onChange={(e) => updateKey(i, 'left', e.target.value)} className={selectClass}>
+                        {leftColumns.map(col => <option key={col} value={col}>{col}</option>)}
+                      </select>
+                      <span className="text-slate-400">=</span>
+                      <select aria-label={`Key ${i + 1} in ${right.name}`} value={key.right} onChange={(e) => updateKey(i, 'right', e.target.value)} className={selectClass}>
+                        {right.columns.map(col => <option key={col} value={col}>{col}</option>)}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => setKeys(keys.filter((_, j) => j !== i))}
+                        disabled={keys.length === 1}
+                        className="p-1 rounded text-slate-400 hover:text-red-600 hover:bg-red-50 disabled:opacity-30"
+                        title="Remove key"
+                      >
+                        <X size={14} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex items-center justify-between mt-2">
+                  <button
+                    type="button"
+                    onClick={() => setKeys([...keys, guessKeys(leftColumns, right.columns)[0]])}
+                    className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:text-indigo-700"
+                  >
+                    <Plus size={12} />
+                    Add key column
+                  </button>
+                  <label className="flex items-center gap-1.5 text-xs text-slate-600 cursor-pointer">
+                    <input type="checkbox" checked={ignoreCase} onChange={(e) => setIgnoreCase(e.target.checked)} />
+                    Ignore case
+                  </label>
+                </div>
+              </div>
+
+              {type !== 'anti' && (
+                <div className="flex gap-4">
+                  <div className="flex-1">
+                    <label htmlFor="join-left-suffix" className="block text-sm font-medium text-slate-700 mb-1">Suffix for current columns</label>
+                    <input id="join-left-suffix" type="text" value={leftSuffix} onChange={(e) => setLeftSuffix(e.target.value)} className="w-full px-3 py-1.5 border border-slate-300 rounded-md text-sm focus:ring-2 focus:ring-indigo-500 outline-none" />
+                  </div>
+                  <div className="flex-1">
+                    <label htmlFor="join-right-suffix" className="block text-sm font-medium text-slate-700 mb-1">Suffix for joined columns</label>
+                    <input id="join-right-suffix" type="text" value={rightSuffix} onChange={(e) => setRightSuffix(e.target.value)} className="w-full px-3 py-1.5 border border-slate-300 rounded-md text-sm focus:ring-2 focus:ring-indigo-500 outline-none" />
+                  </div>
+                </div>
+              )}
+
+              {/* PREVIEW: match counts and resulting columns */}
+              {stats && (
+                <div className="bg-slate-50 p-3 rounded-lg border border-slate-100 text-sm text-slate-700 space-y-1">
+                  <p>
+                    <span className="font-semibold">{stats.matchedLeft.toLocaleString()}</span> of {leftRows.length.toLocaleString()} current rows match,{' '}
+                    <span className="font-semibold">{stats.matchedRight.toLocaleString()}</span> of {right.rows.length.toLocaleString()} rows in {right.name}.
+                  </p>
+                  <p className="text-slate-500">
+                    {stats.unmatchedLeft.toLocaleString()} current and {stats.unmatchedRight.toLocaleString()} joined rows have no match.
+                  </p>
+                  <p>
+                    Result: <span className="font-semibold">{stats.resultRows.toLocaleString()}</span> rows × {outputColumns.length} columns
+                  </p>
+                  <p className="text-xs text-slate-500 truncate" title={outputColumns.join(', ')}>{outputColumns.join(', ')}</p>
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="flex gap-3 mt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 bg-white border border-slate-300 text-slate-700 font-medium rounded-lg hover:bg-slate-50 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => apply('tab')}
+              disabled={!stats}
+              className="flex-1 px-4 py-2 bg-white border border-indigo-300 text-indigo-700 font-medium rounded-lg hover:bg-indigo-50 transition-colors disabled:opacity-50"
+            >
+              Open in New Tab
+            </button>
+            <button
+              type="button"
+              onClick={() => apply('replace')}
+              disabled={!stats}
+              className="flex-1 px-4 py-2 bg-indigo-600 text-white font-medium rounded-lg hover:bg-indigo-700 transition-colors shadow-sm disabled:opacity-50"
+            >
+              Replace Data
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
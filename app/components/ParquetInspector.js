@@ -0,0 +1,228 @@
+"use client";
+
+import React, { useState } from 'react';
+import { Database, ChevronRight, ChevronDown } from 'lucide-react';
+import { formatBytes } from '../lib/importFile';
+import { rangesForRowGroups } from '../lib/parquetInspect';
+
+const ROW_MODES = {
+  all: 'All rows',
+  range: 'Row range',
+  groups: 'Row groups'
+};
+
+// Footer summary of a Parquet file with the choice of columns and rows to load.
+// info: result of inspectParquet. onLoad receives { columns, ranges } (null for "all").
+export default function ParquetInspector({ fileName, fileSize, info, onLoad, onClose }) {
+  const [selectedFields, setSelectedFields] = useState(() => new Set(info.fields.map(f => f.name)));
+  const [expandedField, setExpandedField] = useState(null);
+  const [rowMode, setRowMode] = useState('all');
+  const [rangeFrom, setRangeFrom] = useState(1);
+  const [rangeTo, setRangeTo] = useState(info.numRows);
+  const [selectedGroups, setSelectedGroups] = useState(() => new Set(info.rowGroups.map(g => g.index)));
+
+  const toggleField = (name) => {
+    const next = new Set(selectedFields);
+    if (next.has(name)) next.delete(name);
+    else next.add(name);
+    setSelectedFields(next);
+  };
+
+  const toggleGroup = (index) => {
+    const next = new Set(selectedGroups);
+    if (next.has(index)) next.delete(index);
+    else next.add(index);
+    setSelectedGroups(next);
+  };
+
+  const allFields = selectedFields.size === info.fields.length;
+  const rangeValid = Number.isInteger(rangeFrom) && Number.isInteger(rangeTo) && rangeFrom >= 1 && rangeFrom <= rangeTo && rangeTo <= info.numRows;
+
+  // Row ranges are 1-based and inclusive in the dialog, 0-based and end-exclusive for the parser
+  const ranges = rowMode === 'range' ? (rangeValid ? [{ rowStart: rangeFrom - 1, rowEnd: rangeTo }] : [])
+    : rowMode === 'groups' ? rangesForRowGroups(info.rowGroups, selectedGroups)
+    : null;
+  const rowCount = ranges ? ranges.reduce((sum, r) => sum + r.rowEnd - r.rowStart, 0) : info.numRows;
+
+  // Compressed bytes to read: the chosen columns' share of the row groups that are touched
+  const sumCompressed = (items) => items.reduce((sum, item) => sum + item.compressedSize, 0);
+  const fileBytes = sumCompressed(info.rowGroups);
+  const fieldBytes = sumCompressed(info.fields.filter(f => selectedFields.has(f.name)));
+  const groupBytes = sumCompressed(info.rowGroups.filter(g => !ranges || ranges.some(r => r.rowStart < g.rowStart + g.numRows && r.rowEnd > g.rowStart)));
+  const selectedBytes = fileBytes > 0 ? Math.round(fieldBytes * groupBytes / fileBytes) : 0;
+
+  const canLoad = selectedFields.size > 0 && rowCount > 0;
+
+  const handleLoad = () => {
+    onLoad({
+      columns: allFields ? null : info.fields.filter(f => selectedFields.has(f.name)).map(f => f.name),
+      ranges
+    });
+  };
+
+  return (
+    <div className="absolute inset-0 z-50 bg-white/80 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl border border-slate-200 max-w-3xl w-full max-h-full flex flex-col p-6 animate-in fade-in zoom-in-95 duration-200">
+        <div className="flex items-center gap-3 mb-4 text-indigo-600">
+          <Database size={28} />
+          <h3 className="text-xl font-bold text-slate-900">Inspect Parquet File</h3>
+        </div>
+
+        <div className="space-y-4 min-h-0 flex flex-col">
+          <div className="bg-slate-50 p-3 rounded-lg border border-slate-100">
+            <p className="text-xs text-slate-500 font-medium uppercase mb-1">Selected File</p>
+            <p className="text-sm text-slate-800 font-semibold truncate">{fileName}</p>
+            <p className="text-xs text-slate-500 mt-1">
+              {info.numRows.toLocaleString()} rows · {info.fields.length} columns · {info.rowGroups.length} row group{info.rowGroups.length === 1 ? '' : 's'} · {formatBytes(fileSize)}
+              {info.createdBy && <> · {info.createdBy}</>}
+            </p>
+          </div>
+
+          {/* COLUMNS: one row per top-level field, expandable to its leaf column chunks */}
+          <div className="overflow-auto border border-slate-200 rounded-lg min-h-0">
+            <table className="w-full text-xs text-slate-700 border-collapse">
+              <thead className="bg-slate-50 text-slate-500 sticky top-0">
+                <tr>
+                  <th className="px-2 py-1.5 text-left w-8">
+                    <input
+                      type="checkbox"
+                      aria-label="Select all columns"
+                      checked={allFields}
+                      onChange={() => setSelectedFields(allFields ? new Set() : new Set(info.fields.map(f => f.name)))}
+                    />
+                  </th>
+                  <th className="px-2 py-1.5 text-left font-medium">Column</th>
+                  <th className="px-2 py-1.5 text-left font-medium">Type</th>
+                  <th className="px-2 py-1.5 text-right font-medium">Compressed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {info.fields.map(field => {
+                  const expanded = expandedField === field.name;
+                  const chunks = info.chunks.filter(c => c.field === field.name);
+                  return (
+                    <React.Fragment key={field.name}>
+                      <tr className="border-t border-slate-100 hover:bg-slate-50">
+                        <td className="px-2 py-1.5">
+                          <input
+                            type="checkbox"
+                            aria-label={`Load ${field.name}`}
+                            checked={selectedFields.has(field.name)}
+                            onChange={() => toggleField(field.name)}
+                          />
+                        </td>
+                        <td className="px-2 py-1.5">
+                          <button
+                            type="button"
+                            onClick={() => setExpandedField(expanded ? null : field.name)}
+                            className="flex items-center gap-1 font-medium text-slate-800 hover:text-indigo-600"
+                          >
+                            {expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                            {field.name}
+                          </button>
+                        </td>
+                        <td className="px-2 py-1.5 font-mono text-slate-500">{field.nested ? 'nested' : field.type}{field.nullable ? '' : ' (required)'}</td>
+                        <td className="px-2 py-1.5 text-right font-mono">{formatBytes(field.compressedSize)}</td>
+                      </tr>
+                      {expanded && chunks.map(chunk => (
+                        <tr key={chunk.path} className="bg-slate-50/60">
+                          <td />
+                          <td colSpan={3} className="px-2 py-2">
+                            <div className="grid grid-cols-2 gap-x-6 gap-y-0.5 text-slate-600">
+                              {chunks.length > 1 && <p className="col-span-2 font-mono text-slate-800">{chunk.path}</p>}
+                              <p>Physical type: <span className="font-mono">{chunk.physicalType}{chunk.logicalType ? ` / ${chunk.logicalType}` : ''}</span></p>
+                              <p>Compression: <span className="font-mono">{chunk.codecs.join(', ')}</span></p>
+                              <p>Encodings: <span className="font-mono">{chunk.encodings.join(', ')}</span></p>
+                              <p>Size: <span className="font-mono">{formatBytes(chunk.compressedSize)} of {formatBytes(chunk.uncompressedSize)}</span></p>
+                              <p>Nulls: <span className="font-mono">{chunk.nullCount === null ? 'unknown' : chunk.nullCount.toLocaleString()}</span></p>
+                              <p className="truncate">Min / Max: <span className="font-mono">{chunk.min === null ? '—' : chunk.min} / {chunk.max === null ? '—' : chunk.max}</span></p>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {/* ROWS: everything, a row range, or whole row groups */}
+          <div className="space-y-2">
+            <div className="flex gap-4 text-sm text-slate-700">
+              {Object.entries(ROW_MODES).map(([mode, label]) => (
+                <label key={mode} className="flex items-center gap-1.5 cursor-pointer">
+                  <input type="radio" name="parquet-rows" checked={rowMode === mode} onChange={() => setRowMode(mode)} />
+                  {label}
+                </label>
+              ))}
+            </div>
+
+            {rowMode === 'range' && (
+              <div className="flex items-center gap-2 text-sm text-slate-700">
+                <label htmlFor="parquet-range-from">From row</label>
+                <input
+                  id="parquet-range-from"
+                  type="number"
+                  min={1}
+                  max={info.numRows}
+                  value={rangeFrom}
+                  onChange={(e) => setRangeFrom(e.target.value === '' ? '' : Number(e.target.value))}
+                  className="w-32 px-2 py-1 border border-slate-300 rounded-md focus:ring-2 focus:ring-indigo-500 outline-none"
+                />
+                <label htmlFor="parquet-range-to">to</label>
+                <input
+                  id="parquet-range-to"
+                  type="number"
+                  min={1}
+                  max={info.numRows}
+                  value={rangeTo}
+                  onChange={(e) => setRangeTo(e.target.value === '' ? '' : Number(e.target.value))}
+                  className="w-32 px-2 py-1 border border-slate-300 rounded-md focus:ring-2 focus:ring-indigo-500 outline-none"
+                />
+                {!rangeValid && <span className="text-xs text-red-600">Enter rows between 1 and {info.numRows.toLocaleString()}.</span>}
+              </div>
+            )}
+
+            {rowMode === 'groups' && (
+              <div className="max-h-40 overflow-auto border border-slate-200 rounded-lg divide-y divide-slate-100">
+                {info.rowGroups.map(group => (
+                  <label key={group.index} className="flex items-center gap-2 px-3 py-1.5 text-xs text-slate-700 hover:bg-slate-50 cursor-pointer">
+                    <input type="checkbox" checked={selectedGroups.has(group.index)} onChange={() => toggleGroup(group.index)} />
+                    <span className="font-medium">Group {group.index + 1}</span>
+                    <span className="text-slate-500">
+                      rows {(group.rowStart + 1).toLocaleString()}–{(group.rowStart + group.numRows).toLocaleString()}
+                    </span>
+                    <span className="ml-auto font-mono text-slate-500">{formatBytes(group.compressedSize)}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <p className="text-xs text-slate-500">
+            Loads {rowCount.toLocaleString()} row{rowCount === 1 ? '' : 's'} × {selectedFields.size} column{selectedFields.size === 1 ? '' : 's'}, reading about {formatBytes(selectedBytes)}.
+          </p>
+
+          <div className="flex gap-3 mt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 bg-white border border-slate-300 text-slate-700 font-medium rounded-lg hover:bg-slate-50 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleLoad}
+              disabled={!canLoad}
+              className="flex-1 px-4 py-2 bg-indigo-600 text-white font-medium rounded-lg hover:bg-indigo-700 transition-colors shadow-sm disabled:opacity-50"
+            >
+              Load Data
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+"use client";
+
+import React from 'react';
+import { Grid3x3, Plus, X, AlertCircle } from 'lucide-react';
+import { AGGREGATES, MAX_PIVOT_COLUMNS } from '../lib/pivot';
+
+const selectClass = "flex-1 min-w-0 px-2 py-1 border border-slate-300 rounded-md bg-white text-sm focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer";
+
+// Side panel that configures the pivot shown in the grid. The pivot is rebuilt from the
+// filtered rows whenever the spec ({ rows, columns, measures }) or the filters change.
+export default function PivotPanel({ columns, spec, sourceCount, result, showingPivot, onChange, onTogglePivot, onClose }) {
+  const used = new Set([...spec.rows, ...spec.columns]);
+  const available = columns.filter(col => !used.has(col));
+
+  const renderDimensions = (key, title, hint) => (
+    <div className="px-4 py-3 border-b border-slate-200">
+      <p className="text-xs font-bold uppercase tracking-wider text-slate-400 mb-2">{title}</p>
+      <ul className="space-y-1 mb-2">
+        {spec[key].map(col => (
+          <li key={col} className="flex items-center gap-2 text-sm">
+            <span className="flex-1 truncate text-slate-800" title={col}>{col}</span>
+            <button
+              type="button"
+              onClick={() => onChange({ ...spec, [key]: spec[key].filter(c => c !== col) })}
+              className="p-0.5 rounded text-slate-400 hover:text-red-600 hover:bg-red-50"
+              title={`Remove ${col}`}
+            >
+              <X size={14} />
+            </button>
+          </li>
+        ))}
+      </ul>
+      <select
+        aria-label={`Add ${title.toLowerCase()} field`}
+        value=""
+        onChange={(e) => e.target.value && onChange({ ...spec, [key]: [...spec[key], e.target.value] })}
+        disabled={available.length === 0}
+        className={`${selectClass} w-full text-slate-500`}
+      >
+        <option value="">{hint}</option>
+        {available.map(col => <option key={col} value={col}>{col}</option>)}
+      </select>
+    </div>
+  );
+
+  const updateMeasure = (i, changes) => onChange({
+    ...spec,
+    measures: spec.measures.map((m, j) => (j === i ? { ...m, ...changes } : m))
+  });
+
+  return (
+    <aside className="w-96 shrink-0 bg-white border-l border-slate-200 flex flex-col animate-in fade-in slide-in-from-right-4 duration-200">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+        <div className="flex items-center gap-2 text-indigo-600">
+          <Grid3x3 size={18} />
+          <h3 className="text-sm font-bold text-slate-900">Pivot</h3>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 rounded hover:bg-slate-100 text-slate-500 transition-colors"
+          title="Close"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {renderDimensions('rows', 'Rows', 'Group rows by...')}
+        {renderDimensions('columns', 'Columns', 'Spread columns by...')}
+
+        {/* MEASURES */}
+        <div className="px-4 py-3 border-b border-slate-200">
+          <p className="text-xs font-bold uppercase tracking-wider text-slate-400 mb-2">Values</p>
+          <ul className="space-y-2 mb-2">
+            {spec.measures.map((measure, i) => (
+              <li key={i} className="flex items-center gap-2">
+                <select
+                  aria-label={`Aggregate ${i + 1}`}
+                  value={measure.agg}
+                  onChange={(e) => updateMeasure(i, { agg: e.target.value, column: measure.column || (e.target.value === 'count' ? '' : columns[0]) })}
+                  className={selectClass}
+                >
+                  {Object.entries(AGGREGATES).map(([agg, label]) => <option key={agg} value={agg}>{label}</option>)}
+                </select>
+                <span className="text-xs text-slate-400">of</span>
+                <select
+                  aria-label={`Column for aggregate ${i + 1}`}
+                  value={measure.column}
+                  onChange={(e) => updateMeasure(i, { column: e.target.value })}
+                  className={selectClass}
+                >
+                  {measure.agg === 'count' && <option value="">All rows</option>}
+                  {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => onChange({ ...spec, measures: spec.measures.filter((_, j) => j !== i) })}
+                  className="p-0.5 rounded text-slate-400 hover:text-red-600 hover:bg-red-50"
+                  title="Remove value"
+                >
+                  <X size={14} />
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            onClick={() => onChange({ ...spec, measures: [...spec.measures, { agg: 'count', column: '' }] })}
+            className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:text-indigo-700"
+          >
+            <Plus size={12} />
+            Add value
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3 text-xs">
+          {result && result.truncated && (
+            <div className="p-3 bg-amber-50 text-amber-800 rounded-md flex items-start gap-2">
+              <AlertCircle size={14} className="shrink-0 mt-0.5" />
+              <p>Only the first {MAX_PIVOT_COLUMNS} columns are shown. Use fewer column fields or values.</p>
+            </div>
+          )}
+          {result && (
+            <div className="p-3 bg-slate-50 border border-slate-200 rounded-md text-slate-600 flex items-center justify-between gap-2">
+              <span>
+                <span className="font-medium text-slate-900">{result.rows.length.toLocaleString()}</span> groups from {sourceCount.toLocaleString()} filtered rows
+              </span>
+              <button
+                type="button"
+                onClick={onTogglePivot}
+                className="font-medium text-indigo-600 hover:text-indigo-700"
+              >
+                {showingPivot ? 'Show data' : 'Show pivot'}
+              </button>
+            </div>
+          )}
+          <p className="text-slate-400">Double-click a value in the pivot to see the rows behind it. Export the pivot with the Export menu while it is shown.</p>
+        </div>
+      </div>
+    </aside>
+  );
+}
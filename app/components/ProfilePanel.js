@@ -0,0 +1,127 @@
+"use client";
+
+import React, { useMemo, useState } from 'react';
+import { ScanSearch, X, AlertTriangle, AlertCircle, Download } from 'lucide-react';
+import { TYPE_LABELS } from '../lib/schema';
+import { profileColumns, profileReportRows } from '../lib/profile';
+import { loadPapaParse } from '../lib/loaders';
+import { downloadBlob } from '../lib/download';
+import StatsChart from './StatsChart';
+
+const formatNumber = (val) => (typeof val === 'number' ? val.toLocaleString(undefined, { maximumFractionDigits: 4 }) : String(val));
+
+const Stat = ({ label, value }) => (
+  <div className="flex justify-between gap-3">
+    <span className="text-slate-500">{label}</span>
+    <span className="font-mono font-medium text-slate-800 truncate" title={String(value)}>{formatNumber(value)}</span>
+  </div>
+);
+
+// Side panel profiling every column of the rows the grid shows (filters and search applied),
+// with the report downloadable as JSON or CSV
+export default function ProfilePanel({ columns, rows, schema, fileName, onClose }) {
+  const [error, setError] = useState(null);
+  const profiles = useMemo(() => profileColumns(rows, columns, schema), [rows, columns, schema]);
+  const mixedCount = profiles.filter(p => p.mixed).length;
+  const baseName = `${fileName.replace(/\.[^/.]+$/, "")}_profile`;
+
+  const exportJSON = () => {
+    const report = { file: fileName, rows: rows.length, generatedAt: new Date().toISOString(), columns: profiles };
+    downloadBlob(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), `${baseName}.json`);
+  };
+
+  const exportCSV = async () => {
+    setError(null);
+    try {
+      const Papa = await loadPapaParse();
+      downloadBlob(new Blob([Papa.unparse(profileReportRows(profiles))], { type: 'text/csv' }), `${baseName}.csv`);
+    } catch (err) {
+      setError(`CSV export failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <aside className="w-[28rem] shrink-0 bg-white border-l border-slate-200 flex flex-col animate-in fade-in slide-in-from-right-4 duration-200">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+        <div className="flex items-center gap-2 text-indigo-600">
+          <ScanSearch size={18} />
+          <h3 className="text-sm font-bold text-slate-900">Profile</h3>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 rounded hover:bg-slate-100 text-slate-500 transition-colors"
+          title="Close"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="px-4 py-2 border-b border-slate-200 flex items-center justify-between gap-2 text-xs text-slate-500">
+        <span>
+          {rows.length.toLocaleString()} filtered rows · {columns.length} columns
+          {mixedCount > 0 && <span className="text-amber-700"> · {mixedCount} mixed</span>}
+        </span>
+        <div className="flex items-center gap-1">
+          <Download size={12} />
+          <button type="button" onClick={exportJSON} className="font-medium text-indigo-600 hover:text-indigo-700">JSON</button>
+          <span>/</span>
+          <button type="button" onClick={exportCSV} className="font-medium text-indigo-600 hover:text-indigo-700">CSV</button>
+        </div>
+      </div>
+      {error && (
+        <p className="flex items-start gap-1.5 px-4 py-2 border-b border-slate-200 text-xs text-red-600">
+          <AlertCircle size={12} className="shrink-0 mt-0.5" />
+          {error}
+        </p>
+      )}
+
+      <div className="flex-1 overflow-auto divide-y divide-slate-100">
+        {profiles.map(p => (
+          <section key={p.column} className="px-4 py-3 text-xs">
+            <div className="flex items-center justify-between gap-2 mb-2">
+              <h4 className="text-sm font-semibold text-slate-900 truncate" title={p.column}>{p.column}</h4>
+              <span className="shrink-0 px-1.5 py-0.5 rounded bg-slate-100 text-[10px] font-bold uppercase text-slate-500">{TYPE_LABELS[p.type] || p.type}</span>
+            </div>
+
+            {p.mixed && (
+              <p className="mb-2 flex items-center gap-1.5 text-amber-700" title="Values of more than one kind were found in this column">
+                <AlertTriangle size={12} className="shrink-0" />
+                Mixed types: {Object.entries(p.kinds).map(([kind, n]) => `${n.toLocaleString()} ${kind}`).join(', ')}
+              </p>
+            )}
+
+            {/* EMPTY SHARE */}
+            <div className="mb-2">
+              <div className="flex justify-between text-slate-500">
+                <span>Empty</span>
+                <span className="font-mono">{p.empty.toLocaleString()} ({p.emptyPct}%)</span>
+              </div>
+              <div className="h-1.5 bg-slate-100 rounded-full overflow-hidden">
+                <div className="h-full bg-red-300" style={{ width: `${p.emptyPct}%` }}></div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-x-4 gap-y-1">
+              <Stat label="Distinct" value={p.distinct} />
+              {p.min !== null && <Stat label="Min" value={p.min} />}
+              {p.max !== null && <Stat label="Max" value={p.max} />}
+              {p.mean !== null && <Stat label="Mean" value={p.mean} />}
+              {p.stdDev !== null && <Stat label={p.type === 'date' || p.type === 'timestamp' ? 'Std dev (days)' : 'Std dev'} value={p.stdDev} />}
+              {p.quartiles && (
+                <>
+                  <Stat label="Q1" value={p.quartiles.q1} />
+                  <Stat label="Median" value={p.quartiles.median} />
+                  <Stat label="Q3" value={p.quartiles.q3} />
+                </>
+              )}
+              {p.minLength !== null && <Stat label="Length" value={p.minLength === p.maxLength ? p.minLength : `${p.minLength}–${p.maxLength}`} />}
+            </div>
+
+            <StatsChart top={p.top} />
+          </section>
+        ))}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,142 @@
+"use client";
+
+import React, { useState } from 'react';
+import { Code, Play, Plus, X, Table2, Trash2, AlertCircle } from 'lucide-react';
+
+// Side panel with a SQL editor and the list of tables queries can use
+export default function QueryPanel({
+  tables,
+  result,
+  showingResult,
+  running,
+  error,
+  onRun,
+  onAddTable,
+  onRemoveTable,
+  onToggleResult,
+  onClose
+}) {
+  const [sql, setSql] = useState(result ? result.sql : 'SELECT * FROM data LIMIT 100');
+
+  const run = () => {
+    if (!running && sql.trim()) onRun(sql);
+  };
+
+  return (
+    <aside className="w-96 shrink-0 bg-white border-l border-slate-200 flex flex-col animate-in fade-in slide-in-from-right-4 duration-200">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+        <div className="flex items-center gap-2 text-indigo-600">
+          <Code size={18} />
+          <h3 className="text-sm font-bold text-slate-900">SQL Query</h3>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 rounded hover:bg-slate-100 text-slate-500 transition-colors"
+          title="Close"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      {/* TABLES */}
+      <div className="px-4 py-3 border-b border-slate-200">
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-xs font-bold uppercase tracking-wider text-slate-400">Tables</p>
+          <label className="flex items-center gap-1 text-xs font-medium text-slate-500 hover:text-indigo-600 cursor-pointer transition-colors">
+            <Plus size={14} />
+            Add file
+            <input
+              type="file"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files[0]) onAddTable(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </div>
+        <ul className="space-y-1 max-h-40 overflow-auto">
+          {tables.map(table => (
+            <li key={table.name} className="group flex items-center gap-2 text-sm">
+              <Table2 size={14} className="text-slate-400 shrink-0" />
+              <button
+                type="button"
+                onClick={() => setSql(prev => `${prev}${prev && !/\s$/.test(prev) ? ' ' : ''}${table.name}`)}
+                className="font-mono text-slate-800 hover:text-indigo-600 truncate"
+                title={`${table.columns.join(', ')}\n\nClick to insert the table name`}
+              >
+                {table.name}
+              </button>
+              <span className="text-xs text-slate-400 truncate flex-1" title={table.fileName}>
+                {table.rowCount.toLocaleString()} rows · {table.fileName}
+              </span>
+              {table.removable && (
+                <button
+                  type="button"
+                  onClick={() => onRemoveTable(table.name)}
+                  className="p-0.5 rounded text-slate-300 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-opacity"
+                  title="Remove table"
+                >
+                  <Trash2 size={13} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* EDITOR */}
+      <div className="flex-1 flex flex-col p-4 gap-3 min-h-0">
+        <textarea
+          aria-label="SQL query"
+          value={sql}
+          onChange={(e) => setSql(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+              e.preventDefault();
+              run();
+            }
+          }}
+          spellCheck={false}
+          className="flex-1 min-h-[10rem] w-full p-3 font-mono text-sm text-slate-800 bg-slate-50 border border-slate-200 rounded-md resize-none focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500"
+        />
+
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-[11px] text-slate-400">Ctrl+Enter to run</span>
+          <button
+            type="button"
+            onClick={run}
+            disabled={running || !sql.trim()}
+            className="flex items-center gap-2 px-4 py-1.5 bg-indigo-600 hover:bg-indigo-700 text-white rounded-md text-sm font-medium transition-colors shadow-sm disabled:opacity-50"
+          >
+            <Play size={14} />
+            {running ? 'Running...' : 'Run'}
+          </button>
+        </div>
+
+        {error && (
+          <div className="p-3 bg-red-50 text-red-700 rounded-md flex items-start gap-2 text-xs">
+            <AlertCircle size={14} className="shrink-0 mt-0.5" />
+            <pre className="whitespace-pre-wrap font-mono break-all">{error}</pre>
+          </div>
+        )}
+
+        {result && !error && (
+          <div className="p-3 bg-slate-50 border border-slate-200 rounded-md text-xs text-slate-600 flex items-center justify-between gap-2">
+            <span>
+              <span className="font-medium text-slate-900">{result.rows.length.toLocaleString()}</span> rows in {result.elapsed.toLocaleString(undefined, { maximumFractionDigits: 0 })} ms
+            </span>
+            <button
+              type="button"
+              onClick={onToggleResult}
+              className="font-medium text-indigo-600 hover:text-indigo-700"
+            >
+              {showingResult ? 'Show data' : 'Show results'}
+            </button>
+          </div>
+        )}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,176 @@
+"use client";
+
+import React, { useState, useMemo } from 'react';
+import { Replace } from 'lucide-react';
+import { findReplacements } from '../lib/replace';
+
+const PREVIEW_COUNT = 5;
+
+const inputClass = "w-full px-3 py-1.5 border border-slate-300 rounded-md text-sm focus:ring-2 focus:ring-indigo-500 outline-none";
+
+const previewText = (val) => {
+  const str = val === null || val === undefined ? '' : String(val);
+  return str.length > 40 ? `${str.slice(0, 40)}…` : str;
+};
+
+// Find & Replace over the stored rows: all or some columns, all rows or only the filtered ones.
+// The matched cell count is previewed live; onApply(changes, label) receives every changed cell
+// ([{ index, col, before, after }]) so it can be recorded as one undoable edit.
+// filteredIndexes are the data indexes of the rows the grid shows.
+export default function ReplaceDialog({ columns, rows, filteredIndexes, onApply, onClose }) {
+  const [find, setFind] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [matchCase, setMatchCase] = useState(false);
+  const [wholeCell, setWholeCell] = useState(false);
+  const [regex, setRegex] = useState(false);
+  const [selected, setSelected] = useState(() => new Set(columns));
+  const [onlyFiltered, setOnlyFiltered] = useState(filteredIndexes.length < rows.length);
+
+  const searchColumns = useMemo(() => columns.filter(col => selected.has(col)), [columns, selected]);
+
+  const preview = useMemo(() => {
+    if (searchColumns.length === 0) return { error: "Choose at least one column." };
+    try {
+      return findReplacements(rows, onlyFiltered ? filteredIndexes : null, searchColumns, { find, replacement, matchCase, wholeCell, regex });
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [rows, filteredIndexes, onlyFiltered, searchColumns, find, replacement, matchCase, wholeCell, regex]);
+
+  const toggleColumn = (col) => {
+    const next = new Set(selected);
+    if (next.has(col)) next.delete(col);
+    else next.add(col);
+    setSelected(next);
+  };
+
+  const apply = () => {
+    const { changes } = preview;
+    const where = searchColumns.length === columns.length ? '' : ` in ${searchColumns.length === 1 ? searchColumns[0] : `${searchColumns.length} columns`}`;
+    onApply(changes, `Replace "${previewText(find)}" → "${previewText(replacement)}"${where} (${changes.length.toLocaleString()} cells)`);
+  };
+
+  const canApply = !preview.error && preview.changes.length > 0;
+
+  return (
+    <div className="absolute inset-0 z-50 bg-white/80 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl border border-slate-200 max-w-2xl w-full max-h-full overflow-auto p-6 animate-in fade-in zoom-in-95 duration-200">
+        <div className="flex items-center gap-3 mb-4 text-indigo-600">
+          <Replace size={28} />
+          <h3 className="text-xl font-bold text-slate-900">Find &amp; Replace</h3>
+        </div>
+
+        <div className="space-y-4">
+          <div className="flex gap-4">
+            <div className="flex-1">
+              <label htmlFor="replace-find" className="block text-sm font-medium text-slate-700 mb-1">Find</label>
+              <input
+                id="replace-find"
+                type="text"
+                autoFocus
+                value={find}
+                onChange={(e) => setFind(e.target.value)}
+                placeholder={wholeCell ? 'Empty matches empty cells' : ''}
+                className={`${inputClass} ${regex ? 'font-mono' : ''}`}
+              />
+            </div>
+            <div className="flex-1">
+              <label htmlFor="replace-with" className="block text-sm font-medium text-slate-700 mb-1">Replace With</label>
+              <input
+                id="replace-with"
+                type="text"
+                value={replacement}
+                onChange={(e) => setReplacement(e.target.value)}
+                placeholder={regex ? 'Use $1, $2... for groups' : ''}
+                className={`${inputClass} ${regex ? 'font-mono' : ''}`}
+              />
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-x-5 gap-y-2 text-sm text-slate-700">
+            <label className="flex items-center gap-1.5 cursor-pointer">
+              <input type="checkbox" checked={matchCase} onChange={(e) => setMatchCase(e.target.checked)} />
+              Match case
+            </label>
+            <label className="flex items-center gap-1.5 cursor-pointer">
+              <input type="checkbox" checked={wholeCell} onChange={(e) => setWholeCell(e.target.checked)} />
+              Whole cell
+            </label>
+            <label className="flex items-center gap-1.5 cursor-pointer">
+              <input type="checkbox" checked={regex} onChange={(e) => setRegex(e.target.checked)} />
+              Regular expression
+            </label>
+          </div>
+
+          {/* SCOPE: columns and rows */}
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <p className="text-sm font-medium text-slate-700">Columns</p>
+              <div className="flex gap-3 text-xs font-medium">
+                <button type="button" onClick={() => setSelected(new Set(columns))} className="text-indigo-600 hover:text-indigo-700">All</button>
+                <button type="button" onClick={() => setSelected(new Set())} className="text-indigo-600 hover:text-indigo-700">None</button>
+              </div>
+            </div>
+            <div className="max-h-32 overflow-auto border border-slate-200 rounded-lg p-2 grid grid-cols-3 gap-x-3 gap-y-1">
+              {columns.map(col => (
+                <label key={col} className="flex items-center gap-1.5 text-sm text-slate-700 cursor-pointer min-w-0">
+                  <input type="checkbox" checked={selected.has(col)} onChange={() => toggleColumn(col)} />
+                  <span className="truncate" title={col}>{col}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex flex-col gap-1 text-sm text-slate-700">
+            <label className="flex items-center gap-1.5 cursor-pointer">
+              <input type="radio" name="replace-rows" checked={!onlyFiltered} onChange={() => setOnlyFiltered(false)} />
+              All {rows.length.toLocaleString()} rows
+            </label>
+            <label className={`flex items-center gap-1.5 ${filteredIndexes.length === rows.length ? 'text-slate-400' : 'cursor-pointer'}`}>
+              <input type="radio" name="replace-rows" checked={onlyFiltered} disabled={filteredIndexes.length === rows.length} onChange={() => setOnlyFiltered(true)} />
+              Only the {filteredIndexes.length.toLocaleString()} filtered rows
+            </label>
+          </div>
+
+          {/* PREVIEW: matched cell count and the first few changes */}
+          <div className="bg-slate-50 p-3 rounded-lg border border-slate-100 text-sm text-slate-700 space-y-1">
+            {preview.error ? (
+              <p className={find === '' ? 'text-slate-500' : 'text-red-600'}>{preview.error}</p>
+            ) : (
+              <>
+                <p>
+                  <span className="font-semibold">{preview.matchedCells.toLocaleString()}</span> matching cells in {preview.matchedRows.toLocaleString()} rows
+                  {preview.changes.length < preview.matchedCells && <span className="text-slate-500"> ({preview.changes.length.toLocaleString()} would change)</span>}
+                </p>
+                {preview.changes.slice(0, PREVIEW_COUNT).map((change, i) => (
+                  <p key={i} className="text-xs text-slate-500 truncate">
+                    <span className="font-mono text-slate-400">{change.col}, row {change.index + 1}:</span>{' '}
+                    <span className="line-through">{previewText(change.before)}</span> → <span className="text-slate-800">{previewText(change.after)}</span>
+                  </p>
+                ))}
+              </>
+            )}
+          </div>
+
+          <div className="flex gap-3 mt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 bg-white border border-slate-300 text-slate-700 font-medium rounded-lg hover:bg-slate-50 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={apply}
+              disabled={!canApply}
+              className="flex-1 px-4 py-2 bg-indigo-600 text-white font-medium rounded-lg hover:bg-indigo-700 transition-colors shadow-sm disabled:opacity-50"
+            >
+              Replace {canApply ? `${preview.changes.length.toLocaleString()} Cells` : ''}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
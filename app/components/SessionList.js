@@ -0,0 +1,63 @@
+"use client";
+
+import React from 'react';
+import { Clock, Camera, Trash2, HardDrive } from 'lucide-react';
+import { formatBytes } from '../lib/importFile';
+
+const formatTime = (time) => new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Home screen list of sessions saved in the browser (see lib/sessions).
+// sessions: metadata from listSessions. storage: { usage, quota } or null.
+export default function SessionList({ sessions, storage, onOpen, onDiscard }) {
+  const recent = sessions.filter(s => s.kind === 'session');
+  const snapshots = sessions.filter(s => s.kind === 'snapshot');
+
+  const renderGroup = (title, Icon, items) => items.length > 0 && (
+    <div>
+      <p className="px-1 pb-2 text-xs font-bold uppercase tracking-wider text-slate-400">{title}</p>
+      <div className="divide-y divide-slate-100 border border-slate-200 rounded-lg bg-white overflow-hidden">
+        {items.map(session => (
+          <div key={session.id} className="flex items-center gap-3 px-4 py-2.5 hover:bg-slate-50 group">
+            <Icon size={16} className="shrink-0 text-slate-400" />
+            <button
+              type="button"
+              onClick={() => onOpen(session)}
+              className="flex-1 min-w-0 text-left"
+              title={`Open ${session.name}`}
+            >
+              <p className="text-sm font-medium text-slate-800 truncate group-hover:text-indigo-600">{session.name}</p>
+              <p className="text-xs text-slate-500 truncate">
+                {session.kind === 'snapshot' && <>{session.fileName} · </>}
+                {(session.fileType || 'unknown').toUpperCase()} · {session.rowCount.toLocaleString()} rows × {session.columnCount} columns · {formatTime(session.updatedAt)}
+              </p>
+            </button>
+            <button
+              type="button"
+              onClick={() => onDiscard(session)}
+              className="p-1.5 rounded text-slate-400 hover:text-red-600 hover:bg-red-50 transition-colors"
+              title={session.kind === 'snapshot' ? 'Delete snapshot' : 'Discard session'}
+              aria-label={`Discard ${session.name}`}
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
+  if (sessions.length === 0 && !storage) return null;
+
+  return (
+    <div className="max-w-xl w-full mt-6 space-y-4 text-left">
+      {renderGroup('Recent sessions', Clock, recent)}
+      {renderGroup('Snapshots', Camera, snapshots)}
+      {storage && (
+        <p className="flex items-center justify-center gap-1.5 text-xs text-slate-400">
+          <HardDrive size={12} />
+          {formatBytes(storage.usage)} of {formatBytes(storage.quota)} browser storage used
+        </p>
+      )}
+    </div>
+  );
+}
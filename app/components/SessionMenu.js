@@ -0,0 +1,90 @@
+"use client";
+
+import React, { useState } from 'react';
+import { Camera, Trash2, HardDrive, Check, AlertCircle } from 'lucide-react';
+import { formatBytes } from '../lib/importFile';
+
+// Dropdown for the open session: autosave status, named snapshots and discarding.
+// status: { savedAt } after a save, { error } when saving failed, or null before the first save.
+export default function SessionMenu({ status, snapshots, storage, defaultName, onSaveSnapshot, onOpenSnapshot, onDiscard, onClose }) {
+  const [name, setName] = useState(defaultName);
+
+  const save = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSaveSnapshot(name.trim());
+  };
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40" onClick={onClose}></div>
+      <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg border border-slate-200 z-50 animate-in fade-in zoom-in-95 duration-100">
+        <div className="px-4 py-3 border-b border-slate-100 text-xs">
+          {status && status.error ? (
+            <p className="flex items-center gap-1.5 text-red-600"><AlertCircle size={14} /> Not saved: {status.error}</p>
+          ) : (
+            <p className="flex items-center gap-1.5 text-slate-500">
+              <Check size={14} className="text-green-600" />
+              {status ? `Saved in this browser at ${new Date(status.savedAt).toLocaleTimeString()}` : 'Saving in this browser...'}
+            </p>
+          )}
+          {storage && (
+            <p className="flex items-center gap-1.5 mt-1 text-slate-400">
+              <HardDrive size={12} /> {formatBytes(storage.usage)} of {formatBytes(storage.quota)} used
+            </p>
+          )}
+        </div>
+
+        <form onSubmit={save} className="px-4 py-3 border-b border-slate-100">
+          <label htmlFor="snapshot-name" className="block text-xs font-bold uppercase tracking-wider text-slate-400 mb-2">Save Snapshot</label>
+          <div className="flex gap-2">
+            <input
+              id="snapshot-name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="flex-1 min-w-0 px-2 py-1.5 border border-slate-300 rounded-md text-sm focus:ring-2 focus:ring-indigo-500 outline-none"
+            />
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="flex items-center gap-1.5 px-3 py-1.5 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 transition-colors disabled:opacity-50"
+            >
+              <Camera size={14} />
+              Save
+            </button>
+          </div>
+        </form>
+
+        {snapshots.length > 0 && (
+          <div className="py-1 border-b border-slate-100 max-h-56 overflow-auto">
+            <p className="px-4 py-2 text-xs font-bold uppercase tracking-wider text-slate-400">Restore Snapshot</p>
+            {snapshots.map(snapshot => (
+              <button
+                key={snapshot.id}
+                type="button"
+                onClick={() => onOpenSnapshot(snapshot)}
+                className="w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 hover:text-indigo-600 flex items-center gap-2"
+                title={`${snapshot.rowCount.toLocaleString()} rows, saved ${new Date(snapshot.updatedAt).toLocaleString()}`}
+              >
+                <Camera size={14} className="shrink-0 text-slate-400" />
+                <span className="truncate">{snapshot.name}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="py-1">
+          <button
+            type="button"
+            onClick={onDiscard}
+            className="w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50 flex items-center gap-2"
+          >
+            <Trash2 size={14} />
+            Discard session
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,54 @@
+"use client";
+
+import React from 'react';
+
+const WIDTH = 200;
+const HEIGHT = 48;
+
+// Small chart for the header stats tooltip: a histogram of numeric or date values
+// (bins from lib/charts) or the most frequent text values (top: [{ value, count }]).
+export default function StatsChart({ bins, top, formatValue = String }) {
+  if (bins && bins.length > 0) {
+    const max = Math.max(...bins.map(b => b.count));
+    const barWidth = WIDTH / bins.length;
+    return (
+      <div className="mt-2 pt-2 border-t border-slate-100">
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-12" role="img" aria-label="Distribution of values">
+          {bins.map((bin, i) => {
+            const h = max > 0 ? (bin.count / max) * HEIGHT : 0;
+            return (
+              <rect key={i} x={i * barWidth + 0.5} y={HEIGHT - h} width={Math.max(1, barWidth - 1)} height={h} className="fill-indigo-400">
+                <title>{`${formatValue(bin.x0)} – ${formatValue(bin.x1)}: ${bin.count.toLocaleString()}`}</title>
+              </rect>
+            );
+          })}
+        </svg>
+        <div className="flex justify-between text-[10px] font-mono text-slate-400">
+          <span>{formatValue(bins[0].x0)}</span>
+          <span>{formatValue(bins[bins.length - 1].x1)}</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (top && top.length > 0) {
+    const max = top[0].count;
+    return (
+      <div className="mt-2 pt-2 border-t border-slate-100 space-y-1">
+        {top.map(({ value, count }) => (
+          <div key={value} className="text-[11px]">
+            <div className="flex justify-between gap-3">
+              <span className="truncate max-w-[150px] text-slate-600" title={value}>{value}</span>
+              <span className="font-mono text-slate-400">{count.toLocaleString()}</span>
+            </div>
+            <div className="h-1.5 bg-slate-100 rounded-full overflow-hidden">
+              <div className="h-full bg-indigo-400 rounded-full" style={{ width: `${(count / max) * 100}%` }}></div>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return null;
+}
@@ -0,0 +1,61 @@
+"use client";
+
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+
+// Open datasets, one tab each. tabs: [{ id, name, fileType, unexported }] where
+// unexported marks edits that have not been exported yet.
+export default function TabBar({ tabs, activeId, disabled, onSelect, onClose, onNew }) {
+  return (
+    <div className="bg-slate-100 border-b border-slate-200 px-4 pt-2 flex items-end gap-1 overflow-x-auto" role="tablist" aria-label="Open datasets">
+      {tabs.map(tab => {
+        const active = tab.id === activeId;
+        return (
+          <div
+            key={tab.id}
+            className={`group flex items-center gap-2 max-w-[16rem] pl-3 pr-1.5 py-1.5 rounded-t-md border border-b-0 text-sm transition-colors
+              ${active
+                ? 'bg-white border-slate-200 text-slate-900 font-medium'
+                : 'bg-slate-50 border-transparent text-slate-500 hover:bg-white/70 hover:text-slate-700'}`}
+          >
+            <button
+              type="button"
+              role="tab"
+              aria-selected={active}
+              onClick={() => onSelect(tab.id)}
+              disabled={disabled && !active}
+              className="flex items-center gap-2 min-w-0"
+              title={tab.name}
+            >
+              {tab.fileType && (
+                <span className="shrink-0 text-[10px] font-bold uppercase text-slate-400">{tab.fileType}</span>
+              )}
+              <span className="truncate">{tab.name}</span>
+              {tab.unexported && <span className="shrink-0 w-1.5 h-1.5 rounded-full bg-amber-500" title="Edits not exported yet"></span>}
+            </button>
+            <button
+              type="button"
+              onClick={() => onClose(tab.id)}
+              disabled={disabled}
+              className="shrink-0 p-0.5 rounded text-slate-400 hover:text-slate-700 hover:bg-slate-200 disabled:opacity-40"
+              title="Close tab"
+              aria-label={`Close ${tab.name}`}
+            >
+              <X size={14} />
+            </button>
+          </div>
+        );
+      })}
+      <button
+        type="button"
+        onClick={onNew}
+        disabled={disabled}
+        className="mb-1 p-1.5 rounded text-slate-500 hover:text-indigo-600 hover:bg-white disabled:opacity-40"
+        title="Open another file in a new tab"
+        aria-label="New tab"
+      >
+        <Plus size={16} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+"use client";
+
+import React, { useState, useMemo } from 'react';
+import { Files, Check, Minus } from 'lucide-react';
+import { columnPresence, mergeTargets, unionColumns, SOURCE_COLUMN } from '../lib/union';
+
+// Stacking several files: shows which columns exist in which file, lets differently named
+// columns be merged and hands { mapping, sourceColumn } to onApply.
+// parts: [{ name, columns, rows, schema }] as loaded.
+export default function UnionDialog({ parts, onApply, onClose }) {
+  const [mapping, setMapping] = useState({});
+  const [sourceColumn, setSourceColumn] = useState(true);
+
+  const presence = useMemo(() => columnPresence(parts), [parts]);
+  const outputColumns = useMemo(() => unionColumns(parts, mapping, { sourceColumn }), [parts, mapping, sourceColumn]);
+  const totalRows = parts.reduce((sum, part) => sum + part.rows.length, 0);
+  const mismatched = presence.filter(p => p.files.length < parts.length).length;
+
+  const mergeInto = (column, target) => {
+    const next = { ...mapping };
+    if (target) next[column] = target;
+    else delete next[column];
+    setMapping(next);
+  };
+
+  return (
+    <div className="absolute inset-0 z-50 bg-white/80 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl border border-slate-200 max-w-3xl w-full max-h-full flex flex-col p-6 animate-in fade-in zoom-in-95 duration-200">
+        <div className="flex items-center gap-3 mb-4 text-indigo-600">
+          <Files size={28} />
+          <h3 className="text-xl font-bold text-slate-900">Combine {parts.length} Files</h3>
+        </div>
+
+        <ol className="mb-4 text-sm text-slate-600 grid grid-cols-2 gap-x-4 gap-y-1">
+          {parts.map((part, i) => (
+            <li key={i} className="flex items-center gap-2 min-w-0">
+              <span className="w-5 shrink-0 text-right font-mono text-xs text-slate-400">{i + 1}</span>
+              <span className="truncate" title={part.name}>{part.name}</span>
+              <span className="shrink-0 text-xs text-slate-400">{part.rows.length.toLocaleString()} rows</span>
+            </li>
+          ))}
+        </ol>
+
+        {/* MISMATCH REPORT: one row per column, one check per file that has it */}
+        <p className="text-sm font-medium text-slate-700 mb-1">
+          {mismatched === 0
+            ? 'All files have the same columns.'
+            : `${mismatched} of ${presence.length} columns are missing from some files. Missing values are left empty, or merge a column into one it replaces.`}
+        </p>
+        <div className="flex-1 min-h-0 overflow-auto border border-slate-200 rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-50 sticky top-0">
+              <tr>
+                <th className="px-3 py-2 text-left font-semibold text-slate-600">Column</th>
+                {parts.map((part, i) => (
+                  <th key={i} className="px-1 py-2 w-8 text-center font-mono text-xs text-slate-400" title={part.name}>{i + 1}</th>
+                ))}
+                <th className="px-3 py-2 text-left font-semibold text-slate-600">Merge Into</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {presence.map(({ column, files }) => {
+                const partial = files.length < parts.length;
+                const targets = partial ? mergeTargets(parts, mapping, column) : [];
+                return (
+                  <tr key={column} className={partial ? 'bg-amber-50/50' : ''}>
+                    <td className="px-3 py-1.5 font-medium text-slate-800 truncate max-w-[12rem]" title={column}>{column}</td>
+                    {parts.map((part, i) => (
+                      <td key={i} className="px-1 py-1.5 text-center">
+                        {files.includes(i)
+                          ? <Check size={14} className="inline text-green-600" aria-label={`in ${part.name}`} />
+                          : <Minus size={14} className="inline text-amber-500" aria-label={`missing from ${part.name}`} />}
+                      </td>
+                    ))}
+                    <td className="px-3 py-1.5">
+                      {(targets.length > 0 || mapping[column]) && (
+                        <select
+                          aria-label={`Merge ${column} into`}
+                          value={mapping[column] || ''}
+                          onChange={(e) => mergeInto(column, e.target.value)}
+                          className="w-full px-2 py-1 border border-slate-300 rounded-md bg-white text-xs focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer"
+                        >
+                          <option value="">Keep as its own column</option>
+                          {targets.map(target => <option key={target} value={target}>{target}</option>)}
+                        </select>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <label className="flex items-center gap-2 mt-4 text-sm text-slate-700 cursor-pointer">
+          <input type="checkbox" checked={sourceColumn} onChange={(e) => setSourceColumn(e.target.checked)} />
+          Add a <span className="font-mono text-indigo-600 bg-indigo-50 px-1 rounded">{SOURCE_COLUMN}</span> column with each row&apos;s file name
+        </label>
+
+        <p className="mt-3 text-sm text-slate-500">
+          Result: <span className="font-semibold text-slate-700">{totalRows.toLocaleString()}</span> rows × {outputColumns.length} columns
+        </p>
+
+        <div className="flex gap-3 mt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-white border border-slate-300 text-slate-700 font-medium rounded-lg hover:bg-slate-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onApply({ mapping, sourceColumn })}
+            className="flex-1 px-4 py-2 bg-indigo-600 text-white font-medium rounded-lg hover:bg-indigo-700 transition-colors shadow-sm"
+          >
+            Combine Files
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
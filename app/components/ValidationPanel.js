@@ -0,0 +1,234 @@
+"use client";
+
+import React, { useRef, useState } from 'react';
+import { ListChecks, X, Plus, AlertCircle, Download, FolderOpen } from 'lucide-react';
+import { RULE_KINDS, TYPE_FORMATS, createRuleId, describeRule, validateRule, serializeRules, parseRules } from '../lib/validation';
+import { downloadBlob } from '../lib/download';
+
+const selectClass = "flex-1 min-w-0 px-2 py-1 border border-slate-300 rounded-md bg-white text-sm focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer";
+const inputClass = "flex-1 min-w-0 px-2 py-1 border border-slate-300 rounded-md text-sm focus:ring-2 focus:ring-indigo-500 outline-none";
+
+const EMPTY_DRAFT = { column: '', kind: 'required', format: 'int', pattern: '', min: '', max: '', values: '' };
+
+// Only the parameters of the chosen kind end up in the rule
+const ruleFromDraft = (draft) => {
+  const rule = { id: createRuleId(), column: draft.column, kind: draft.kind };
+  switch (draft.kind) {
+    case 'type': return { ...rule, format: draft.format };
+    case 'regex': return { ...rule, pattern: draft.pattern };
+    case 'range': return { ...rule, min: draft.min.trim(), max: draft.max.trim() };
+    case 'allowed': return { ...rule, values: draft.values.split('\n').map(v => v.trim()).filter(Boolean) };
+    default: return rule;
+  }
+};
+
+// Side panel listing the validation rules per column, with the invalid cell count of each
+// column. Rule sets are saved and loaded as JSON, so they can be reused on the next file.
+export default function ValidationPanel({ columns, rules, result, onlyInvalid, fileName, onChange, onToggleOnlyInvalid, onClose }) {
+  const [draft, setDraft] = useState({ ...EMPTY_DRAFT, column: columns[0] || '' });
+  const [draftError, setDraftError] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const column = columns.includes(draft.column) ? draft.column : columns[0] || '';
+  const ruleColumns = [...new Set(rules.map(r => r.column))];
+  const invalidCells = Object.values(result.counts).reduce((a, b) => a + b, 0);
+
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setDraftError(null);
+  };
+
+  const addRule = () => {
+    const rule = ruleFromDraft({ ...draft, column });
+    const error = validateRule(rule);
+    if (error) {
+      setDraftError(error);
+      return;
+    }
+    onChange([...rules, rule]);
+    setDraft({ ...EMPTY_DRAFT, column, kind: draft.kind, format: draft.format });
+  };
+
+  const saveRules = () => {
+    const baseName = `${fileName.replace(/\.[^/.]+$/, "")}_rules`;
+    downloadBlob(new Blob([serializeRules(rules)], { type: 'application/json' }), `${baseName}.json`);
+  };
+
+  const loadRules = async (file) => {
+    try {
+      const loaded = parseRules(await file.text());
+      if (rules.length > 0 && !window.confirm(`Replace the ${rules.length} current rule${rules.length > 1 ? 's' : ''} with the ${loaded.length} in ${file.name}?`)) return;
+      onChange(loaded);
+      setLoadError(null);
+    } catch (err) {
+      setLoadError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <aside className="w-96 shrink-0 bg-white border-l border-slate-200 flex flex-col animate-in fade-in slide-in-from-right-4 duration-200">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+        <div className="flex items-center gap-2 text-indigo-600">
+          <ListChecks size={18} />
+          <h3 className="text-sm font-bold text-slate-900">Validation</h3>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 rounded hover:bg-slate-100 text-slate-500 transition-colors"
+          title="Close"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="px-4 py-2 border-b border-slate-200 space-y-2 text-xs text-slate-500">
+        <div className="flex items-center justify-between gap-2">
+          <span>
+            {invalidCells > 0
+              ? <span className="text-amber-700">{invalidCells.toLocaleString()} invalid cells in {result.rowCount.toLocaleString()} rows</span>
+              : rules.length > 0 ? 'All rows pass' : 'No rules yet'}
+          </span>
+          <div className="flex items-center gap-1">
+            <button
+              type="button"
+              onClick={saveRules}
+              disabled={rules.length === 0}
+              className="flex items-center gap-1 font-medium text-indigo-600 hover:text-indigo-700 disabled:text-slate-300 disabled:cursor-not-allowed"
+              title="Save the rules as JSON"
+            >
+              <Download size={12} /> Save
+            </button>
+            <span>/</span>
+            <button
+              type="button"
+              onClick={() => fileInputRef.current.click()}
+              className="flex items-center gap-1 font-medium text-indigo-600 hover:text-indigo-700"
+              title="Load rules saved as JSON"
+            >
+              <FolderOpen size={12} /> Load
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files[0]) loadRules(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </div>
+        </div>
+        <label className="flex items-center gap-2 cursor-pointer select-none text-slate-700">
+          <input
+            type="checkbox"
+            checked={onlyInvalid}
+            onChange={onToggleOnlyInvalid}
+            className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          Show only invalid rows
+        </label>
+        {loadError && (
+          <p className="flex items-start gap-1.5 text-red-600">
+            <AlertCircle size={12} className="shrink-0 mt-0.5" />
+            {loadError}
+          </p>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {/* RULES BY COLUMN */}
+        {ruleColumns.map(col => (
+          <div key={col} className="px-4 py-3 border-b border-slate-200">
+            <div className="flex items-center justify-between gap-2 mb-1">
+              <p className="text-sm font-semibold text-slate-900 truncate" title={col}>{col}</p>
+              {!columns.includes(col) ? (
+                <span className="shrink-0 text-[11px] text-slate-400">not in this file</span>
+              ) : result.counts[col] > 0 && (
+                <span className="shrink-0 px-1.5 py-0.5 rounded text-[11px] font-medium bg-amber-50 text-amber-700 border border-amber-100">
+                  {result.counts[col].toLocaleString()} invalid
+                </span>
+              )}
+            </div>
+            <ul className="space-y-1">
+              {rules.filter(r => r.column === col).map(rule => (
+                <li key={rule.id} className="flex items-center gap-2 text-sm">
+                  <span className="flex-1 truncate text-slate-600" title={describeRule(rule)}>{describeRule(rule)}</span>
+                  <button
+                    type="button"
+                    onClick={() => onChange(rules.filter(r => r.id !== rule.id))}
+                    className="p-0.5 rounded text-slate-400 hover:text-red-600 hover:bg-red-50"
+                    title="Remove rule"
+                  >
+                    <X size={14} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+
+        {/* NEW RULE */}
+        <div className="px-4 py-3 space-y-2">
+          <p className="text-xs font-bold uppercase tracking-wider text-slate-400">Add Rule</p>
+          <div className="flex items-center gap-2">
+            <select aria-label="Column" value={column} onChange={(e) => updateDraft({ column: e.target.value })} className={selectClass}>
+              {columns.map(col => <option key={col} value={col}>{col}</option>)}
+            </select>
+            <select aria-label="Rule" value={draft.kind} onChange={(e) => updateDraft({ kind: e.target.value })} className={selectClass}>
+              {Object.entries(RULE_KINDS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+            </select>
+          </div>
+
+          {draft.kind === 'type' && (
+            <select aria-label="Type" value={draft.format} onChange={(e) => updateDraft({ format: e.target.value })} className={`${selectClass} w-full`}>
+              {Object.entries(TYPE_FORMATS).map(([format, label]) => <option key={format} value={format}>{label}</option>)}
+            </select>
+          )}
+          {draft.kind === 'regex' && (
+            <input
+              type="text"
+              value={draft.pattern}
+              onChange={(e) => updateDraft({ pattern: e.target.value })}
+              placeholder="e.g. ^[A-Z]{2}\d{4}$"
+              className={`${inputClass} w-full font-mono`}
+            />
+          )}
+          {draft.kind === 'range' && (
+            <div className="flex items-center gap-2">
+              <input type="text" value={draft.min} onChange={(e) => updateDraft({ min: e.target.value })} placeholder="Min" className={inputClass} />
+              <span className="text-xs text-slate-400">to</span>
+              <input type="text" value={draft.max} onChange={(e) => updateDraft({ max: e.target.value })} placeholder="Max" className={inputClass} />
+            </div>
+          )}
+          {draft.kind === 'allowed' && (
+            <textarea
+              value={draft.values}
+              onChange={(e) => updateDraft({ values: e.target.value })}
+              placeholder="One value per line"
+              rows={4}
+              className={`${inputClass} w-full resize-y`}
+            />
+          )}
+
+          {draftError && (
+            <p className="flex items-center gap-1.5 text-xs text-red-600">
+              <AlertCircle size={12} className="shrink-0" />
+              {draftError}
+            </p>
+          )}
+          <button
+            type="button"
+            onClick={addRule}
+            disabled={!column}
+            className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:text-indigo-700 disabled:text-slate-300 disabled:cursor-not-allowed"
+          >
+            <Plus size={14} /> Add rule
+          </button>
+        </div>
+      </div>
+    </aside>
+  );
+}
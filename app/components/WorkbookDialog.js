@@ -0,0 +1,102 @@
+"use client";
+
+import React, { useState } from 'react';
+import { FileSpreadsheet } from 'lucide-react';
+
+// Import options for an Excel workbook: which sheet to load and which row holds the headers.
+// sheets: [{ name, rowCount, preview: [[text]] }] from the parse worker (describeWorkbook)
+export default function WorkbookDialog({ fileName, sheets, onImport, onClose }) {
+  const [sheetName, setSheetName] = useState(sheets[0] ? sheets[0].name : '');
+  const [headerRow, setHeaderRow] = useState(1);
+
+  const sheet = sheets.find(s => s.name === sheetName) || sheets[0];
+  const preview = sheet ? sheet.preview : [];
+  const previewWidth = preview.reduce((max, row) => Math.max(max, row.length), 0);
+  const headerRowValid = Number.isInteger(headerRow) && headerRow >= 0 && headerRow <= Math.max(1, sheet ? sheet.rowCount : 0);
+
+  return (
+    <div className="absolute inset-0 z-50 bg-white/80 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl border border-slate-200 max-w-2xl w-full max-h-full flex flex-col p-6 animate-in fade-in zoom-in-95 duration-200">
+        <div className="flex items-center gap-3 mb-4 text-indigo-600">
+          <FileSpreadsheet size={28} />
+          <h3 className="text-xl font-bold text-slate-900">Import Workbook</h3>
+        </div>
+
+        <div className="space-y-4 min-h-0 flex flex-col">
+          <div className="bg-slate-50 p-3 rounded-lg border border-slate-100">
+            <p className="text-xs text-slate-500 font-medium uppercase mb-1">Selected File</p>
+            <p className="text-sm text-slate-800 font-semibold truncate">{fileName}</p>
+          </div>
+
+          <div className="flex gap-4">
+            {sheets.length > 1 && (
+              <div className="flex-1">
+                <label htmlFor="workbook-sheet" className="block text-sm font-medium text-slate-700 mb-1">Sheet</label>
+                <select
+                  id="workbook-sheet"
+                  value={sheetName}
+                  onChange={(e) => setSheetName(e.target.value)}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md bg-white text-sm focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer"
+                >
+                  {sheets.map(s => (
+                    <option key={s.name} value={s.name}>{s.name} ({s.rowCount.toLocaleString()} rows)</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className={sheets.length > 1 ? 'w-40' : 'flex-1'}>
+              <label htmlFor="workbook-header-row" className="block text-sm font-medium text-slate-700 mb-1">Header Row</label>
+              <input
+                id="workbook-header-row"
+                type="number"
+                min={0}
+                value={headerRow}
+                onChange={(e) => setHeaderRow(e.target.value === '' ? '' : Number(e.target.value))}
+                className="w-full px-3 py-2 border border-slate-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+              />
+              <p className="mt-1 text-xs text-slate-500">0 if the sheet has no header row.</p>
+            </div>
+          </div>
+
+          {/* PREVIEW: first rows of the sheet with the header row highlighted */}
+          {preview.length > 0 ? (
+            <div className="overflow-auto border border-slate-200 rounded-lg min-h-0">
+              <table className="text-xs text-slate-700 border-collapse">
+                <tbody>
+                  {preview.map((row, r) => (
+                    <tr key={r} className={r + 1 === headerRow ? 'bg-indigo-50 font-bold text-indigo-800' : r + 1 < headerRow ? 'text-slate-300' : ''}>
+                      <td className="px-2 py-1 font-mono text-slate-400 bg-slate-50 border-r border-b border-slate-200">{r + 1}</td>
+                      {Array.from({ length: previewWidth }, (_, c) => (
+                        <td key={c} className="px-2 py-1 border-r border-b border-slate-100 whitespace-nowrap max-w-[12rem] truncate">{row[c]}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-slate-500">This sheet is empty.</p>
+          )}
+
+          <div className="flex gap-3 mt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 bg-white border border-slate-300 text-slate-700 font-medium rounded-lg hover:bg-slate-50 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => onImport({ sheet: sheet.name, headerRow })}
+              disabled={!sheet || !headerRowValid}
+              className="flex-1 px-4 py-2 bg-indigo-600 text-white font-medium rounded-lg hover:bg-indigo-700 transition-colors shadow-sm disabled:opacity-50"
+            >
+              Import Data
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
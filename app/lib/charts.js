@@ -0,0 +1,217 @@
+import { isEmptyValue } from './schema';
+
+// -- CHARTS --
+// Data preparation for the header tooltip charts and the chart view. Charts are drawn as
+// plain SVG by the components, so they can be downloaded without any charting service.
+
+export const CHART_TYPES = {
+  bar: 'Bar',
+  line: 'Line',
+  scatter: 'Scatter',
+  histogram: 'Histogram'
+};
+
+export const CHART_AGGREGATES = {
+  count: 'Count of rows',
+  sum: 'Sum',
+  avg: 'Average',
+  min: 'Min',
+  max: 'Max'
+};
+
+// Categories and points beyond these are dropped to keep the SVG responsive
+export const MAX_CATEGORIES = 50;
+export const MAX_POINTS = 5000;
+
+// Number for a numeric or date value, or null. Dates become epoch milliseconds.
+export const toNumber = (val, isDate = false) => {
+  if (isEmptyValue(val)) return null;
+  if (val instanceof Date) return val.getTime();
+  if (isDate) {
+    const ms = Date.parse(val);
+    return isNaN(ms) ? null : ms;
+  }
+  const n = Number(val);
+  return isNaN(n) ? null : n;
+};
+
+// Equal-width bins over sorted or unsorted numbers: [{ x0, x1, count }]
+export const histogramBins = (values, binCount = 20) => {
+  if (values.length === 0) return [];
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (min === max) return [{ x0: min, x1: max, count: values.length }];
+  const width = (max - min) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ x0: min + i * width, x1: min + (i + 1) * width, count: 0 }));
+  for (const v of values) {
+    bins[Math.min(binCount - 1, Math.floor((v - min) / width))].count++;
+  }
+  return bins;
+};
+
+// Most frequent non-empty values: { values: [{ value, count }], distinct }
+export const topValues = (values, limit = 5) => {
+  const counts = new Map();
+  for (const val of values) {
+    const key = String(val);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return { values: sorted.slice(0, limit).map(([value, count]) => ({ value, count })), distinct: counts.size };
+};
+
+const aggregateValues = (agg, values) => {
+  if (agg === 'count') return values.length;
+  const nums = values.filter(n => n !== null);
+  if (nums.length === 0) return null;
+  if (agg === 'sum') return nums.reduce((a, b) => a + b, 0);
+  if (agg === 'avg') return nums.reduce((a, b) => a + b, 0) / nums.length;
+  // reduce() rather than Math.min(...nums), which overflows the stack on large groups
+  if (agg === 'min') return nums.reduce((a, b) => (b < a ? b : a));
+  if (agg === 'max') return nums.reduce((a, b) => (b > a ? b : a));
+  return null;
+};
+
+// Evenly spaced sample of at most max items, so the shape of the data survives
+const sample = (items, max) => {
+  const step = Math.ceil(items.length / max);
+  return step > 1 ? items.filter((_, i) => i % step === 0) : items;
+};
+
+const isDateType = (schema, col) => Boolean(schema[col]) && (schema[col].type === 'date' || schema[col].type === 'timestamp');
+const isNumericType = (schema, col) => Boolean(schema[col]) && (schema[col].type === 'int64' || schema[col].type === 'double');
+
+// Builds what a chart draws from the rows. spec: { type, x, y, agg, bins }. Returns
+// { kind: 'categories', items: [{ label, value }], line } for bar charts and line charts over text,
+// { kind: 'points', points: [{ x, y }], xDate, line } for line and scatter charts,
+// { kind: 'bins', bins, xDate } for histograms, plus 'dropped' when the data was cut down,
+// or { error } when the chosen columns cannot be charted.
+export const buildChart = (rows, spec, schema = {}) => {
+  const { type, x, y, agg = 'count', bins = 20 } = spec;
+  if (!x) return { error: 'Choose a column for the X axis.' };
+  const needsY = type === 'scatter' || agg !== 'count';
+  if (needsY && !y) return { error: 'Choose a column for the Y axis.' };
+  const xDate = isDateType(schema, x);
+
+  if (type === 'histogram') {
+    const values = [];
+    for (const row of rows) {
+      const n = toNumber(row[x], xDate);
+      if (n !== null) values.push(n);
+    }
+    if (values.length === 0) return { error: `${x} has no numeric values to bin.` };
+    return { kind: 'bins', bins: histogramBins(values, bins), xDate };
+  }
+
+  if (type === 'scatter') {
+    const points = [];
+    for (const row of rows) {
+      const px = toNumber(row[x], xDate);
+      const py = toNumber(row[y]);
+      if (px !== null && py !== null) points.push({ x: px, y: py });
+    }
+    if (points.length === 0) return { error: `No rows have numeric values in both ${x} and ${y}.` };
+    const sampled = sample(points, MAX_POINTS);
+    return { kind: 'points', points: sampled, xDate, line: false, dropped: points.length - sampled.length };
+  }
+
+  // Bar and line charts aggregate Y per distinct X value
+  const groups = new Map();
+  for (const row of rows) {
+    const key = isEmptyValue(row[x]) ? '' : String(row[x]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(agg === 'count' ? 1 : toNumber(row[y]));
+  }
+
+  if (type === 'line') {
+    const numericX = xDate || isNumericType(schema, x) || [...groups.keys()].every(k => k === '' || !isNaN(Number(k)));
+    const points = [];
+    groups.forEach((values, key) => {
+      const px = numericX ? toNumber(key, xDate) : null;
+      const py = aggregateValues(agg, values);
+      if ((px !== null || !numericX) && py !== null) points.push({ x: px, label: key, y: py });
+    });
+    if (points.length === 0) return { error: `No values to plot for ${x}.` };
+    if (numericX) {
+      points.sort((a, b) => a.x - b.x);
+      const sampled = sample(points, MAX_POINTS);
+      return { kind: 'points', points: sampled, xDate, line: true, dropped: points.length - sampled.length };
+    }
+    // Text X values are spaced evenly in their sorted order, each with its own label
+    points.sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+    const sampled = sample(points, MAX_CATEGORIES);
+    return {
+      kind: 'categories',
+      items: sampled.map(p => ({ label: p.label === '' ? '(empty)' : p.label, value: p.y })),
+      line: true,
+      dropped: points.length - sampled.length
+    };
+  }
+
+  const items = [];
+  groups.forEach((values, key) => {
+    const value = aggregateValues(agg, values);
+    if (value !== null) items.push({ label: key === '' ? '(empty)' : key, value });
+  });
+  items.sort((a, b) => b.value - a.value);
+  return { kind: 'categories', items: items.slice(0, MAX_CATEGORIES), dropped: Math.max(0, items.length - MAX_CATEGORIES) };
+};
+
+// About 'count' round tick values covering [min, max]
+export const niceTicks = (min, max, count = 5) => {
+  if (min === max) return [min];
+  const span = max - min;
+  const step0 = span / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(step0)));
+  const residual = step0 / magnitude;
+  const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+  const ticks = [];
+  for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) {
+    ticks.push(Number(t.toPrecision(12)));
+  }
+  return ticks;
+};
+
+export const formatTick = (val, isDate = false) => {
+  if (isDate) return new Date(val).toLocaleDateString();
+  return val.toLocaleString(undefined, { maximumFractionDigits: 2, notation: Math.abs(val) >= 1e6 ? 'compact' : 'standard' });
+};
+
+// -- DOWNLOADS --
+
+// Standalone SVG document text for a rendered chart
+export const svgMarkup = (svg) => {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  const { width, height } = svg.viewBox.baseVal;
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+};
+
+// Rasterises a rendered chart on a white background; resolves to a PNG blob
+export const svgToPng = (svg, scale = 2) => new Promise((resolve, reject) => {
+  const { width, height } = svg.viewBox.baseVal;
+  const url = URL.createObjectURL(new Blob([svgMarkup(svg)], { type: 'image/svg+xml' }));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("The chart could not be converted to PNG."))), 'image/png');
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error("The chart could not be converted to PNG."));
+  };
+  img.src = url;
+});
@@ -0,0 +1,73 @@
+import { isEmptyValue } from './schema';
+
+// -- DUPLICATE ROWS --
+// Rows are duplicates when their key columns hold the same text: all columns for exact
+// duplicates, or a chosen set of keys. Empty and missing values count as ''. With keys chosen,
+// rows whose key cells are all empty are left alone rather than grouped together.
+
+export const KEEP_OPTIONS = {
+  first: 'Keep the first row',
+  last: 'Keep the last row',
+  fewestEmpty: 'Keep the row with the fewest empty cells'
+};
+
+const KEY_SEPARATOR = '\u001f';
+
+const keyText = (val, trim, ignoreCase) => {
+  let text = isEmptyValue(val) ? '' : String(val);
+  if (trim) text = text.trim();
+  return ignoreCase ? text.toLowerCase() : text;
+};
+
+// Groups of row indexes sharing a key, each with at least two rows, ordered by their first row.
+// options: { trim, ignoreCase, skipEmpty }
+export const duplicateGroups = (rows, columns, { trim = false, ignoreCase = false, skipEmpty = false } = {}) => {
+  const byKey = new Map();
+  rows.forEach((row, i) => {
+    const parts = columns.map(col => keyText(row[col], trim, ignoreCase));
+    if (skipEmpty && parts.every(p => p === '')) return;
+    const key = parts.join(KEY_SEPARATOR);
+    const group = byKey.get(key);
+    if (group) group.push(i);
+    else byKey.set(key, [i]);
+  });
+
+  const groups = [];
+  for (const group of byKey.values()) {
+    if (group.length > 1) groups.push(group);
+  }
+  return groups;
+};
+
+const emptyCount = (row, columns) => columns.reduce((n, col) => n + (isEmptyValue(row[col]) ? 1 : 0), 0);
+
+// Index of the row to keep in a group; ties on empty cells go to the first row
+const keptIndex = (rows, group, keep, columns) => {
+  if (keep === 'last') return group[group.length - 1];
+  if (keep === 'fewestEmpty') {
+    let best = group[0];
+    let bestEmpty = emptyCount(rows[best], columns);
+    for (const i of group.slice(1)) {
+      const empty = emptyCount(rows[i], columns);
+      if (empty < bestEmpty) {
+        best = i;
+        bestEmpty = empty;
+      }
+    }
+    return best;
+  }
+  return group[0];
+};
+
+// Indexes of the rows to remove so one row of each group remains, ascending.
+// columns are the ones counted for 'fewestEmpty'.
+export const duplicatesToRemove = (rows, groups, keep, columns) => {
+  const remove = [];
+  groups.forEach(group => {
+    const kept = keptIndex(rows, group, keep, columns);
+    group.forEach(i => {
+      if (i !== kept) remove.push(i);
+    });
+  });
+  return remove.sort((a, b) => a - b);
+};
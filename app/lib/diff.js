@@ -0,0 +1,181 @@
+import { isEmptyValue } from './schema';
+
+// -- DATASET DIFF --
+// Compares the current dataset (base) with another version of it. Rows are aligned on key
+// columns, trimmed, or by position when no key is chosen; with repeated keys the nth row of a
+// key in one file pairs with the nth in the other. Cells are compared on their text, with
+// empty and missing values equal, and only in columns both files have.
+
+export const CHANGE_TYPES = {
+  added: 'Added',
+  removed: 'Removed',
+  modified: 'Modified',
+  unchanged: 'Unchanged'
+};
+
+const KEY_SEPARATOR = '\u001f';
+
+const cellText = (val) => (isEmptyValue(val) ? '' : String(val));
+
+const rowKey = (row, keys) => keys.map(col => cellText(row[col]).trim()).join(KEY_SEPARATOR);
+
+// base and other: { columns, rows }. Returns
+// { columns, addedColumns, removedColumns, keys, entries, counts, columnCounts, duplicateKeys }
+// where entries are [{ change, baseIndex, otherIndex, changed }] in base order, added rows last,
+// and duplicateKeys: { base, other } counts the rows of each file repeating a key seen above.
+export const diffDatasets = (base, other, keys = []) => {
+  const shared = base.columns.filter(col => other.columns.includes(col));
+  const addedColumns = other.columns.filter(col => !base.columns.includes(col));
+  const removedColumns = base.columns.filter(col => !other.columns.includes(col));
+  const entries = [];
+  const counts = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+  const columnCounts = {};
+  shared.forEach(col => { columnCounts[col] = 0; });
+  const duplicateKeys = { base: 0, other: 0 };
+
+  const push = (change, baseIndex, otherIndex) => {
+    let changed = [];
+    if (change === 'modified') {
+      const before = base.rows[baseIndex];
+      const after = other.rows[otherIndex];
+      changed = shared.filter(col => cellText(before[col]) !== cellText(after[col]));
+      if (changed.length === 0) change = 'unchanged';
+      changed.forEach(col => { columnCounts[col]++; });
+    }
+    counts[change]++;
+    entries.push({ change, baseIndex, otherIndex, changed });
+  };
+
+  if (keys.length === 0) {
+    const paired = Math.min(base.rows.length, other.rows.length);
+    for (let i = 0; i < base.rows.length; i++) push(i < paired ? 'modified' : 'removed', i, i < paired ? i : null);
+    for (let i = paired; i < other.rows.length; i++) push('added', null, i);
+  } else {
+    // Other-file row indexes per key, taken in order as base rows claim them
+    const byKey = new Map();
+    other.rows.forEach((row, i) => {
+      const key = rowKey(row, keys);
+      const list = byKey.get(key);
+      if (list) {
+        list.push(i);
+        duplicateKeys.other++;
+      } else {
+        byKey.set(key, [i]);
+      }
+    });
+    const matched = new Set();
+    const baseKeys = new Set();
+    base.rows.forEach((row, i) => {
+      const key = rowKey(row, keys);
+      if (baseKeys.has(key)) duplicateKeys.base++;
+      else baseKeys.add(key);
+      const list = byKey.get(key);
+      const otherIndex = list && list.length > 0 ? list.shift() : null;
+      if (otherIndex === null) {
+        push('removed', i, null);
+        return;
+      }
+      matched.add(otherIndex);
+      push('modified', i, otherIndex);
+    });
+    other.rows.forEach((_, i) => {
+      if (!matched.has(i)) push('added', null, i);
+    });
+  }
+
+  return {
+    columns: [...base.columns, ...addedColumns],
+    addedColumns,
+    removedColumns,
+    keys,
+    entries,
+    counts,
+    columnCounts,
+    duplicateKeys
+  };
+};
+
+// Rows for the grid: one per entry of the given change types, with the change in changeColumn
+// and the values of the newer side (the base row for removed ones). cells maps each grid row
+// to its entry, so changed cells can be highlighted with their previous value.
+export const diffGridRows = (diff, base, other, types, changeColumn) => {
+  const rows = [];
+  const cells = new Map();
+  diff.entries.forEach(entry => {
+    if (!types.includes(entry.change)) return;
+    const source = entry.change === 'removed' ? base.rows[entry.baseIndex] : other.rows[entry.otherIndex];
+    const row = { [changeColumn]: entry.change };
+    diff.columns.forEach(col => { row[col] = source[col]; });
+    rows.push(row);
+    cells.set(row, { ...entry, before: entry.baseIndex === null ? null : base.rows[entry.baseIndex] });
+  });
+  return { rows, cells };
+};
+
+// -- CHANGESETS --
+
+// Position of a row as shown in the grid, 1-based; '' when the row is not in that file
+const rowNumber = (index) => (index === null ? '' : index + 1);
+
+const entryKey = (diff, base, other, entry) => {
+  if (diff.keys.length === 0) return '';
+  const row = entry.baseIndex === null ? other.rows[entry.otherIndex] : base.rows[entry.baseIndex];
+  return diff.keys.map(col => cellText(row[col]).trim()).join(' | ');
+};
+
+// One flat record per changed cell, for CSV: added and removed rows list each of their non-empty cells
+export const changesetRows = (diff, base, other) => {
+  const records = [];
+  diff.entries.forEach(entry => {
+    if (entry.change === 'unchanged') return;
+    const before = entry.baseIndex === null ? null : base.rows[entry.baseIndex];
+    const after = entry.otherIndex === null ? null : other.rows[entry.otherIndex];
+    const record = (column) => records.push({
+      change: entry.change,
+      key: entryKey(diff, base, other, entry),
+      base_row: rowNumber(entry.baseIndex),
+      compare_row: rowNumber(entry.otherIndex),
+      column,
+      before: before ? cellText(before[column]) : '',
+      after: after ? cellText(after[column]) : ''
+    });
+    if (entry.change === 'modified') {
+      entry.changed.forEach(record);
+    } else {
+      const row = before || after;
+      Object.keys(row).filter(col => !isEmptyValue(row[col])).forEach(record);
+    }
+  });
+  return records;
+};
+
+// The whole diff as one JSON-ready object: summary counts and one change per row
+export const changesetReport = (diff, base, other, { baseName, otherName }) => ({
+  base: baseName,
+  compare: otherName,
+  keys: diff.keys,
+  generatedAt: new Date().toISOString(),
+  summary: {
+    ...diff.counts,
+    addedColumns: diff.addedColumns,
+    removedColumns: diff.removedColumns,
+    changedCellsByColumn: diff.columnCounts
+  },
+  changes: diff.entries.filter(entry => entry.change !== 'unchanged').map(entry => {
+    const change = {
+      change: entry.change,
+      key: entryKey(diff, base, other, entry) || undefined,
+      baseRow: rowNumber(entry.baseIndex) || undefined,
+      compareRow: rowNumber(entry.otherIndex) || undefined
+    };
+    if (entry.change === 'added') change.row = other.rows[entry.otherIndex];
+    else if (entry.change === 'removed') change.row = base.rows[entry.baseIndex];
+    else {
+      change.cells = {};
+      entry.changed.forEach(col => {
+        change.cells[col] = { before: base.rows[entry.baseIndex][col], after: other.rows[entry.otherIndex][col] };
+      });
+    }
+    return change;
+  })
+});
@@ -0,0 +1,13 @@
+// -- DOWNLOADS --
+
+// Saves a blob through a temporary link, as a file named 'filename'
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,175 @@
+import { isEmptyValue, normalizeValue } from './schema';
+import { loadExcelJS } from './loaders';
+
+// -- EXCEL WORKBOOKS --
+// Reads and writes .xlsx with ExcelJS. Workbooks are read in the parse worker (sheet list and
+// rows); the page loads ExcelJS only to export one. ExcelJS already turns date serials in
+// date-formatted cells into Dates, honouring the workbook's 1900/1904 date system.
+
+export const loadWorkbook = async (file) => {
+  const ExcelJS = await loadExcelJS();
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  return workbook;
+};
+
+// Plain value of a cell: formulas give their cached result, rich text and links their text
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if ('result' in value) return cellValue(value.result);
+  if ('formula' in value || 'sharedFormula' in value) return null;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('text' in value) return cellValue(value.text);
+  if ('error' in value) return value.error;
+  return JSON.stringify(value);
+};
+
+// Worksheet as an array of rows, each an array of plain cell values (0-based)
+export const sheetRows = (worksheet) => {
+  const rows = [];
+  const values = worksheet.getSheetValues();
+  for (let r = 1; r < values.length; r++) {
+    const row = values[r] || [];
+    const out = [];
+    for (let c = 1; c < row.length; c++) out.push(cellValue(row[c]));
+    rows.push(out);
+  }
+  return rows;
+};
+
+// Sheet list with a few leading rows, for the sheet picker and header-row choice
+export const describeWorkbook = async (file, previewRows = 8) => {
+  const workbook = await loadWorkbook(file);
+  return workbook.worksheets.map(worksheet => ({
+    name: worksheet.name,
+    rowCount: worksheet.actualRowCount,
+    preview: sheetRows(worksheet).slice(0, previewRows).map(row => row.map(val => {
+      if (val instanceof Date) return normalizeValue(val, 'timestamp');
+      return val === null || val === undefined ? '' : String(val);
+    }))
+  }));
+};
+
+const isMidnight = (date) => date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+
+const valueType = (val) => {
+  if (val instanceof Date) return isMidnight(val) ? 'date' : 'timestamp';
+  if (typeof val === 'number') return Number.isInteger(val) ? 'int64' : 'double';
+  if (typeof val === 'boolean') return 'boolean';
+  return 'string';
+};
+
+const WIDER_TYPE = { 'int64|double': 'double', 'date|timestamp': 'timestamp' };
+
+const mergeTypes = (a, b) => {
+  if (!a || a === b) return b;
+  return WIDER_TYPE[`${a}|${b}`] || WIDER_TYPE[`${b}|${a}`] || 'string';
+};
+
+// Header names for the grid: blanks get a generated name, repeats a numeric suffix
+const headerNames = (cells, count) => {
+  const names = [];
+  for (let i = 0; i < count; i++) {
+    const raw = cells[i];
+    const base = isEmptyValue(raw) ? `Column ${i + 1}` : String(raw instanceof Date ? normalizeValue(raw, 'timestamp') : raw).trim() || `Column ${i + 1}`;
+    let name = base;
+    let n = 2;
+    while (names.includes(name)) name = `${base}_${n++}`;
+    names.push(name);
+  }
+  return names;
+};
+
+// Turns sheet rows into grid rows. headerRow is 1-based; 0 means the sheet has no header.
+// Column types come from the cell types Excel stored, not from guessing at text.
+export const sheetToTable = (rows, headerRow = 1) => {
+  const body = rows.slice(headerRow).filter(row => row.some(val => !isEmptyValue(val)));
+  const header = headerRow > 0 ? rows[headerRow - 1] || [] : [];
+  const width = body.reduce((max, row) => Math.max(max, row.length), header.length);
+  const columns = headerNames(header, width);
+
+  const schema = {};
+  columns.forEach((col, i) => {
+    let type = null;
+    let nullable = false;
+    for (const row of body) {
+      const val = row[i];
+      if (isEmptyValue(val)) nullable = true;
+      else type = mergeTypes(type, valueType(val));
+    }
+    schema[col] = { type: type || 'string', nullable, source: 'file' };
+  });
+
+  const tableRows = body.map(row => {
+    const out = {};
+    columns.forEach((col, i) => {
+      const val = row[i];
+      if (isEmptyValue(val)) out[col] = '';
+      else if (val instanceof Date) out[col] = normalizeValue(val, schema[col].type === 'date' ? 'date' : 'timestamp');
+      else out[col] = val;
+    });
+    return out;
+  });
+
+  return { columns, rows: tableRows, schema };
+};
+
+// -- EXPORT --
+
+const NUMBER_FORMATS = {
+  date: 'yyyy-mm-dd',
+  timestamp: 'yyyy-mm-dd hh:mm:ss'
+};
+
+// Converts a grid value to a typed cell value, keeping the text when it does not fit the type
+const excelValue = (val, type) => {
+  if (isEmptyValue(val)) return null;
+  switch (type) {
+    case 'int64':
+    case 'double': {
+      const num = typeof val === 'number' ? val : Number(String(val).trim());
+      return Number.isFinite(num) ? num : String(val);
+    }
+    case 'boolean': {
+      if (typeof val === 'boolean') return val;
+      const str = String(val).trim().toLowerCase();
+      return str === 'true' ? true : str === 'false' ? false : String(val);
+    }
+    case 'date':
+    case 'timestamp': {
+      const str = String(val).trim();
+      // Dates without a zone are taken as UTC so they round-trip unchanged
+      const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(str) ? `${str}T00:00:00Z` : str.replace(' ', 'T'));
+      return isNaN(date.getTime()) ? str : date;
+    }
+    default:
+      return typeof val === 'object' ? JSON.stringify(val) : val;
+  }
+};
+
+// Builds an .xlsx file with typed cells and a bold, frozen header row
+export const buildWorkbook = async (rows, columns, schema, sheetName = 'Data') => {
+  const ExcelJS = await loadExcelJS();
+  const workbook = new ExcelJS.Workbook();
+  // Excel limits sheet names to 31 characters and rejects a few symbols
+  const safeName = sheetName.replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || 'Data';
+  const worksheet = workbook.addWorksheet(safeName, {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  const types = columns.map(col => (schema[col] ? schema[col].type : 'string'));
+  worksheet.columns = columns.map((col, i) => ({
+    header: col,
+    key: col,
+    width: Math.min(40, Math.max(10, col.length + 2)),
+    style: NUMBER_FORMATS[types[i]] ? { numFmt: NUMBER_FORMATS[types[i]] } : {}
+  }));
+  worksheet.getRow(1).font = { bold: true };
+
+  rows.forEach(row => {
+    worksheet.addRow(columns.map((col, i) => excelValue(row[col], types[i])));
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
@@ -0,0 +1,289 @@
+import { isEmptyValue } from './schema';
+
+// -- COMPUTED COLUMN EXPRESSIONS --
+// A small, safe expression language for computed columns (no eval):
+//   price * qty            arithmetic: + - * / %
+//   upper(name)            function calls, see FUNCTIONS
+//   first & ' ' & last     & joins text
+//   [unit price] > 10      [brackets] or `backticks` for names with spaces
+//   qty >= 10 and not discontinued
+// Column values are read from the row; empty cells evaluate to null.
+
+const toNumber = (val) => {
+  if (val === null || val === undefined || val === '') return null;
+  if (typeof val === 'boolean') return val ? 1 : 0;
+  const num = Number(val);
+  return isNaN(num) ? null : num;
+};
+
+const toText = (val) => val === null || val === undefined ? '' : String(val);
+
+const toBool = (val) => {
+  if (typeof val === 'string') return val !== '' && val.toLowerCase() !== 'false' && val !== '0';
+  return Boolean(val);
+};
+
+const toDate = (val) => {
+  if (isEmptyValue(val)) return null;
+  const date = new Date(typeof val === 'number' ? val : String(val).trim().replace(' ', 'T'));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const numeric = (fn) => (...args) => {
+  const nums = args.map(toNumber);
+  return nums.some(n => n === null) ? null : fn(...nums);
+};
+
+export const FUNCTIONS = {
+  upper: (s) => toText(s).toUpperCase(),
+  lower: (s) => toText(s).toLowerCase(),
+  trim: (s) => toText(s).trim(),
+  len: (s) => toText(s).length,
+  concat: (...args) => args.map(toText).join(''),
+  left: (s, n) => toText(s).slice(0, toNumber(n) || 0),
+  right: (s, n) => { const t = toText(s); return t.slice(Math.max(0, t.length - (toNumber(n) || 0))); },
+  substr: (s, start, length) => {
+    const from = Math.max(0, (toNumber(start) || 1) - 1);
+    return length === undefined ? toText(s).slice(from) : toText(s).slice(from, from + (toNumber(length) || 0));
+  },
+  replace: (s, find, replacement) => toText(s).split(toText(find)).join(toText(replacement)),
+  round: (x, digits) => {
+    const n = toNumber(x);
+    if (n === null) return null;
+    const f = Math.pow(10, toNumber(digits) || 0);
+    return Math.round(n * f) / f;
+  },
+  abs: numeric(Math.abs),
+  floor: numeric(Math.floor),
+  ceil: numeric(Math.ceil),
+  min: (...args) => { const nums = args.map(toNumber).filter(n => n !== null); return nums.length ? Math.min(...nums) : null; },
+  max: (...args) => { const nums = args.map(toNumber).filter(n => n !== null); return nums.length ? Math.max(...nums) : null; },
+  number: toNumber,
+  text: toText,
+  if: (cond, a, b) => toBool(cond) ? a : (b === undefined ? null : b),
+  coalesce: (...args) => { const found = args.find(a => !isEmptyValue(a)); return found === undefined ? null : found; },
+  isempty: (val) => isEmptyValue(val),
+  year: (d) => { const date = toDate(d); return date ? date.getUTCFullYear() : null; },
+  month: (d) => { const date = toDate(d); return date ? date.getUTCMonth() + 1 : null; },
+  day: (d) => { const date = toDate(d); return date ? date.getUTCDate() : null; }
+};
+
+// -- TOKENIZER --
+
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+const OPERATORS = ['<=', '>=', '!=', '<>', '==', '&&', '||', '+', '-', '*', '/', '%', '&', '=', '<', '>', '!', '(', ')', ','];
+
+export const tokenize = (src) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const start = i;
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(src[i + 1] || ''))) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(src.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), start, end: i + match[0].length });
+      i += match[0].length;
+    } else if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < src.length && src[i] !== ch) {
+        if (src[i] === '\\' && i + 1 < src.length) i++;
+        value += src[i++];
+      }
+      if (i >= src.length) throw new Error(`Unterminated text starting at position ${start + 1}.`);
+      i++;
+      tokens.push({ type: 'string', value, start, end: i });
+    } else if (ch === '[' || ch === '`') {
+      const close = ch === '[' ? ']' : '`';
+      const endIndex = src.indexOf(close, i + 1);
+      if (endIndex === -1) throw new Error(`Missing ${close} for the column name at position ${start + 1}.`);
+      tokens.push({ type: 'column', value: src.slice(i + 1, endIndex), start, end: endIndex + 1, quoted: true });
+      i = endIndex + 1;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][\w.]*/.exec(src.slice(i));
+      const word = match[0];
+      const lower = word.toLowerCase();
+      i += word.length;
+      if (KEYWORDS[lower]) tokens.push({ type: 'op', value: KEYWORDS[lower], start, end: i });
+      else if (lower === 'true' || lower === 'false') tokens.push({ type: 'literal', value: lower === 'true', start, end: i });
+      else if (lower === 'null') tokens.push({ type: 'literal', value: null, start, end: i });
+      else tokens.push({ type: 'name', value: word, start, end: i });
+    } else {
+      const op = OPERATORS.find(o => src.startsWith(o, i));
+      if (!op) throw new Error(`Unexpected "${ch}" at position ${i + 1}.`);
+      tokens.push({ type: 'op', value: op, start, end: i + op.length });
+      i += op.length;
+    }
+  }
+  return tokens;
+};
+
+// -- PARSER --
+// Recursive descent, producing closures of the form (row) => value
+
+const BINARY = {
+  '||': (a, b) => toBool(a) || toBool(b),
+  '&&': (a, b) => toBool(a) && toBool(b),
+  '+': numeric((a, b) => a + b),
+  '-': numeric((a, b) => a - b),
+  '*': numeric((a, b) => a * b),
+  '/': numeric((a, b) => b === 0 ? null : a / b),
+  '%': numeric((a, b) => b === 0 ? null : a % b),
+  '&': (a, b) => toText(a) + toText(b)
+};
+
+const compare = (op, a, b) => {
+  const an = toNumber(a);
+  const bn = toNumber(b);
+  const [x, y] = an !== null && bn !== null ? [an, bn] : [toText(a), toText(b)];
+  switch (op) {
+    case '=':
+    case '==': return x === y;
+    case '!=':
+    case '<>': return x !== y;
+    case '<': return x < y;
+    case '>': return x > y;
+    case '<=': return x <= y;
+    default: return x >= y;
+  }
+};
+
+export const compileExpression = (src, columns) => {
+  const tokens = tokenize(src);
+  const references = new Set();
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) {
+      const tok = peek();
+      throw new Error(tok ? `Expected "${op}" at position ${tok.start + 1}.` : `Expected "${op}" at the end.`);
+    }
+    pos++;
+  };
+
+  const binaryLevel = (ops, next, combine) => () => {
+    let left = next();
+    while (isOp(...ops)) {
+      const op = tokens[pos++].value;
+      const right = next();
+      const l = left;
+      left = combine(op, l, right);
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const tok = peek();
+    if (!tok) throw new Error("Expression ends unexpectedly.");
+    pos++;
+
+    if (tok.type === 'number' || tok.type === 'string' || tok.type === 'literal') {
+      return () => tok.value;
+    }
+    if (tok.type === 'op' && tok.value === '(') {
+      const inner = orLevel();
+      expect(')');
+      return inner;
+    }
+    if (tok.type === 'name' && isOp('(')) {
+      const fn = FUNCTIONS[tok.value.toLowerCase()];
+      if (!fn) throw new Error(`Unknown function "${tok.value}". Available: ${Object.keys(FUNCTIONS).join(', ')}.`);
+      pos++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(orLevel());
+        while (isOp(',')) {
+          pos++;
+          args.push(orLevel());
+        }
+      }
+      expect(')');
+      return row => fn(...args.map(arg => arg(row)));
+    }
+    if (tok.type === 'name' || tok.type === 'column') {
+      if (!columns.includes(tok.value)) {
+        throw new Error(`Unknown column "${tok.value}".${tok.type === 'name' ? ' Use [brackets] for names with spaces.' : ''}`);
+      }
+      references.add(tok.value);
+      const col = tok.value;
+      return row => {
+        const val = row[col];
+        return val === undefined || val === '' ? null : val;
+      };
+    }
+    throw new Error(`Unexpected "${src.slice(tok.start, tok.end)}" at position ${tok.start + 1}.`);
+  };
+
+  const unary = () => {
+    if (isOp('-')) {
+      pos++;
+      const operand = unary();
+      return row => { const n = toNumber(operand(row)); return n === null ? null : -n; };
+    }
+    return primary();
+  };
+
+  const mulLevel = binaryLevel(['*', '/', '%'], unary, (op, l, r) => row => BINARY[op](l(row), r(row)));
+  const addLevel = binaryLevel(['+', '-', '&'], mulLevel, (op, l, r) => row => BINARY[op](l(row), r(row)));
+  const cmpLevel = () => {
+    const left = addLevel();
+    if (isOp('=', '==', '!=', '<>', '<', '>', '<=', '>=')) {
+      const op = tokens[pos++].value;
+      const right = addLevel();
+      return row => compare(op, left(row), right(row));
+    }
+    return left;
+  };
+  const notLevel = () => {
+    if (isOp('!')) {
+      pos++;
+      const operand = notLevel();
+      return row => !toBool(operand(row));
+    }
+    return cmpLevel();
+  };
+  const andLevel = binaryLevel(['&&'], notLevel, (op, l, r) => row => BINARY[op](l(row), r(row)));
+  const orLevel = binaryLevel(['||'], andLevel, (op, l, r) => row => BINARY[op](l(row), r(row)));
+
+  if (tokens.length === 0) throw new Error("Enter an expression.");
+  const root = orLevel();
+  if (pos < tokens.length) {
+    const tok = tokens[pos];
+    throw new Error(`Unexpected "${src.slice(tok.start, tok.end)}" at position ${tok.start + 1}.`);
+  }
+
+  return {
+    references,
+    evaluate: (row) => {
+      const val = root(row);
+      if (val === null || val === undefined || (typeof val === 'number' && !isFinite(val))) return '';
+      return val;
+    }
+  };
+};
+
+// Rewrites column references after a rename, leaving the rest of the text as typed
+export const renameInExpression = (src, from, to) => {
+  let tokens;
+  try {
+    tokens = tokenize(src);
+  } catch {
+    return src;
+  }
+  const safeName = /^[A-Za-z_][\w.]*$/.test(to) && !KEYWORDS[to.toLowerCase()] ? to : `[${to}]`;
+  let out = '';
+  let last = 0;
+  tokens.forEach((tok, i) => {
+    const isCall = tokens[i + 1] && tokens[i + 1].type === 'op' && tokens[i + 1].value === '(';
+    if ((tok.type === 'column' || (tok.type === 'name' && !isCall)) && tok.value === from) {
+      out += src.slice(last, tok.start) + safeName;
+      last = tok.end;
+    }
+  });
+  return out + src.slice(last);
+};
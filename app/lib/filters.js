@@ -0,0 +1,171 @@
+import { isEmptyValue } from './schema';
+
+// -- COLUMN FILTERS --
+// A filter is { id, column, op, value, value2, values }. Which operators are offered
+// depends on the column's kind, derived from its schema type.
+
+export const FILTER_OPERATORS = {
+  numeric: [
+    { op: 'eq', label: '=' },
+    { op: 'neq', label: '≠' },
+    { op: 'lt', label: '<' },
+    { op: 'gt', label: '>' },
+    { op: 'between', label: 'between' }
+  ],
+  text: [
+    { op: 'contains', label: 'contains' },
+    { op: 'startsWith', label: 'starts with' },
+    { op: 'regex', label: 'matches regex' }
+  ],
+  date: [
+    { op: 'before', label: 'before' },
+    { op: 'after', label: 'after' }
+  ]
+};
+
+// Offered for every kind of column
+export const COMMON_OPERATORS = [
+  { op: 'in', label: 'is one of' },
+  { op: 'empty', label: 'is empty' },
+  { op: 'notEmpty', label: 'is not empty' }
+];
+
+export const columnKind = (type) => {
+  if (type === 'int64' || type === 'double') return 'numeric';
+  if (type === 'date' || type === 'timestamp') return 'date';
+  if (type === 'boolean') return 'categorical';
+  return 'text';
+};
+
+export const operatorsFor = (kind) => [...(FILTER_OPERATORS[kind] || []), ...COMMON_OPERATORS];
+
+const operatorLabel = (op) => {
+  for (const list of [...Object.values(FILTER_OPERATORS), COMMON_OPERATORS]) {
+    const found = list.find(o => o.op === op);
+    if (found) return found.label;
+  }
+  return op;
+};
+
+export const describeFilter = (filter) => {
+  const { column, op, value, value2, values } = filter;
+  switch (op) {
+    case 'empty':
+    case 'notEmpty':
+      return `${column} ${operatorLabel(op)}`;
+    case 'between':
+      return `${column} between ${value} and ${value2}`;
+    case 'in': {
+      const shown = values.slice(0, 3).map(v => v === '' ? '(empty)' : v).join(', ');
+      return `${column} is one of ${shown}${values.length > 3 ? ` +${values.length - 3}` : ''}`;
+    }
+    case 'regex':
+      return `${column} matches /${value}/`;
+    default:
+      return `${column} ${operatorLabel(op)} ${value}`;
+  }
+};
+
+// Returns an error message if the filter cannot be applied, otherwise null
+export const validateFilter = (filter) => {
+  const { op, value, value2, values } = filter;
+  if (op === 'empty' || op === 'notEmpty') return null;
+  if (op === 'in') return values && values.length > 0 ? null : "Select at least one value.";
+  if (value === undefined || value === '') return "Enter a value.";
+  if (['eq', 'neq', 'lt', 'gt', 'between'].includes(op) && isNaN(Number(value))) return "Enter a number.";
+  if (op === 'between' && (value2 === undefined || value2 === '' || isNaN(Number(value2)))) return "Enter a number for the upper bound.";
+  if ((op === 'before' || op === 'after') && isNaN(Date.parse(value))) return "Enter a valid date (e.g. 2024-01-31).";
+  if (op === 'regex') {
+    try {
+      new RegExp(value);
+    } catch (e) {
+      return "Invalid regular expression: " + e.message;
+    }
+  }
+  return null;
+};
+
+// Builds a row predicate for one filter
+const compileFilter = (filter) => {
+  const { column, op, value, value2, values } = filter;
+  const get = (row) => row[column];
+
+  switch (op) {
+    case 'empty': return row => isEmptyValue(get(row));
+    case 'notEmpty': return row => !isEmptyValue(get(row));
+    case 'in': {
+      const allowed = new Set(values);
+      return row => allowed.has(isEmptyValue(get(row)) ? '' : String(get(row)));
+    }
+    case 'eq':
+    case 'neq':
+    case 'lt':
+    case 'gt':
+    case 'between': {
+      const a = Number(value);
+      const b = Number(value2);
+      const test = {
+        eq: n => n === a,
+        neq: n => n !== a,
+        lt: n => n < a,
+        gt: n => n > a,
+        between: n => n >= Math.min(a, b) && n <= Math.max(a, b)
+      }[op];
+      return row => {
+        const val = get(row);
+        if (isEmptyValue(val)) return op === 'neq';
+        const n = Number(val);
+        return !isNaN(n) && test(n);
+      };
+    }
+    case 'contains': {
+      const needle = String(value).toLowerCase();
+      return row => !isEmptyValue(get(row)) && String(get(row)).toLowerCase().includes(needle);
+    }
+    case 'startsWith': {
+      const needle = String(value).toLowerCase();
+      return row => !isEmptyValue(get(row)) && String(get(row)).toLowerCase().startsWith(needle);
+    }
+    case 'regex': {
+      const re = new RegExp(value, 'i');
+      return row => !isEmptyValue(get(row)) && re.test(String(get(row)));
+    }
+    case 'before':
+    case 'after': {
+      const limit = Date.parse(value);
+      return row => {
+        const val = get(row);
+        if (isEmptyValue(val)) return false;
+        const ms = Date.parse(val);
+        if (isNaN(ms)) return false;
+        return op === 'before' ? ms < limit : ms > limit;
+      };
+    }
+    default:
+      return () => true;
+  }
+};
+
+// Combines all filters into one predicate; mode is 'and' or 'or'
+export const compileFilters = (filters, mode) => {
+  const predicates = filters.filter(f => !validateFilter(f)).map(compileFilter);
+  if (predicates.length === 0) return null;
+  return mode === 'or'
+    ? row => predicates.some(p => p(row))
+    : row => predicates.every(p => p(row));
+};
+
+// Distinct values of a column (as strings) for the "is one of" checklist, most frequent first
+export const distinctValues = (rows, column, limit = 200) => {
+  const counts = new Map();
+  for (const row of rows) {
+    const val = row[column];
+    const key = isEmptyValue(val) ? '' : String(val);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return {
+    values: sorted.slice(0, limit).map(([value, count]) => ({ value, count })),
+    total: counts.size
+  };
+};
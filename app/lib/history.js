@@ -0,0 +1,266 @@
+// -- EDIT HISTORY --
+// Every data mutation is recorded as a pair of patches (redo/undo) instead of a copy of
+// the dataset, so a long history over a large file costs little more than the edited values.
+//
+// Patch shapes, all applied to { data, columns, computed }:
+//   { type: 'cells', cells: [{ index, col, value }] }   set values by index into data
+//   { type: 'columns', columns }                        replace the column list (order)
+//   { type: 'columnValues', col, values }               set a whole column by data index; null removes it
+//   { type: 'renameColumn', from, to }                  rename in rows, column list and expressions
+//   { type: 'computed', name, expression }              define a computed column; null removes it
+//   { type: 'insertRows', rows: [{ index, row }] }      insert rows; indexes are final positions, ascending
+//   { type: 'deleteRows', indexes }                     remove rows by index into data
+//   { type: 'batch', patches: [...] }                   apply several patches in order
+//
+// An entry is { label, redo, undo } and may carry view: { redo, undo }, settings outside the
+// data that the change rewrote (e.g. sort keys naming a renamed column), restored with it.
+
+import { renameInExpression } from './expressions';
+
+export const MAX_HISTORY = 200;
+
+// dropped counts the entries ever trimmed off the front at MAX_HISTORY, so a stored copy of the
+// history can tell which of its entries are now part of the starting state
+export const EMPTY_HISTORY = { entries: [], position: 0, dropped: 0 };
+
+export const applyPatch = (state, patch) => {
+  switch (patch.type) {
+    case 'cells': {
+      const data = [...state.data];
+      for (const { index, col, value } of patch.cells) {
+        data[index] = { ...data[index], [col]: value };
+      }
+      return { ...state, data };
+    }
+    case 'columns':
+      return { ...state, columns: patch.columns };
+    case 'columnValues': {
+      const { col, values } = patch;
+      const data = state.data.map((row, i) => {
+        if (values) return { ...row, [col]: values[i] };
+        if (!(col in row)) return row;
+        const next = { ...row };
+        delete next[col];
+        return next;
+      });
+      return { ...state, data };
+    }
+    case 'renameColumn': {
+      const { from, to } = patch;
+      const data = state.data.map(row => {
+        if (!(from in row)) return row;
+        const next = { ...row, [to]: row[from] };
+        delete next[from];
+        return next;
+      });
+      const computed = {};
+      Object.entries(state.computed).forEach(([name, expression]) => {
+        computed[name === from ? to : name] = renameInExpression(expression, from, to);
+      });
+      return { data, columns: state.columns.map(c => c === from ? to : c), computed };
+    }
+    case 'computed': {
+      const computed = { ...state.computed };
+      if (patch.expression === null) delete computed[patch.name];
+      else computed[patch.name] = patch.expression;
+      return { ...state, computed };
+    }
+    case 'insertRows': {
+      // Merge instead of repeated splices so undoing a large delete stays linear
+      const { rows } = patch;
+      const data = new Array(state.data.length + rows.length);
+      let src = 0;
+      let k = 0;
+      for (let i = 0; i < data.length; i++) {
+        data[i] = k < rows.length && rows[k].index === i ? rows[k++].row : state.data[src++];
+      }
+      return { ...state, data };
+    }
+    case 'deleteRows': {
+      const drop = new Set(patch.indexes);
+      return { ...state, data: state.data.filter((_, i) => !drop.has(i)) };
+    }
+    case 'batch':
+      return patch.patches.reduce(applyPatch, state);
+    default:
+      throw new Error(`Unknown history patch: ${patch.type}`);
+  }
+};
+
+const preview = (val) => {
+  const str = val === null || val === undefined ? '' : String(val);
+  return str.length > 24 ? `"${str.slice(0, 24)}…"` : `"${str}"`;
+};
+
+const cellEditLabel = (col, before, after) => `Edit ${col}: ${preview(before)} → ${preview(after)}`;
+
+// History entry for a single cell edit. Consecutive edits of the same cell are merged.
+export const cellEdit = (index, col, before, after) => ({
+  label: cellEditLabel(col, before, after),
+  redo: { type: 'cells', cells: [{ index, col, value: after }] },
+  undo: { type: 'cells', cells: [{ index, col, value: before }] },
+  coalesceKey: `cell:${index}:${col}`
+});
+
+// One entry for many cell changes, e.g. a find & replace. changes: [{ index, col, before, after }]
+export const editCells = (changes, label) => ({
+  label,
+  redo: { type: 'cells', cells: changes.map(({ index, col, after }) => ({ index, col, value: after })) },
+  undo: { type: 'cells', cells: changes.map(({ index, col, before }) => ({ index, col, value: before })) }
+});
+
+// -- COLUMN ENTRIES --
+// Builders take the current { data, columns, computed } state so undo can restore removed values.
+
+const withColumnAt = (columns, name, index) => [...columns.slice(0, index), name, ...columns.slice(index)];
+
+export const renameColumn = (from, to) => ({
+  label: `Rename column ${from} → ${to}`,
+  redo: { type: 'renameColumn', from, to },
+  undo: { type: 'renameColumn', from: to, to: from }
+});
+
+export const moveColumn = (columns, col, toIndex) => {
+  const without = columns.filter(c => c !== col);
+  const after = withColumnAt(without, col, Math.min(toIndex, without.length));
+  return {
+    label: `Move column ${col}`,
+    redo: { type: 'columns', columns: after },
+    undo: { type: 'columns', columns }
+  };
+};
+
+// Adds an empty column, or a computed one when an expression is given
+export const insertColumn = (columns, name, index, expression = null) => ({
+  label: expression ? `Add computed column ${name}` : `Insert column ${name}`,
+  redo: { type: 'batch', patches: [
+    ...(expression ? [{ type: 'computed', name, expression }] : []),
+    { type: 'columns', columns: withColumnAt(columns, name, index) }
+  ] },
+  undo: { type: 'batch', patches: [
+    { type: 'columns', columns },
+    ...(expression ? [{ type: 'computed', name, expression: null }] : [{ type: 'columnValues', col: name, values: null }])
+  ] }
+});
+
+export const editExpression = (name, before, after) => ({
+  label: `Edit expression of ${name}`,
+  redo: { type: 'computed', name, expression: after },
+  undo: { type: 'computed', name, expression: before }
+});
+
+export const deleteColumn = (state, name) => {
+  const expression = state.computed[name];
+  const restore = expression !== undefined
+    ? { type: 'computed', name, expression }
+    : { type: 'columnValues', col: name, values: state.data.map(row => row[name]) };
+  const remove = expression !== undefined
+    ? { type: 'computed', name, expression: null }
+    : { type: 'columnValues', col: name, values: null };
+  return {
+    label: `Delete column ${name}`,
+    redo: { type: 'batch', patches: [{ type: 'columns', columns: state.columns.filter(c => c !== name) }, remove] },
+    undo: { type: 'batch', patches: [restore, { type: 'columns', columns: state.columns }] }
+  };
+};
+
+export const duplicateColumn = (state, name, copyName) => {
+  const expression = state.computed[name];
+  const add = expression !== undefined
+    ? { type: 'computed', name: copyName, expression }
+    : { type: 'columnValues', col: copyName, values: state.data.map(row => row[name]) };
+  const remove = expression !== undefined
+    ? { type: 'computed', name: copyName, expression: null }
+    : { type: 'columnValues', col: copyName, values: null };
+  return {
+    label: `Duplicate column ${name}`,
+    redo: { type: 'batch', patches: [add, { type: 'columns', columns: withColumnAt(state.columns, copyName, state.columns.indexOf(name) + 1) }] },
+    undo: { type: 'batch', patches: [{ type: 'columns', columns: state.columns }, remove] }
+  };
+};
+
+// -- ROW ENTRIES --
+
+const rowCount = (n) => `${n.toLocaleString()} row${n === 1 ? '' : 's'}`;
+
+// rows: [{ index, row }] with ascending final positions
+export const insertRows = (rows, label = `Insert ${rowCount(rows.length)}`) => ({
+  label,
+  redo: { type: 'insertRows', rows },
+  undo: { type: 'deleteRows', indexes: rows.map(r => r.index) }
+});
+
+export const deleteRows = (data, indexes) => {
+  const sorted = [...indexes].sort((a, b) => a - b);
+  return {
+    label: `Delete ${rowCount(sorted.length)}`,
+    redo: { type: 'deleteRows', indexes: sorted },
+    undo: { type: 'insertRows', rows: sorted.map(index => ({ index, row: data[index] })) }
+  };
+};
+
+// Places a copy right below each of the given rows
+export const duplicateRows = (data, indexes) => {
+  const sorted = [...indexes].sort((a, b) => a - b);
+  const rows = sorted.map((index, i) => ({ index: index + i + 1, row: { ...data[index] } }));
+  return insertRows(rows, `Duplicate ${rowCount(sorted.length)}`);
+};
+
+// Swaps the whole dataset for new rows and columns (e.g. a join result). Computed columns
+// are dropped, as their values are part of the new rows.
+export const replaceData = (state, rows, columns, label) => {
+  const computedNames = Object.keys(state.computed);
+  return {
+    label,
+    redo: {
+      type: 'batch',
+      patches: [
+        ...computedNames.map(name => ({ type: 'computed', name, expression: null })),
+        { type: 'deleteRows', indexes: state.data.map((_, i) => i) },
+        { type: 'insertRows', rows: rows.map((row, index) => ({ index, row })) },
+        { type: 'columns', columns }
+      ]
+    },
+    undo: {
+      type: 'batch',
+      patches: [
+        { type: 'columns', columns: state.columns },
+        { type: 'deleteRows', indexes: rows.map((_, i) => i) },
+        { type: 'insertRows', rows: state.data.map((row, index) => ({ index, row })) },
+        ...computedNames.map(name => ({ type: 'computed', name, expression: state.computed[name] }))
+      ]
+    }
+  };
+};
+
+// Adds an entry after the current position, dropping any undone (redo) entries
+export const pushEntry = (history, entry) => {
+  const entries = history.entries.slice(0, history.position);
+  const last = entries[entries.length - 1];
+
+  if (entry.coalesceKey && last && last.coalesceKey === entry.coalesceKey) {
+    const { col, value: before } = last.undo.cells[0];
+    const { value: after } = entry.redo.cells[0];
+    entries[entries.length - 1] = { ...last, label: cellEditLabel(col, before, after), redo: entry.redo };
+    return { entries, position: entries.length, dropped: history.dropped || 0 };
+  }
+
+  entries.push(entry);
+  const overflow = Math.max(0, entries.length - MAX_HISTORY);
+  return { entries: entries.slice(overflow), position: entries.length - overflow, dropped: (history.dropped || 0) + overflow };
+};
+
+// The last applied entry, or null at the original data. Entries are never mutated, so comparing
+// it with a remembered entry tells whether the data changed since then.
+export const currentEntry = (history) => (history.position > 0 ? history.entries[history.position - 1] : null);
+
+// Moves the state from history.position to target by replaying undo or redo patches
+export const travel = (state, history, target) => {
+  let next = state;
+  if (target < history.position) {
+    for (let i = history.position - 1; i >= target; i--) next = applyPatch(next, history.entries[i].undo);
+  } else {
+    for (let i = history.position; i < target; i++) next = applyPatch(next, history.entries[i].redo);
+  }
+  return next;
+};
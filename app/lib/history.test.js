@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_HISTORY, EMPTY_HISTORY, applyPatch, pushEntry, travel, currentEntry, cellEdit, editCells,
+  renameColumn, moveColumn, insertColumn, editExpression, deleteColumn, duplicateColumn,
+  insertRows, deleteRows, duplicateRows, replaceData
+} from './history';
+
+const state = {
+  data: [{ a: 1, b: 'x' }, { a: 2, b: 'y' }, { a: 3, b: 'z' }],
+  columns: ['a', 'b', 'c'],
+  computed: { c: 'a * 2' }
+};
+
+// Applies an entry's redo patch, then checks that its undo patch gives back the starting state
+const redoThenUndo = (from, entry) => {
+  const after = applyPatch(from, entry.redo);
+  expect(applyPatch(after, entry.undo)).toEqual(from);
+  return after;
+};
+
+// A history of `count` edits of column a, one per row: 0, 1, 2, ...
+const editsOf = (count) => {
+  let history = EMPTY_HISTORY;
+  for (let i = 0; i < count; i++) history = pushEntry(history, cellEdit(i, 'a', i, `v${i}`));
+  return history;
+};
+
+describe('applyPatch', () => {
+  it('sets cells by data index', () => {
+    const after = redoThenUndo(state, cellEdit(1, 'b', 'y', 'Y'));
+    expect(after.data.map(r => r.b)).toEqual(['x', 'Y', 'z']);
+    expect(after.data[0]).toBe(state.data[0]);
+  });
+
+  it('edits many cells in one entry', () => {
+    const entry = editCells([
+      { index: 0, col: 'a', before: 1, after: 10 },
+      { index: 2, col: 'b', before: 'z', after: 'Z' }
+    ], 'Replace');
+    const after = redoThenUndo(state, entry);
+    expect(after.data).toEqual([{ a: 10, b: 'x' }, { a: 2, b: 'y' }, { a: 3, b: 'Z' }]);
+  });
+
+  it('replaces the column list', () => {
+    const after = redoThenUndo(state, moveColumn(state.columns, 'a', 2));
+    expect(after.columns).toEqual(['b', 'c', 'a']);
+  });
+
+  it('sets and removes whole columns', () => {
+    const after = redoThenUndo(state, duplicateColumn(state, 'b', 'b copy'));
+    expect(after.columns).toEqual(['a', 'b', 'b copy', 'c']);
+    expect(after.data.map(r => r['b copy'])).toEqual(['x', 'y', 'z']);
+
+    const removed = redoThenUndo(state, deleteColumn(state, 'b'));
+    expect(removed.columns).toEqual(['a', 'c']);
+    expect(removed.data.some(r => 'b' in r)).toBe(false);
+  });
+
+  it('renames in rows, columns and expressions', () => {
+    const after = redoThenUndo(state, renameColumn('a', 'amount'));
+    expect(after.columns).toEqual(['amount', 'b', 'c']);
+    expect(after.data[0]).toEqual({ amount: 1, b: 'x' });
+    expect(after.computed.c).toBe('amount * 2');
+  });
+
+  it('defines, edits and removes computed columns', () => {
+    const added = redoThenUndo(state, insertColumn(state.columns, 'd', 1, 'a + 1'));
+    expect(added.columns).toEqual(['a', 'd', 'b', 'c']);
+    expect(added.computed.d).toBe('a + 1');
+
+    const edited = redoThenUndo(state, editExpression('c', 'a * 2', 'a * 3'));
+    expect(edited.computed.c).toBe('a * 3');
+
+    const removed = redoThenUndo(state, deleteColumn(state, 'c'));
+    expect(removed.computed).toEqual({});
+    expect(removed.columns).toEqual(['a', 'b']);
+  });
+
+  it('inserts rows at their final positions', () => {
+    const rows = [{ index: 0, row: { a: 0 } }, { index: 2, row: { a: 1.5 } }, { index: 5, row: { a: 4 } }];
+    const after = redoThenUndo(state, insertRows(rows));
+    expect(after.data.map(r => r.a)).toEqual([0, 1, 1.5, 2, 3, 4]);
+  });
+
+  it('puts deleted rows back where they were', () => {
+    const after = redoThenUndo(state, deleteRows(state.data, [2, 0]));
+    expect(after.data).toEqual([{ a: 2, b: 'y' }]);
+  });
+
+  it('places duplicated rows below their originals', () => {
+    const after = redoThenUndo(state, duplicateRows(state.data, [0, 2]));
+    expect(after.data.map(r => r.a)).toEqual([1, 1, 2, 3, 3]);
+  });
+
+  it('applies batches in order', () => {
+    const after = redoThenUndo(state, replaceData(state, [{ x: 1 }], ['x'], 'Join'));
+    expect(after).toEqual({ data: [{ x: 1 }], columns: ['x'], computed: {} });
+  });
+
+  it('rejects unknown patches', () => {
+    expect(() => applyPatch(state, { type: 'nope' })).toThrow('Unknown history patch: nope');
+  });
+});
+
+describe('pushEntry', () => {
+  it('merges consecutive edits of the same cell', () => {
+    let history = pushEntry(EMPTY_HISTORY, cellEdit(0, 'b', 'x', 'x1'));
+    history = pushEntry(history, cellEdit(0, 'b', 'x1', 'x2'));
+    expect(history.entries).toHaveLength(1);
+    expect(history.entries[0].label).toBe('Edit b: "x" → "x2"');
+    expect(applyPatch(state, history.entries[0].undo).data[0].b).toBe('x');
+    expect(applyPatch(state, history.entries[0].redo).data[0].b).toBe('x2');
+
+    history = pushEntry(history, cellEdit(1, 'b', 'y', 'y1'));
+    expect(history.entries).toHaveLength(2);
+  });
+
+  it('does not merge into an undone entry', () => {
+    let history = pushEntry(EMPTY_HISTORY, cellEdit(0, 'b', 'x', 'x1'));
+    history = { ...history, position: 0 };
+    history = pushEntry(history, cellEdit(0, 'b', 'x', 'x2'));
+    expect(history.entries).toHaveLength(1);
+    expect(history.entries[0].redo.cells[0].value).toBe('x2');
+  });
+
+  it('drops undone entries', () => {
+    let history = editsOf(3);
+    history = { ...history, position: 1 };
+    history = pushEntry(history, renameColumn('a', 'b2'));
+    expect(history.entries).toHaveLength(2);
+    expect(history.entries[1].label).toBe('Rename column a → b2');
+    expect(history.position).toBe(2);
+  });
+
+  it('trims the oldest entries at MAX_HISTORY and counts them', () => {
+    const history = editsOf(MAX_HISTORY + 3);
+    expect(history.entries).toHaveLength(MAX_HISTORY);
+    expect(history.position).toBe(MAX_HISTORY);
+    expect(history.dropped).toBe(3);
+    expect(history.entries[0].redo.cells[0].index).toBe(3);
+    expect(pushEntry(history, cellEdit(0, 'b', 'x', 'y')).dropped).toBe(4);
+  });
+});
+
+describe('travel', () => {
+  it('restores the state after undo then redo', () => {
+    let history = EMPTY_HISTORY;
+    let current = state;
+    [
+      () => cellEdit(0, 'a', 1, 5),
+      () => renameColumn('b', 'name'),
+      () => deleteRows(current.data, [1]),
+      () => insertColumn(current.columns, 'd', 3)
+    ].forEach(build => {
+      const entry = build();
+      current = applyPatch(current, entry.redo);
+      history = pushEntry(history, entry);
+    });
+
+    const original = travel(current, history, 0);
+    expect(original).toEqual(state);
+    const middle = travel(current, history, 2);
+    expect(middle.columns).toEqual(['a', 'name', 'c']);
+    expect(middle.data).toHaveLength(3);
+
+    const back = travel(original, { ...history, position: 0 }, history.position);
+    expect(back).toEqual(current);
+    expect(travel(middle, { ...history, position: 2 }, 4)).toEqual(current);
+  });
+
+  it('knows the current entry', () => {
+    const history = editsOf(2);
+    expect(currentEntry(history)).toBe(history.entries[1]);
+    expect(currentEntry({ ...history, position: 0 })).toBe(null);
+  });
+});
@@ -0,0 +1,100 @@
+// -- FILE IMPORT --
+// Main-thread side of the parse worker. Starts a parse and collects the streamed rows.
+
+// Returns { promise, cancel }. The promise resolves to { columns, rows, schema, warnings, nesting },
+// or to null if the import was cancelled; parse failures reject with the worker's message.
+export const startImport = (file, format, options = {}, { onProgress } = {}) => {
+  const worker = new Worker(new URL('./parse.worker.js', import.meta.url), { type: 'module' });
+  const rows = [];
+  let settled = false;
+  let resolvePromise = null;
+
+  const settle = (fn, value) => {
+    if (settled) return;
+    settled = true;
+    worker.terminate();
+    fn(value);
+  };
+
+  const promise = new Promise((resolve, reject) => {
+    resolvePromise = resolve;
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      switch (msg.type) {
+        case 'progress':
+          if (onProgress) onProgress({ bytesRead: msg.bytesRead, totalBytes: msg.totalBytes, rowsRead: msg.rowsRead });
+          break;
+        case 'rows':
+          // push() in a loop: spreading very large batches can overflow the stack
+          for (const row of msg.rows) rows.push(row);
+          break;
+        case 'complete':
+          settle(resolve, { columns: msg.columns, rows, schema: msg.schema, warnings: msg.warnings, nesting: msg.nesting });
+          break;
+        case 'error':
+          settle(reject, new Error(msg.message));
+          break;
+        default:
+          break;
+      }
+    };
+
+    worker.onerror = (e) => {
+      settle(reject, new Error(e.message || "Failed to start the file parser."));
+    };
+  });
+
+  worker.postMessage({ file, format, options });
+
+  return {
+    promise,
+    cancel: () => settle(resolvePromise, null)
+  };
+};
+
+// Sends one message to a short-lived parse worker and resolves with the answer of type `answer`
+const askWorker = (message, answer) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('./parse.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = (e) => {
+    if (e.data.type === answer) resolve(e.data);
+    else if (e.data.type === 'error') reject(new Error(e.data.message));
+    else return;
+    worker.terminate();
+  };
+  worker.onerror = (e) => {
+    worker.terminate();
+    reject(new Error(e.message || "Failed to start the file parser."));
+  };
+  worker.postMessage(message);
+});
+
+// Loads the parser libraries in a short-lived parse worker, e.g. to have them cached for offline use
+export const preloadParsers = () => askWorker({ preload: true }, 'preloaded').then(() => {});
+
+// Sheets of an .xlsx file as [{ name, rowCount, preview }], read in the parse worker so ExcelJS
+// stays off the page until a workbook is exported
+export const describeWorkbookFile = (file) => askWorker({ describe: file }, 'described').then(answer => answer.sheets);
+
+// Parser format for a file name, or null when the extension is not recognised
+export const formatForFile = (name) => {
+  const lowerName = name.toLowerCase();
+  if (lowerName.endsWith('.csv')) return 'csv';
+  if (lowerName.endsWith('.parquet')) return 'parquet';
+  if (lowerName.endsWith('.json')) return 'json';
+  if (lowerName.endsWith('.jsonl') || lowerName.endsWith('.ndjson')) return 'jsonl';
+  if (lowerName.endsWith('.xlsx')) return 'xlsx';
+  return null;
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toLocaleString(undefined, { maximumFractionDigits: 1 })} ${units[unit]}`;
+};
@@ -0,0 +1,152 @@
+import { isEmptyValue } from './schema';
+
+// -- JOINS --
+// Joins the current dataset (left) with another one (right) on one or more key column pairs.
+// Keys match on their text, trimmed; rows with an empty key never match, as in SQL.
+
+export const JOIN_TYPES = {
+  inner: 'Inner: rows with a match on both sides',
+  left: 'Left: all current rows, matched where possible',
+  right: 'Right: all rows of the other dataset, matched where possible',
+  full: 'Full outer: all rows of both sides',
+  anti: 'Anti: current rows without a match'
+};
+
+const KEY_SEPARATOR = '\u001f';
+
+const keyText = (val, ignoreCase) => {
+  const text = String(val).trim();
+  return ignoreCase ? text.toLowerCase() : text;
+};
+
+// Join key of a row, or null when any key cell is empty
+const rowKey = (row, cols, ignoreCase) => {
+  const parts = [];
+  for (const col of cols) {
+    if (isEmptyValue(row[col])) return null;
+    parts.push(keyText(row[col], ignoreCase));
+  }
+  return parts.join(KEY_SEPARATOR);
+};
+
+// Right-side row indexes by key
+const indexRows = (rows, cols, ignoreCase) => {
+  const index = new Map();
+  rows.forEach((row, i) => {
+    const key = rowKey(row, cols, ignoreCase);
+    if (key === null) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(i);
+  });
+  return index;
+};
+
+// Output column names. Key pairs with the same name share one column; other names that
+// exist on both sides get the side's suffix.
+export const joinColumns = (leftColumns, rightColumns, keys, { type = 'inner', leftSuffix = '_left', rightSuffix = '_right' } = {}) => {
+  const sharedKeys = new Set(keys.filter(k => k.left === k.right).map(k => k.left));
+  // Anti joins only output the left columns, so nothing collides
+  const rightNames = new Set(type === 'anti' ? [] : rightColumns);
+  const leftNames = new Set(leftColumns);
+  const taken = new Set();
+  const unique = (name) => {
+    let out = name;
+    let n = 2;
+    while (taken.has(out)) out = `${name}_${n++}`;
+    taken.add(out);
+    return out;
+  };
+
+  const left = leftColumns.map(col => ({
+    source: col,
+    name: unique(!sharedKeys.has(col) && rightNames.has(col) ? `${col}${leftSuffix}` : col)
+  }));
+  const right = type === 'anti' ? [] : rightColumns
+    .filter(col => !sharedKeys.has(col))
+    .map(col => ({ source: col, name: unique(leftNames.has(col) ? `${col}${rightSuffix}` : col) }));
+  return { left, right, sharedKeys };
+};
+
+// Match counts for the preview, without building the result
+export const joinStats = (leftRows, rightRows, keys, { type = 'inner', ignoreCase = false } = {}) => {
+  const index = indexRows(rightRows, keys.map(k => k.right), ignoreCase);
+  const leftCols = keys.map(k => k.left);
+  const matchedRight = new Set();
+  let matchedLeft = 0;
+  let pairs = 0;
+
+  leftRows.forEach(row => {
+    const key = rowKey(row, leftCols, ignoreCase);
+    const matches = key === null ? null : index.get(key);
+    if (!matches) return;
+    matchedLeft++;
+    pairs += matches.length;
+    matches.forEach(i => matchedRight.add(i));
+  });
+
+  const unmatchedLeft = leftRows.length - matchedLeft;
+  const unmatchedRight = rightRows.length - matchedRight.size;
+  const resultRows = {
+    inner: pairs,
+    left: pairs + unmatchedLeft,
+    right: pairs + unmatchedRight,
+    full: pairs + unmatchedLeft + unmatchedRight,
+    anti: unmatchedLeft
+  }[type];
+
+  return { matchedLeft, unmatchedLeft, matchedRight: matchedRight.size, unmatchedRight, resultRows };
+};
+
+// Returns { columns, rows, sources } where sources maps each output column to
+// { side: 'left' | 'right', column } for carrying over column types.
+// keys: [{ left, right }] column pairs. options: { type, leftSuffix, rightSuffix, ignoreCase }
+export const joinRows = (leftRows, leftColumns, rightRows, rightColumns, keys, options = {}) => {
+  const { type = 'inner', ignoreCase = false } = options;
+  const { left, right, sharedKeys } = joinColumns(leftColumns, rightColumns, keys, options);
+  const index = indexRows(rightRows, keys.map(k => k.right), ignoreCase);
+  const leftCols = keys.map(k => k.left);
+  const matchedRight = new Set();
+  const rows = [];
+
+  const build = (leftRow, rightRow) => {
+    const out = {};
+    left.forEach(({ source, name }) => {
+      // Shared key columns take the right value on rows that only exist on the right
+      out[name] = leftRow ? leftRow[source] : (sharedKeys.has(source) && rightRow ? rightRow[source] : '');
+      if (out[name] === undefined) out[name] = '';
+    });
+    right.forEach(({ source, name }) => {
+      out[name] = rightRow && rightRow[source] !== undefined ? rightRow[source] : '';
+    });
+    return out;
+  };
+
+  leftRows.forEach(leftRow => {
+    const key = rowKey(leftRow, leftCols, ignoreCase);
+    const matches = key === null ? null : index.get(key);
+    if (type === 'anti') {
+      if (!matches) rows.push(build(leftRow, null));
+      return;
+    }
+    if (matches) {
+      matches.forEach(i => {
+        matchedRight.add(i);
+        rows.push(build(leftRow, rightRows[i]));
+      });
+    } else if (type === 'left' || type === 'full') {
+      rows.push(build(leftRow, null));
+    }
+  });
+
+  if (type === 'right' || type === 'full') {
+    rightRows.forEach((rightRow, i) => {
+      if (!matchedRight.has(i)) rows.push(build(null, rightRow));
+    });
+  }
+
+  const sources = {};
+  left.forEach(({ source, name }) => { sources[name] = { side: 'left', column: source }; });
+  right.forEach(({ source, name }) => { sources[name] = { side: 'right', column: source }; });
+
+  return { columns: [...left.map(c => c.name), ...right.map(c => c.name)], rows, sources };
+};
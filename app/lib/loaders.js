@@ -0,0 +1,34 @@
+// -- DATA LIBRARIES --
+// Parsing and writing libraries are bundled with the app and loaded the first time their
+// format is used, each as its own chunk. Shared by the page and the parse worker; nothing
+// is fetched from a CDN, so the app also works offline and behind proxies.
+
+// Memoizes a dynamic import so every caller shares one load
+const lazy = (load) => {
+  let promise = null;
+  return () => {
+    if (!promise) {
+      promise = load().catch(err => {
+        // Let a later call retry (e.g. after a dropped connection while fetching the chunk)
+        promise = null;
+        throw err;
+      });
+    }
+    return promise;
+  };
+};
+
+export const loadPapaParse = lazy(() => import('papaparse').then(m => m.default || m));
+
+export const loadHyparquet = lazy(() => import('hyparquet'));
+
+export const loadExcelJS = lazy(() => import('exceljs').then(m => m.default || m));
+
+export const loadArrow = lazy(() => import('apache-arrow'));
+
+// The .wasm binary ships next to the module; init() fetches it from the app's own origin
+export const loadParquetWasm = lazy(async () => {
+  const Parquet = await import('parquet-wasm/esm');
+  await Parquet.default();
+  return Parquet;
+});
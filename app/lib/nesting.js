@@ -0,0 +1,408 @@
+import { isEmptyValue, normalizeValue, inferColumnType, arrowTypeFor, coerceValue, tableFromVectors } from './schema';
+
+// -- NESTED DATA --
+// Flattens nested records (JSON objects and arrays, Parquet structs and lists) into grid
+// columns on import, and rebuilds the nesting on export. Flattening produces a "nesting"
+// description that records where every column came from:
+//   { arrays, paths: { column: [segment, ...] }, json: [column, ...], text: [column, ...], recordColumn, shapes }
+// Path segments are object keys (strings), array positions (numbers), or null for "each
+// element" of an array that was exploded into rows. Columns listed in `json` hold nested
+// values as JSON text. Columns listed in `text` only ever held strings, so their leaves are
+// written back as strings even when they look like numbers ("zip": "01234"). `recordColumn`
+// numbers the source record of rows so they can be grouped back together: always for exploded
+// rows, and in the other modes only when some record has a shape to keep.
+//   shapes: { recordNumber: { '["tags"]': { length: 3 }, '["address"]': { value: {} } } }
+// A record's shape notes, by concrete path (array positions included), what its cells cannot
+// tell apart from padding: the length of arrays ending in empty elements (or empty), and the
+// literal value of objects and arrays holding no value at all ({}, { city: null }, [null]).
+
+export const NESTED_MODES = {
+  json: 'Keep nested values as JSON text',
+  flatten: 'Flatten objects, keep arrays as JSON text',
+  columns: 'Flatten objects and arrays into indexed columns',
+  rows: 'Flatten objects, explode arrays into rows'
+};
+
+const RECORD_COLUMN = '_record';
+
+const isPlainObject = (val) => val !== null && typeof val === 'object' && !Array.isArray(val) && !(val instanceof Date) && !ArrayBuffer.isView(val);
+
+// address.city, tags[0], items.name (for the exploded elements of items)
+const columnName = (path) => path.reduce((name, seg) => {
+  if (typeof seg === 'number') return `${name}[${seg}]`;
+  if (seg === null) return name;
+  return name ? `${name}.${seg}` : seg;
+}, '');
+
+// Same key for every position of an array, used to look up the type of list elements
+const pathKey = (path) => path.map(seg => (typeof seg === 'string' ? seg : '[]')).join('.');
+
+// -- FLATTEN --
+
+// Key of a concrete path (with array positions) in a record's shape
+const shapeKey = (at) => JSON.stringify(at);
+
+// arrays: 'flatten' | 'columns' | 'rows' (see NESTED_MODES). types: known types of
+// top-level fields, used to normalize their values (e.g. Parquet dates).
+export const createFlattener = (arrays, types = {}) => {
+  const columns = arrays === 'rows' ? [RECORD_COLUMN] : [];
+  const paths = {};
+  const json = new Set();
+  const kinds = {}; // column -> 'text' | 'other' | 'mixed', from the leaves' original JS types
+  const shapes = {}; // record number -> { [shapeKey]: { value } | { length } }, see the header
+  let records = 0;
+
+  const register = (path, isJson) => {
+    const col = columnName(path);
+    if (!(col in paths)) {
+      columns.push(col);
+      paths[col] = path;
+    }
+    if (isJson) json.add(col);
+    return col;
+  };
+
+  const noteKind = (col, value) => {
+    if (value === null || value === undefined) return;
+    const kind = typeof value === 'string' ? 'text' : 'other';
+    kinds[col] = kinds[col] && kinds[col] !== kind ? 'mixed' : kind;
+  };
+
+  // An all-empty container is kept whole, which makes any shape noted inside it redundant
+  const noteEmpty = (shape, at, value) => {
+    const key = shapeKey(at);
+    const inside = key.slice(0, -1) + ',';
+    Object.keys(shape).forEach(k => {
+      if (k.startsWith(inside)) delete shape[k];
+    });
+    shape[key] = { value };
+  };
+
+  // Writes the leaves of `value` into `out` and returns whether any of them has a value. `at` is
+  // the path with real array positions, under which the record's shape notes what the cells
+  // cannot tell (see the header). Arrays to explode are collected in `exploding`; arrays inside
+  // exploded elements stay JSON text, empty ones included ('[]').
+  const walk = (value, path, at, out, exploding, shape) => {
+    if (isPlainObject(value)) {
+      let filled = false;
+      Object.keys(value).forEach(key => {
+        if (walk(value[key], [...path, key], [...at, key], out, exploding, shape)) filled = true;
+      });
+      if (!filled && at.length > 0) noteEmpty(shape, at, value);
+      return filled;
+    }
+    if (Array.isArray(value) && arrays === 'columns') {
+      let last = -1;
+      value.forEach((item, i) => {
+        if (walk(item, [...path, i], [...at, i], out, exploding, shape)) last = i;
+      });
+      if (last === -1) noteEmpty(shape, at, value);
+      else if (last < value.length - 1) shape[shapeKey(at)] = { length: value.length };
+      return last > -1;
+    }
+    if (Array.isArray(value) && exploding) {
+      exploding.push({ path, at, items: value });
+      return value.length > 0;
+    }
+    if (Array.isArray(value)) {
+      out[register(path, true)] = normalizeValue(value);
+      return true;
+    }
+    const col = register(path, false);
+    noteKind(col, value);
+    out[col] = value === null || value === undefined ? '' : normalizeValue(value, path.length === 1 ? types[path[0]] : undefined);
+    return !isEmptyValue(out[col]);
+  };
+
+  return {
+    // Returns the grid rows for one record: one row, or one per array element when exploding
+    add: (record) => {
+      records++;
+      const base = {};
+      const shape = {};
+      const exploding = arrays === 'rows' ? [] : null;
+      walk(isPlainObject(record) ? record : {}, [], [], base, exploding, shape);
+      const rows = [base];
+      if (exploding) {
+        // Arrays are zipped, not multiplied: row i holds element i of every array
+        const count = exploding.reduce((max, { items }) => Math.max(max, items.length), 1);
+        rows.length = 0;
+        for (let i = 0; i < count; i++) rows.push({ [RECORD_COLUMN]: records, ...base });
+        exploding.forEach(({ path, at, items }) => {
+          let last = -1;
+          items.forEach((item, i) => {
+            if (walk(item, [...path, null], [...at, i], rows[i], null, shape)) last = i;
+          });
+          if (items.length === 0 || last < items.length - 1) shape[shapeKey(at)] = { length: items.length };
+        });
+      }
+      if (Object.keys(shape).length > 0) shapes[records] = shape;
+      return rows;
+    },
+    columns,
+    // Call once with every row add() returned: gives each row a cell for columns first seen in
+    // later records, and numbers the records when some record has a shape to keep
+    finish: (rows) => {
+      if (arrays !== 'rows' && Object.keys(shapes).length > 0) {
+        columns.unshift(RECORD_COLUMN);
+        rows.forEach((row, i) => { row[RECORD_COLUMN] = i + 1; });
+      }
+      rows.forEach(row => {
+        columns.forEach(col => {
+          if (row[col] === undefined) row[col] = '';
+        });
+      });
+    },
+    nesting: () => ({
+      arrays,
+      paths: { ...paths },
+      json: Array.from(json),
+      text: Object.keys(kinds).filter(col => kinds[col] === 'text' && !json.has(col)),
+      recordColumn: columns.includes(RECORD_COLUMN) ? RECORD_COLUMN : null,
+      shapes
+    })
+  };
+};
+
+// -- RE-NEST --
+
+// Whether an import flattened anything, i.e. the nesting has something to rebuild
+export const hasNesting = (nesting) => Boolean(nesting) && (
+  nesting.json.length > 0 || Object.values(nesting.paths).some(path => path.length > 1) ||
+  Object.keys(nesting.shapes || {}).length > 0
+);
+
+// Grid cells are text once edited; give leaves back their column's type
+const typedValue = (val, type) => {
+  if (isEmptyValue(val)) return null;
+  if (typeof val !== 'string') return val;
+  if (type === 'int64' || type === 'double') {
+    const num = Number(val.trim());
+    return Number.isFinite(num) ? num : val;
+  }
+  if (type === 'boolean') {
+    const str = val.trim().toLowerCase();
+    return str === 'true' ? true : str === 'false' ? false : val;
+  }
+  return val;
+};
+
+// Sets a value at a path, creating objects and arrays on the way. Containers created here
+// are remembered so the empty cells padding them out can be collapsed afterwards. An empty
+// cell never replaces a container (a record whose `address` was null in some rows).
+const setPath = (target, path, value, created) => {
+  let node = target;
+  for (let i = 0; i < path.length - 1; i++) {
+    const seg = path[i];
+    if (node[seg] === null || typeof node[seg] !== 'object') {
+      node[seg] = typeof path[i + 1] === 'number' ? [] : {};
+      created.add(node[seg]);
+    }
+    node = node[seg];
+  }
+  const last = path[path.length - 1];
+  if (value === null && node[last] !== null && typeof node[last] === 'object') return;
+  node[last] = value;
+};
+
+// Objects whose fields are all empty become null; arrays lose their empty trailing positions,
+// and become null when none is left. The record's shape puts back what was really there.
+const collapse = (value, created) => {
+  if (!created.has(value)) return value;
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) value[i] = collapse(value[i], created);
+    while (value.length > 0 && (value[value.length - 1] === null || value[value.length - 1] === undefined)) value.pop();
+    return value.length > 0 ? value : null;
+  }
+  let empty = true;
+  Object.keys(value).forEach(key => {
+    value[key] = collapse(value[key], created);
+    if (value[key] !== null && value[key] !== undefined) empty = false;
+  });
+  return empty ? null : value;
+};
+
+// Puts back what the cells of a record cannot tell (see `shapes` in the header), outer paths
+// first. Containers still holding a value, e.g. after an edit, keep what the cells say; objects
+// that collapsed to null around an empty exploded array are recreated.
+const applyShape = (record, shape) => {
+  const facts = Object.keys(shape).map(key => ({ path: JSON.parse(key), fact: shape[key] }));
+  facts.sort((a, b) => a.path.length - b.path.length);
+  facts.forEach(({ path, fact }) => {
+    let node = record;
+    for (let i = 0; i < path.length - 1; i++) {
+      const seg = path[i];
+      if ((node[seg] === null || node[seg] === undefined) && typeof path[i + 1] === 'string') node[seg] = {};
+      node = node[seg];
+      if (node === null || typeof node !== 'object') return;
+    }
+    const last = path[path.length - 1];
+    const current = node[last];
+    if ('value' in fact) {
+      if (current === null || current === undefined) node[last] = structuredClone(fact.value);
+      return;
+    }
+    if (current !== null && current !== undefined && !Array.isArray(current)) return;
+    const items = current || [];
+    while (items.length < fact.length) items.push(null);
+    node[last] = items;
+  });
+};
+
+// Rebuilds nested records from flat grid rows. Columns without a recorded path (added or
+// renamed since the import) are written as top-level fields.
+export const renestRows = (rows, columns, schema, nesting) => {
+  const { paths, recordColumn } = nesting;
+  const shapes = nesting.shapes || {};
+  const jsonColumns = new Set(nesting.json);
+  const textColumns = new Set(nesting.text || []);
+
+  const cell = (row, col) => {
+    const val = row[col];
+    if (jsonColumns.has(col) && typeof val === 'string' && val !== '') {
+      try {
+        return JSON.parse(val);
+      } catch {
+        return val;
+      }
+    }
+    if (textColumns.has(col)) return isEmptyValue(val) ? null : String(val);
+    return typedValue(val, schema[col] ? schema[col].type : 'string');
+  };
+
+  // Exploded columns are grouped by the array they came from
+  const arrayGroups = new Map();
+  const plan = [];
+  columns.forEach(col => {
+    if (col === recordColumn) return;
+    const path = paths[col] || [col];
+    const each = path.indexOf(null);
+    if (each === -1) {
+      plan.push({ col, path });
+      return;
+    }
+    const prefix = path.slice(0, each);
+    const key = JSON.stringify(prefix);
+    if (!arrayGroups.has(key)) {
+      const group = { prefix, cells: [] };
+      arrayGroups.set(key, group);
+      plan.push({ group });
+    }
+    arrayGroups.get(key).cells.push({ col, rest: path.slice(each + 1) });
+  });
+
+  // Rows sharing a record number came from one record; rows without one stand alone
+  const records = new Map();
+  const hasRecords = recordColumn && columns.includes(recordColumn);
+  rows.forEach((row, i) => {
+    const id = hasRecords && !isEmptyValue(row[recordColumn]) ? String(row[recordColumn]) : `row:${i}`;
+    if (!records.has(id)) records.set(id, []);
+    records.get(id).push(row);
+  });
+
+  return Array.from(records, ([id, group]) => {
+    const out = {};
+    const created = new Set();
+    plan.forEach(step => {
+      if (step.col) {
+        setPath(out, step.path, cell(group[0], step.col), created);
+        return;
+      }
+      const { prefix, cells } = step.group;
+      const scalar = cells.find(({ rest }) => rest.length === 0);
+      // Rows after the last one with a value for this array are zip padding; empty elements
+      // before it are kept, and trailing ones come back from the record's shape
+      let length = 0;
+      group.forEach((row, i) => {
+        if (cells.some(({ col }) => !isEmptyValue(row[col]))) length = i + 1;
+      });
+      const items = group.slice(0, length).map(row => {
+        if (scalar) return cell(row, scalar.col);
+        const element = {};
+        created.add(element);
+        cells.forEach(({ col, rest }) => setPath(element, rest, cell(row, col), created));
+        return element;
+      });
+      created.add(items);
+      setPath(out, prefix, items, created);
+    });
+    Object.keys(out).forEach(key => {
+      out[key] = collapse(out[key], created);
+    });
+    if (hasRecords && shapes[id]) applyShape(out, shapes[id]);
+    return out;
+  });
+};
+
+// -- NESTED ARROW EXPORT --
+
+// Type tree of one field: flat columns keep their schema type, JSON text columns are inferred
+const nodeFor = (values, key, leafTypes) => {
+  if (leafTypes[key]) return { type: leafTypes[key] };
+  const present = values.filter(v => v !== null && v !== undefined);
+  if (present.length > 0 && present.every(Array.isArray)) {
+    return { type: 'list', element: nodeFor(present.flat(), `${key}.[]`, leafTypes) };
+  }
+  if (present.length > 0 && present.every(isPlainObject)) {
+    const names = new Set();
+    present.forEach(obj => Object.keys(obj).forEach(name => names.add(name)));
+    return {
+      type: 'struct',
+      children: Array.from(names, name => ({ name, node: nodeFor(present.map(obj => obj[name]), `${key}.${name}`, leafTypes) }))
+    };
+  }
+  return { type: inferColumnType(present.map(v => ({ v })), 'v').type };
+};
+
+const arrowNodeType = (Arrow, node) => {
+  if (node.type === 'list') return new Arrow.List(new Arrow.Field('element', arrowNodeType(Arrow, node.element), true));
+  if (node.type === 'struct') return new Arrow.Struct(node.children.map(c => new Arrow.Field(c.name, arrowNodeType(Arrow, c.node), true)));
+  return arrowTypeFor(Arrow, node.type);
+};
+
+const coerceNode = (value, node, col, rowIndex) => {
+  if (value === null || value === undefined) return null;
+  if (node.type === 'list') return Array.isArray(value) ? value.map(v => coerceNode(v, node.element, col, rowIndex)) : null;
+  if (node.type === 'struct') {
+    if (!isPlainObject(value)) return null;
+    const out = {};
+    node.children.forEach(c => {
+      out[c.name] = coerceNode(value[c.name], c.node, `${col}.${c.name}`, rowIndex);
+    });
+    return out;
+  }
+  return coerceValue(typeof value === 'object' ? JSON.stringify(value) : value, node.type, col, rowIndex);
+};
+
+// Arrow table with struct and list columns rebuilt from the flattened grid
+export const buildNestedArrowTable = (Arrow, rows, columns, schema, nesting) => {
+  const records = renestRows(rows, columns, schema, nesting);
+
+  // Every position of an indexed array shares one element type; disagreements become text
+  const leafTypes = {};
+  columns.forEach(col => {
+    if (nesting.json.includes(col) || col === nesting.recordColumn) return;
+    const key = pathKey(nesting.paths[col] || [col]);
+    const isText = nesting.text && nesting.text.includes(col);
+    const type = !isText && schema[col] ? schema[col].type : 'string';
+    leafTypes[key] = leafTypes[key] && leafTypes[key] !== type ? 'string' : type;
+  });
+  // A column that was only ever null where other rows had an object is not a leaf
+  Object.keys(leafTypes).forEach(key => {
+    const parts = key.split('.');
+    for (let i = 1; i < parts.length; i++) delete leafTypes[parts.slice(0, i).join('.')];
+  });
+
+  const names = new Set();
+  records.forEach(record => Object.keys(record).forEach(name => names.add(name)));
+
+  const vectors = {};
+  const fields = Array.from(names, name => {
+    const values = records.map(record => record[name]);
+    const node = nodeFor(values, name, leafTypes);
+    vectors[name] = Arrow.vectorFromArray(values.map((v, i) => coerceNode(v, node, name, i)), arrowNodeType(Arrow, node));
+    return new Arrow.Field(name, vectors[name].type, true);
+  });
+
+  return tableFromVectors(Arrow, vectors, fields);
+};
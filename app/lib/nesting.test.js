@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import * as Arrow from 'apache-arrow';
+import { inferSchema } from './schema';
+import { createFlattener, hasNesting, renestRows, buildNestedArrowTable } from './nesting';
+
+// Flattens records as the import does, then rebuilds them as the JSON and Parquet exports do
+const roundTrip = (records, arrays) => {
+  const flattener = createFlattener(arrays);
+  const rows = records.flatMap(record => flattener.add(record));
+  flattener.finish(rows);
+  const { columns } = flattener;
+  const schema = inferSchema(rows, columns);
+  return { rows, columns, schema, nesting: flattener.nesting() };
+};
+
+const records = [
+  { id: 1, address: { city: 'Oslo', zip: '0150' }, tags: ['a', 'b'], note: null },
+  { id: 2, address: { city: null, zip: '1' }, tags: [], note: 'x' },
+  { id: 3, address: null, tags: ['c'], note: null }
+];
+
+describe('nested round trip', () => {
+  it('gives back the records in flatten mode', () => {
+    const { rows, columns, schema, nesting } = roundTrip(records, 'flatten');
+    expect(renestRows(rows, columns, schema, nesting)).toEqual(records);
+  });
+
+  it('keeps string leaves that look like numbers as strings', () => {
+    const { rows, columns, schema, nesting } = roundTrip(records, 'flatten');
+    expect(schema['address.zip'].type).not.toBe('string');
+    const out = renestRows(rows, columns, schema, nesting);
+    expect(out.map(r => r.address && r.address.zip)).toEqual(['0150', '1', null]);
+    expect(out[0].id).toBe(1);
+  });
+
+  it('keeps empty arrays', () => {
+    const { rows, columns, schema, nesting } = roundTrip(records, 'flatten');
+    expect(rows[1].tags).toBe('[]');
+    expect(renestRows(rows, columns, schema, nesting)[1].tags).toEqual([]);
+  });
+
+  it('writes string leaves as text in Parquet structs', () => {
+    const { rows, columns, schema, nesting } = roundTrip(records, 'flatten');
+    const table = buildNestedArrowTable(Arrow, rows, columns, schema, nesting);
+    const address = table.schema.fields.find(f => f.name === 'address');
+    const zip = address.type.children.find(f => f.name === 'zip');
+    expect(String(zip.type)).toBe('Utf8');
+    expect(table.getChild('address').get(1).toJSON()).toEqual({ city: null, zip: '1' });
+    expect(table.getChild('tags').get(1).toArray()).toEqual([]);
+  });
+
+  it('gives back exploded arrays in rows mode', () => {
+    const { rows, columns, schema, nesting } = roundTrip(records, 'rows');
+    expect(renestRows(rows, columns, schema, nesting)).toEqual(records);
+  });
+
+  it('gives back indexed arrays in columns mode', () => {
+    const { rows, columns, schema, nesting } = roundTrip(records, 'columns');
+    expect(columns).toContain('tags[1]');
+    expect(renestRows(rows, columns, schema, nesting)).toEqual(records);
+  });
+
+  it('keeps null and empty elements of exploded arrays', () => {
+    const nulls = [
+      { id: 1, items: [null, 'b'] },
+      { id: 2, items: ['a', null] },
+      { id: 3, items: [null] }
+    ];
+    const objects = [{ id: 1, items: [{}, { a: 1 }] }, { id: 2, items: [{ a: 2 }, { a: null }] }];
+    [nulls, objects].forEach(input => {
+      const { rows, columns, schema, nesting } = roundTrip(input, 'rows');
+      expect(renestRows(rows, columns, schema, nesting)).toEqual(input);
+    });
+  });
+
+  it('keeps trailing null elements in columns mode', () => {
+    const input = [{ id: 1, tags: ['a', null] }, { id: 2, tags: [null, null] }, { id: 3, tags: [] }];
+    const { rows, columns, schema, nesting } = roundTrip(input, 'columns');
+    expect(columns[0]).toBe('_record');
+    expect(renestRows(rows, columns, schema, nesting)).toEqual(input);
+  });
+
+  it('tells empty objects apart from null ones in flatten mode', () => {
+    const input = [
+      { id: 1, address: {} },
+      { id: 2, address: { city: null } },
+      { id: 3, address: null },
+      { id: 4, address: { city: 'Oslo' } }
+    ];
+    const { rows, columns, schema, nesting } = roundTrip(input, 'flatten');
+    expect(renestRows(rows, columns, schema, nesting)).toEqual(input);
+  });
+
+  it('adds no record column when no record needs a shape', () => {
+    const { columns, nesting } = roundTrip(records, 'flatten');
+    expect(columns).not.toContain('_record');
+    expect(nesting.recordColumn).toBe(null);
+  });
+});
+
+describe('hasNesting', () => {
+  it('is false when flattening found only top-level fields', () => {
+    expect(hasNesting(roundTrip([{ id: 1, name: 'a' }], 'rows').nesting)).toBe(false);
+    expect(hasNesting(null)).toBe(false);
+  });
+
+  it('is true for flattened objects and arrays kept as JSON', () => {
+    expect(hasNesting(roundTrip(records, 'flatten').nesting)).toBe(true);
+    expect(hasNesting(roundTrip([{ id: 1, tags: ['a'] }], 'flatten').nesting)).toBe(true);
+  });
+});
@@ -0,0 +1,36 @@
+import { loadPapaParse, loadHyparquet, loadExcelJS, loadArrow, loadParquetWasm } from './loaders';
+import { preloadParsers } from './importFile';
+
+// -- OFFLINE MODE --
+// Registers the service worker (public/sw.js) that keeps the app working with no network.
+// The service worker caches what the app fetches. On the first visit the page also loads
+// every lazily loaded library once, on the page and in the parse worker, so all formats
+// work offline and not only the ones that happened to be used.
+
+// Resolves once a service worker controls the page
+const whenControlled = () => new Promise(resolve => {
+  if (navigator.serviceWorker.controller) return resolve();
+  navigator.serviceWorker.addEventListener('controllerchange', () => resolve(), { once: true });
+});
+
+export const enableOffline = async () => {
+  // In development the cache would serve stale modules over hot reloads
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  try {
+    const firstInstall = !navigator.serviceWorker.controller;
+    await navigator.serviceWorker.register('/sw.js');
+    if (!firstInstall) return;
+    await whenControlled();
+
+    // Everything this page loaded before the service worker took over
+    const urls = performance.getEntriesByType('resource')
+      .map(entry => entry.name)
+      .filter(url => url.startsWith(window.location.origin));
+    navigator.serviceWorker.controller.postMessage({ type: 'cache', urls });
+
+    await Promise.all([loadPapaParse(), loadHyparquet(), loadExcelJS(), loadArrow(), loadParquetWasm(), preloadParsers()]);
+  } catch (err) {
+    console.error("Offline mode is unavailable:", err);
+  }
+};
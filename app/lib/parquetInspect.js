@@ -0,0 +1,142 @@
+import { loadHyparquet } from './loaders';
+import { schemaFromParquet, normalizeValue } from './schema';
+
+// -- PARQUET INSPECTOR --
+// Reads only the footer of a Parquet file (a few KB at its end) and summarizes the schema,
+// row groups, compression, encodings and statistics, so a huge file can be loaded selectively.
+
+// File-backed buffer that reads just the requested byte ranges
+const fileBuffer = (file) => ({
+  byteLength: file.size,
+  slice: (start, end = file.size) => file.slice(start, end).arrayBuffer()
+});
+
+const comparable = (val) => typeof val === 'number' || typeof val === 'bigint' || typeof val === 'string' || val instanceof Date;
+
+const minOf = (a, b) => (a === undefined || (comparable(b) && typeof a === typeof b && b < a) ? b : a);
+const maxOf = (a, b) => (a === undefined || (comparable(b) && typeof a === typeof b && b > a) ? b : a);
+
+// Statistics are shown as text; binary min/max values carry no readable meaning
+const statText = (val) => {
+  if (val === undefined || val === null || ArrayBuffer.isView(val)) return null;
+  const normalized = normalizeValue(val);
+  return String(normalized);
+};
+
+const logicalName = (element) => {
+  if (element.logical_type) return element.logical_type.type;
+  return element.converted_type || null;
+};
+
+// Resolves to { numRows, createdBy, fields, chunks, rowGroups }:
+//   fields:    top-level columns, the unit of selection: [{ name, type, nullable, nested, compressedSize }]
+//   chunks:    leaf columns aggregated over row groups: [{ path, field, physicalType, logicalType,
+//              codecs, encodings, compressedSize, uncompressedSize, nullCount, min, max }]
+//   rowGroups: [{ index, rowStart, numRows, compressedSize, uncompressedSize }]
+export const inspectParquet = async (file) => {
+  const { parquetMetadataAsync } = await loadHyparquet();
+  const metadata = await parquetMetadataAsync(fileBuffer(file));
+  const declared = schemaFromParquet(metadata);
+
+  const leafElements = {};
+  (metadata.schema || []).forEach(element => {
+    if (!element.num_children) leafElements[element.name] = element;
+  });
+
+  const chunks = new Map();
+  const rowGroups = [];
+  let rowStart = 0;
+
+  metadata.row_groups.forEach((rowGroup, index) => {
+    const numRows = Number(rowGroup.num_rows);
+    let compressedSize = 0;
+    let uncompressedSize = 0;
+
+    rowGroup.columns.forEach(column => {
+      const meta = column.meta_data;
+      if (!meta) return;
+      const key = meta.path_in_schema.join('.');
+      if (!chunks.has(key)) {
+        const element = leafElements[meta.path_in_schema[meta.path_in_schema.length - 1]] || {};
+        chunks.set(key, {
+          path: key,
+          field: meta.path_in_schema[0],
+          physicalType: meta.type,
+          logicalType: logicalName(element),
+          codecs: new Set(),
+          encodings: new Set(),
+          compressedSize: 0,
+          uncompressedSize: 0,
+          nullCount: 0,
+          nullCountKnown: true,
+          min: undefined,
+          max: undefined
+        });
+      }
+      const chunk = chunks.get(key);
+      chunk.codecs.add(meta.codec);
+      (meta.encodings || []).forEach(encoding => chunk.encodings.add(encoding));
+      chunk.compressedSize += Number(meta.total_compressed_size);
+      chunk.uncompressedSize += Number(meta.total_uncompressed_size);
+      compressedSize += Number(meta.total_compressed_size);
+      uncompressedSize += Number(meta.total_uncompressed_size);
+
+      const stats = meta.statistics || {};
+      if (stats.null_count === undefined) chunk.nullCountKnown = false;
+      else chunk.nullCount += Number(stats.null_count);
+      const min = stats.min_value !== undefined ? stats.min_value : stats.min;
+      const max = stats.max_value !== undefined ? stats.max_value : stats.max;
+      if (min !== undefined && min !== null) chunk.min = minOf(chunk.min, min);
+      if (max !== undefined && max !== null) chunk.max = maxOf(chunk.max, max);
+    });
+
+    rowGroups.push({ index, rowStart, numRows, compressedSize, uncompressedSize });
+    rowStart += numRows;
+  });
+
+  const chunkList = Array.from(chunks.values(), chunk => ({
+    path: chunk.path,
+    field: chunk.field,
+    physicalType: chunk.physicalType,
+    logicalType: chunk.logicalType,
+    codecs: Array.from(chunk.codecs),
+    encodings: Array.from(chunk.encodings),
+    compressedSize: chunk.compressedSize,
+    uncompressedSize: chunk.uncompressedSize,
+    nullCount: chunk.nullCountKnown ? chunk.nullCount : null,
+    min: statText(chunk.min),
+    max: statText(chunk.max)
+  }));
+
+  const fields = Object.keys(declared).map(name => {
+    const own = chunkList.filter(chunk => chunk.field === name);
+    return {
+      name,
+      type: declared[name].type,
+      nullable: declared[name].nullable,
+      nested: own.length !== 1 || own[0].path !== name,
+      compressedSize: own.reduce((sum, chunk) => sum + chunk.compressedSize, 0)
+    };
+  });
+
+  return {
+    numRows: Number(metadata.num_rows),
+    createdBy: metadata.created_by || null,
+    fields,
+    chunks: chunkList,
+    rowGroups
+  };
+};
+
+// Row ranges to read for a set of row group indexes, merging neighbours
+export const rangesForRowGroups = (rowGroups, selected) => {
+  const ranges = [];
+  rowGroups.forEach(group => {
+    if (!selected.has(group.index)) return;
+    const last = ranges[ranges.length - 1];
+    const rowEnd = group.rowStart + group.numRows;
+    if (last && last.rowEnd === group.rowStart) last.rowEnd = rowEnd;
+    else ranges.push({ rowStart: group.rowStart, rowEnd });
+  });
+  return ranges;
+};
@@ -0,0 +1,423 @@
+// -- PARSE WORKER --
+// Runs the CSV/JSON/JSON Lines/Parquet/Excel parsers off the main thread. Rows are posted back in
+// batches as they are read, interleaved with progress messages:
+//   { type: 'progress', bytesRead, totalBytes, rowsRead }
+//   { type: 'rows', rows }
+//   { type: 'complete', columns, schema, warnings, nesting }
+// warnings are messages about skipped input; nesting describes flattened columns (see nesting.js).
+//   { type: 'error', message }
+// Cancelling is done by the page terminating the worker.
+// A { preload: true } message only loads the parser libraries (so they are cached for offline
+// use) and answers { type: 'preloaded' }. A { describe: file } message lists the sheets of a
+// workbook for the sheet picker and answers { type: 'described', sheets }.
+
+import { loadPapaParse, loadHyparquet, loadExcelJS } from './loaders';
+import { schemaFromParquet, normalizeValue, inferSchema } from './schema';
+import { loadWorkbook, sheetRows, sheetToTable, describeWorkbook } from './excel';
+import { createFlattener } from './nesting';
+
+const CSV_CHUNK_SIZE = 2 * 1024 * 1024;
+const ROW_BATCH_SIZE = 10000;
+
+// Tracks how far through the file we are and reports it to the page
+const createProgress = (totalBytes) => {
+  const progress = { bytesRead: 0, totalBytes, rowsRead: 0 };
+  return {
+    read: (bytes) => { progress.bytesRead = Math.min(progress.totalBytes, progress.bytesRead + bytes); },
+    seek: (bytes) => { progress.bytesRead = Math.min(progress.totalBytes, bytes); },
+    // Partial reads (e.g. selected Parquet columns) replace the file size with what will be read
+    total: (bytes) => {
+      progress.totalBytes = bytes;
+      progress.bytesRead = 0;
+    },
+    rows: (rows) => {
+      progress.rowsRead += rows.length;
+      self.postMessage({ type: 'rows', rows });
+    },
+    report: () => self.postMessage({ type: 'progress', ...progress })
+  };
+};
+
+const postInBatches = (rows, progress) => {
+  for (let i = 0; i < rows.length; i += ROW_BATCH_SIZE) {
+    progress.rows(rows.slice(i, i + ROW_BATCH_SIZE));
+    progress.report();
+  }
+};
+
+// -- PARSERS --
+
+const parseCSV = async (file, { delimiter = "" } = {}) => {
+  const Papa = await loadPapaParse();
+  const progress = createProgress(file.size);
+
+  // Handle escaped tab characters if user typed "\t"
+  const actualDelimiter = delimiter === "\\t" ? "\t" : delimiter;
+
+  return new Promise((resolve, reject) => {
+    let columns = null;
+
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      delimiter: actualDelimiter, // Empty string = auto-detect
+      chunkSize: CSV_CHUNK_SIZE,
+      chunk: (results) => {
+        if (!columns && results.meta.fields) columns = results.meta.fields;
+        progress.seek(results.meta.cursor);
+        progress.rows(results.data);
+        progress.report();
+      },
+      complete: () => resolve({ columns: columns || [] }),
+      error: (err) => reject(new Error("Error parsing file: " + err.message))
+    });
+  });
+};
+
+// Reads the file through its stream so progress can be reported while loading
+const readText = async (file, progress) => {
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  const parts = [];
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(decoder.decode(value, { stream: true }));
+    progress.read(value.byteLength);
+    progress.report();
+  }
+  parts.push(decoder.decode());
+  return parts.join('');
+};
+
+const MAX_WARNINGS = 100;
+
+// Collects JSON Lines records from text fed in arbitrary chunks. Malformed lines are skipped
+// and reported by line number instead of failing the whole file.
+const createLineReader = () => {
+  const records = [];
+  const warnings = [];
+  let skipped = 0;
+  let pending = '';
+  let lineNumber = 0;
+
+  const skip = (message) => {
+    skipped++;
+    if (warnings.length < MAX_WARNINGS) warnings.push(`Line ${lineNumber}: ${message}`);
+  };
+
+  const readLine = (line) => {
+    lineNumber++;
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    let value;
+    try {
+      value = JSON.parse(trimmed);
+    } catch (err) {
+      skip(err.message);
+      return;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      skip("Expected a JSON object.");
+      return;
+    }
+    records.push(value);
+  };
+
+  return {
+    push: (text) => {
+      const lines = (pending + text).split('\n');
+      pending = lines.pop();
+      lines.forEach(readLine);
+    },
+    end: () => {
+      if (pending) readLine(pending);
+      pending = '';
+      if (skipped > warnings.length) warnings.push(`...and ${(skipped - warnings.length).toLocaleString()} more malformed lines.`);
+      if (records.length === 0 && skipped > 0) {
+        throw new Error(`No valid JSON Lines records found. ${warnings.slice(0, 3).join(' ')}`);
+      }
+      return { records, warnings: skipped > 0 ? [`Skipped ${skipped.toLocaleString()} malformed line${skipped === 1 ? '' : 's'}.`, ...warnings] : [] };
+    }
+  };
+};
+
+// Objects as rows: nested values become JSON text and every row gets every column
+const recordsToRows = (records, columns) => records.map(row => {
+  const newRow = {};
+  columns.forEach(col => {
+    let val = row[col];
+    if (typeof val === 'object' && val !== null) {
+      val = JSON.stringify(val);
+    }
+    newRow[col] = (val === undefined || val === null) ? '' : val;
+  });
+  return newRow;
+});
+
+// Column order is the order keys are first seen; records can have different keys
+const keysOf = (records) => {
+  const keys = new Set();
+  records.forEach(record => Object.keys(record).forEach(k => keys.add(k)));
+  return Array.from(keys);
+};
+
+// Flattens nested records when the import asked for it (options.nested, see NESTED_MODES).
+// `types` are known column types, so top-level dates keep their declared form.
+const flattenRecords = (records, nested, types = {}) => {
+  const flattener = createFlattener(nested, types);
+  const rows = [];
+  records.forEach(record => {
+    for (const row of flattener.add(record)) rows.push(row);
+  });
+  flattener.finish(rows);
+  return { rows, columns: flattener.columns, nesting: flattener.nesting() };
+};
+
+const isFlattening = (nested) => Boolean(nested) && nested !== 'json';
+
+const postRecords = (records, columns, nested, progress) => {
+  if (!isFlattening(nested)) {
+    postInBatches(recordsToRows(records, columns), progress);
+    return { columns };
+  }
+  const flat = flattenRecords(records, nested);
+  postInBatches(flat.rows, progress);
+  return { columns: flat.columns, nesting: flat.nesting };
+};
+
+const finishJSONLines = (reader, nested, progress) => {
+  const { records, warnings } = reader.end();
+  return { ...postRecords(records, keysOf(records), nested, progress), warnings };
+};
+
+// Reads newline-delimited JSON (.jsonl / .ndjson) straight from the file stream
+const parseJSONLines = async (file, { nested } = {}) => {
+  const progress = createProgress(file.size);
+  const reader = createLineReader();
+  const stream = file.stream().getReader();
+  const decoder = new TextDecoder();
+
+  for (;;) {
+    const { done, value } = await stream.read();
+    if (done) break;
+    reader.push(decoder.decode(value, { stream: true }));
+    progress.read(value.byteLength);
+    progress.report();
+  }
+  reader.push(decoder.decode());
+  return finishJSONLines(reader, nested, progress);
+};
+
+const parseJSON = async (file, { nested } = {}) => {
+  const progress = createProgress(file.size);
+  const text = await readText(file, progress);
+
+  let jsonData;
+  try {
+    jsonData = JSON.parse(text);
+  } catch {
+    // Several objects one after another: newline-delimited JSON saved as .json
+    if (text.trimStart().startsWith('{')) {
+      const reader = createLineReader();
+      reader.push(text);
+      return finishJSONLines(reader, nested, progress);
+    }
+    throw new Error("Invalid JSON format. Please ensure file contains valid JSON.");
+  }
+
+  // A single object is one record (e.g. a JSON Lines file with one line)
+  if (jsonData && typeof jsonData === 'object' && !Array.isArray(jsonData)) {
+    jsonData = [jsonData];
+  }
+
+  if (!Array.isArray(jsonData)) {
+    throw new Error("JSON file must contain an array of objects (e.g. [{}, {}]) or one object per line.");
+  }
+
+  if (jsonData.length === 0) return { columns: [] };
+
+  const allKeys = new Set();
+  const sampleSize = Math.min(jsonData.length, 100);
+
+  for (let i = 0; i < sampleSize; i++) {
+    const row = jsonData[i];
+    if (row && typeof row === 'object') {
+      Object.keys(row).forEach(k => allKeys.add(k));
+    }
+  }
+
+  const cols = Array.from(allKeys);
+
+  return postRecords(jsonData, cols, nested, progress);
+};
+
+// options.columns: top-level columns to read (all when omitted)
+// options.ranges: [{ rowStart, rowEnd }] sorted row ranges to read (all rows when omitted)
+const parseParquet = async (file, { nested, columns: selectedColumns, ranges } = {}) => {
+  const { parquetMetadataAsync, parquetRead } = await loadHyparquet();
+  const progress = createProgress(file.size);
+
+  // Only the byte ranges hyparquet asks for are read from disk
+  const asyncBuffer = {
+    byteLength: file.size,
+    slice: async (start, end = file.size) => {
+      const buffer = await file.slice(start, end).arrayBuffer();
+      progress.read(buffer.byteLength);
+      return buffer;
+    }
+  };
+
+  try {
+    const metadata = await parquetMetadataAsync(asyncBuffer);
+    const fileSchema = schemaFromParquet(metadata);
+    const cols = Object.keys(fileSchema).filter(col => !selectedColumns || selectedColumns.includes(col));
+    const declaredSchema = {};
+    cols.forEach(col => { declaredSchema[col] = fileSchema[col]; });
+    const wanted = ranges && ranges.length > 0 ? ranges : [{ rowStart: 0, rowEnd: Infinity }];
+
+    // Row groups split into the parts that overlap the wanted ranges
+    const reads = [];
+    let groupStart = 0;
+    let expectedBytes = 0;
+    for (const rowGroup of metadata.row_groups) {
+      const groupEnd = groupStart + Number(rowGroup.num_rows);
+      let overlaps = false;
+      for (const range of wanted) {
+        const rowStart = Math.max(groupStart, range.rowStart);
+        const rowEnd = Math.min(groupEnd, range.rowEnd);
+        if (rowStart < rowEnd) {
+          reads.push({ rowStart, rowEnd });
+          overlaps = true;
+        }
+      }
+      if (overlaps) {
+        rowGroup.columns.forEach(chunk => {
+          if (chunk.meta_data && cols.includes(chunk.meta_data.path_in_schema[0])) expectedBytes += Number(chunk.meta_data.total_compressed_size);
+        });
+      }
+      groupStart = groupEnd;
+    }
+    if (selectedColumns || ranges) progress.total(expectedBytes);
+    // Flattening needs every record before the final columns are known
+    const records = isFlattening(nested) ? [] : null;
+
+    // Read one row group (or part of one) at a time so rows stream back as they are decoded
+    for (const { rowStart, rowEnd } of reads) {
+      await parquetRead({
+        file: asyncBuffer,
+        metadata,
+        columns: selectedColumns ? cols : undefined,
+        rowStart,
+        rowEnd,
+        rowFormat: 'object',
+        onComplete: (rows) => {
+          if (records) {
+            for (const row of rows) records.push(row);
+            progress.report();
+            return;
+          }
+          const sanitizedRows = rows.map(row => {
+            const newRow = {};
+            cols.forEach(col => {
+              newRow[col] = normalizeValue(row[col], declaredSchema[col].type);
+            });
+            return newRow;
+          });
+          postInBatches(sanitizedRows, progress);
+        }
+      });
+    }
+
+    if (records) {
+      const types = {};
+      cols.forEach(col => { types[col] = declaredSchema[col].type; });
+      const flat = flattenRecords(records, nested, types);
+      // Top-level fields keep their declared types; flattened ones are inferred
+      const flatColumns = flat.columns.filter(col => !(declaredSchema[col] && flat.nesting.paths[col] && flat.nesting.paths[col].length === 1));
+      const schema = inferSchema(flat.rows, flatColumns);
+      flat.columns.forEach(col => {
+        if (!schema[col]) schema[col] = declaredSchema[col];
+      });
+      postInBatches(flat.rows, progress);
+      return { columns: flat.columns, schema, nesting: flat.nesting };
+    }
+
+    return { columns: cols, schema: declaredSchema };
+  } catch (err) {
+    console.error(err);
+    throw new Error("Failed to parse Parquet file. It might use an unsupported compression codec (e.g. LZO).");
+  }
+};
+
+const UNREADABLE_WORKBOOK = "Failed to read the Excel file. Only .xlsx workbooks are supported (not the older .xls format).";
+
+// Sheet names and leading rows for the workbook dialog
+const describeXLSX = async (file) => {
+  try {
+    return await describeWorkbook(file);
+  } catch (err) {
+    console.error(err);
+    throw new Error(UNREADABLE_WORKBOOK);
+  }
+};
+
+// options: { sheet, headerRow } picked in the workbook dialog; defaults to the first sheet
+// with its first row as the header. Workbooks are zipped XML, so the whole file is read at once.
+const parseXLSX = async (file, { sheet, headerRow = 1 } = {}) => {
+  const progress = createProgress(file.size);
+
+  let workbook;
+  try {
+    workbook = await loadWorkbook(file);
+  } catch (err) {
+    console.error(err);
+    throw new Error(UNREADABLE_WORKBOOK);
+  }
+  progress.seek(file.size);
+  progress.report();
+
+  const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+  if (!worksheet) throw new Error(sheet ? `Sheet "${sheet}" was not found in the workbook.` : "The workbook has no sheets.");
+
+  const { columns, rows, schema } = sheetToTable(sheetRows(worksheet), headerRow);
+  postInBatches(rows, progress);
+  return { columns, schema };
+};
+
+const PARSERS = {
+  csv: parseCSV,
+  json: parseJSON,
+  jsonl: parseJSONLines,
+  parquet: parseParquet,
+  xlsx: parseXLSX
+};
+
+// addEventListener rather than onmessage: PapaParse claims onmessage when it thinks it owns the worker
+self.addEventListener('message', async (e) => {
+  const { file, format, options, preload, describe } = e.data;
+  try {
+    if (preload) {
+      await Promise.all([loadPapaParse(), loadHyparquet(), loadExcelJS()]);
+      self.postMessage({ type: 'preloaded' });
+      return;
+    }
+    if (describe) {
+      self.postMessage({ type: 'described', sheets: await describeXLSX(describe) });
+      return;
+    }
+    const parser = PARSERS[format];
+    if (!parser) throw new Error(`Unsupported format: ${format}`);
+    const result = await parser(file, options);
+    self.postMessage({
+      type: 'complete',
+      columns: result.columns,
+      schema: result.schema || null,
+      warnings: result.warnings || [],
+      nesting: result.nesting || null
+    });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+});
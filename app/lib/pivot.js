@@ -0,0 +1,164 @@
+import { isEmptyValue } from './schema';
+
+// -- PIVOT TABLES --
+// Groups rows by row dimensions (one output row per combination) and optional column
+// dimensions (one set of measure columns per combination), aggregating measure columns.
+// spec: { rows: [column], columns: [column], measures: [{ agg, column }] }
+
+export const AGGREGATES = {
+  count: 'Count',
+  distinct: 'Distinct count',
+  sum: 'Sum',
+  avg: 'Average',
+  min: 'Min',
+  max: 'Max',
+  median: 'Median'
+};
+
+// Column combinations beyond this are dropped, so a high-cardinality column dimension
+// cannot produce an unusable number of columns
+export const MAX_PIVOT_COLUMNS = 500;
+
+const KEY_SEPARATOR = '\u001f';
+
+// Group values as the "is one of" filter compares them, so a cell can be drilled into
+const groupValue = (val) => (isEmptyValue(val) ? '' : String(val));
+
+const compareKeys = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i].localeCompare(b[i], undefined, { numeric: true });
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+// Float sums such as 0.1 + 0.2 are shown as 0.3
+const tidy = (n) => Number(n.toPrecision(12));
+
+const numbersOf = (values) => values.map(Number).filter(n => !isNaN(n));
+
+// Min/max compare numbers as numbers, dates as dates and anything else as text
+const comparable = (type) => {
+  if (type === 'int64' || type === 'double') return (val) => Number(val);
+  if (type === 'date' || type === 'timestamp') return (val) => (val instanceof Date ? val.getTime() : Date.parse(val));
+  return null;
+};
+
+const aggregate = (agg, values, type) => {
+  if (agg === 'count') return values.length;
+  if (agg === 'distinct') return new Set(values.map(groupValue)).size;
+  if (agg === 'min' || agg === 'max') {
+    // Columns without a declared type compare as numbers when every value is one
+    const key = comparable(type) || (values.every(val => !isNaN(Number(val))) ? Number : null);
+    const candidates = key ? values.filter(val => !isNaN(key(val))) : values;
+    if (candidates.length === 0) return null;
+    const better = agg === 'min' ? -1 : 1;
+    return candidates.reduce((best, val) => {
+      const diff = key
+        ? key(val) - key(best)
+        : String(val).localeCompare(String(best), undefined, { numeric: true });
+      return Math.sign(diff) === better ? val : best;
+    });
+  }
+
+  const nums = numbersOf(values);
+  if (nums.length === 0) return null;
+  if (agg === 'sum') return tidy(nums.reduce((a, b) => a + b, 0));
+  if (agg === 'avg') return tidy(nums.reduce((a, b) => a + b, 0) / nums.length);
+  if (agg === 'median') {
+    nums.sort((a, b) => a - b);
+    const mid = Math.floor(nums.length / 2);
+    return nums.length % 2 ? nums[mid] : tidy((nums[mid - 1] + nums[mid]) / 2);
+  }
+  return null;
+};
+
+export const measureLabel = ({ agg, column }) => (column ? `${agg}(${column})` : 'count(*)');
+
+// Returns { columns, rows, cells, truncated }. cells(row, column) gives the dimension values
+// behind a pivot cell as [{ column, value }], or null for cells that are not measures.
+// Count without a column counts rows; other measures skip empty values.
+export const pivotTable = (rows, spec, schema = {}) => {
+  const rowDims = spec.rows || [];
+  const colDims = spec.columns || [];
+  const measures = spec.measures || [];
+
+  // row and column key -> non-empty values per measure
+  const groups = new Map();
+  const rowKeys = new Map();
+  const colKeys = new Map();
+
+  for (const row of rows) {
+    const rowKey = rowDims.map(dim => groupValue(row[dim]));
+    const colKey = colDims.map(dim => groupValue(row[dim]));
+    const rowId = rowKey.join(KEY_SEPARATOR);
+    const colId = colKey.join(KEY_SEPARATOR);
+    if (!rowKeys.has(rowId)) rowKeys.set(rowId, rowKey);
+    if (!colKeys.has(colId)) colKeys.set(colId, colKey);
+
+    const id = rowId + KEY_SEPARATOR + KEY_SEPARATOR + colId;
+    let group = groups.get(id);
+    if (!group) {
+      group = measures.map(() => []);
+      groups.set(id, group);
+    }
+    measures.forEach((m, i) => {
+      if (!m.column) group[i].push(1);
+      else if (!isEmptyValue(row[m.column])) group[i].push(row[m.column]);
+    });
+  }
+
+  const sortedRowKeys = [...rowKeys.values()].sort(compareKeys);
+  let sortedColKeys = [...colKeys.values()].sort(compareKeys);
+  const truncated = sortedColKeys.length * measures.length > MAX_PIVOT_COLUMNS;
+  if (truncated) sortedColKeys = sortedColKeys.slice(0, Math.max(1, Math.floor(MAX_PIVOT_COLUMNS / Math.max(1, measures.length))));
+
+  // Output column names, made unique against the dimension names
+  const taken = new Set(rowDims);
+  const unique = (name) => {
+    let out = name;
+    let n = 2;
+    while (taken.has(out)) out = `${name} (${n++})`;
+    taken.add(out);
+    return out;
+  };
+  const measureColumns = [];
+  sortedColKeys.forEach(colKey => {
+    measures.forEach((m, i) => {
+      const label = colDims.length > 0 ? `${colKey.map(v => (v === '' ? '(empty)' : v)).join(' · ')} · ${measureLabel(m)}` : measureLabel(m);
+      measureColumns.push({ name: unique(label), colKey, measure: i });
+    });
+  });
+
+  const rowKeyOf = new WeakMap();
+  const outRows = sortedRowKeys.map(rowKey => {
+    const out = {};
+    rowDims.forEach((dim, i) => { out[dim] = rowKey[i]; });
+    const rowId = rowKey.join(KEY_SEPARATOR);
+    measureColumns.forEach(({ name, colKey, measure }) => {
+      const group = groups.get(rowId + KEY_SEPARATOR + KEY_SEPARATOR + colKey.join(KEY_SEPARATOR));
+      const m = measures[measure];
+      out[name] = group ? aggregate(m.agg, group[measure], m.column && schema[m.column] ? schema[m.column].type : null) : null;
+    });
+    rowKeyOf.set(out, rowKey);
+    return out;
+  });
+
+  const byName = new Map(measureColumns.map(c => [c.name, c]));
+  const cells = (row, column) => {
+    const measureColumn = byName.get(column);
+    const rowKey = rowKeyOf.get(row);
+    if (!measureColumn || !rowKey) return null;
+    return [
+      ...rowDims.map((dim, i) => ({ column: dim, value: rowKey[i] })),
+      ...colDims.map((dim, i) => ({ column: dim, value: measureColumn.colKey[i] }))
+    ];
+  };
+
+  return {
+    columns: [...rowDims, ...measureColumns.map(c => c.name)],
+    rows: outRows,
+    cells,
+    truncated
+  };
+};
@@ -0,0 +1,137 @@
+import { isEmptyValue, detectValueType, formatDate } from './schema';
+
+// -- COLUMN PROFILES --
+// One pass per column over the rows the grid shows: emptiness, distinct and top values,
+// spread of numeric and date values, text lengths, and values of different kinds mixed in
+// one column (e.g. numbers with a few "n/a" strings).
+
+export const TOP_VALUE_COUNT = 5;
+
+// Value kinds for the mixed-type check; int64 and double are both numbers
+const KIND_OF = { int64: 'number', double: 'number', date: 'date', timestamp: 'date', boolean: 'boolean', string: 'text' };
+
+// Value at fraction p of sorted numbers, interpolating between neighbours
+const quantile = (sorted, p) => {
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+const round = (n) => (n === null ? null : Number(n.toPrecision(10)));
+
+const percent = (part, whole) => Math.round((part / whole) * 10000) / 100;
+
+// Profile of one column. type is the column's schema type; numbers and dates are summarised
+// according to it, so a text column of digits is still profiled as text.
+export const profileColumn = (rows, column, type = 'string') => {
+  const counts = new Map();
+  const kinds = {};
+  const numbers = [];
+  let empty = 0;
+  let minLength = null;
+  let maxLength = null;
+  const isNumeric = type === 'int64' || type === 'double';
+  const isDate = type === 'date' || type === 'timestamp';
+
+  for (const row of rows) {
+    const val = row[column];
+    if (isEmptyValue(val)) {
+      empty++;
+      continue;
+    }
+    const key = String(val);
+    counts.set(key, (counts.get(key) || 0) + 1);
+
+    const kind = KIND_OF[detectValueType(val)];
+    kinds[kind] = (kinds[kind] || 0) + 1;
+
+    if (isNumeric) {
+      const n = Number(val);
+      if (!isNaN(n)) numbers.push(n);
+    } else if (isDate) {
+      const ms = val instanceof Date ? val.getTime() : Date.parse(val);
+      if (!isNaN(ms)) numbers.push(ms);
+    } else {
+      if (minLength === null || key.length < minLength) minLength = key.length;
+      if (maxLength === null || key.length > maxLength) maxLength = key.length;
+    }
+  }
+
+  const nonEmpty = rows.length - empty;
+  const top = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_VALUE_COUNT)
+    .map(([value, count]) => ({ value, count, pct: percent(count, nonEmpty) }));
+
+  const profile = {
+    column,
+    type,
+    rows: rows.length,
+    empty,
+    emptyPct: rows.length > 0 ? percent(empty, rows.length) : 0,
+    distinct: counts.size,
+    top,
+    min: null,
+    max: null,
+    mean: null,
+    stdDev: null,
+    quartiles: null,
+    minLength,
+    maxLength,
+    // Kinds of value found, flagged when more than one occurs: { number: 120, text: 3 }
+    kinds,
+    mixed: Object.keys(kinds).length > 1
+  };
+
+  if (numbers.length > 0) {
+    numbers.sort((a, b) => a - b);
+    const mean = numbers.reduce((a, b) => a + b, 0) / numbers.length;
+    const variance = numbers.reduce((sum, n) => sum + (n - mean) * (n - mean), 0) / numbers.length;
+    // Dates are reported as dates; their spread as a number of days
+    const show = isDate
+      ? (ms) => (type === 'date' ? formatDate(new Date(ms)) : new Date(ms).toISOString())
+      : round;
+    profile.min = show(numbers[0]);
+    profile.max = show(numbers[numbers.length - 1]);
+    profile.mean = show(mean);
+    profile.stdDev = isDate ? round(Math.sqrt(variance) / 86400000) : round(Math.sqrt(variance));
+    profile.quartiles = {
+      q1: show(quantile(numbers, 0.25)),
+      median: show(quantile(numbers, 0.5)),
+      q3: show(quantile(numbers, 0.75))
+    };
+  } else if (!isNumeric && !isDate && nonEmpty > 0) {
+    // Text sorts as text
+    const sorted = [...counts.keys()].sort((a, b) => a.localeCompare(b));
+    profile.min = sorted[0];
+    profile.max = sorted[sorted.length - 1];
+  }
+
+  return profile;
+};
+
+// schema: { [column]: { type } } as shown in the grid
+export const profileColumns = (rows, columns, schema = {}) =>
+  columns.map(col => profileColumn(rows, col, schema[col] ? schema[col].type : 'string'));
+
+// Flat rows (one per column) for the CSV report
+export const profileReportRows = (profiles) => profiles.map(p => ({
+  column: p.column,
+  type: p.type,
+  rows: p.rows,
+  empty: p.empty,
+  empty_pct: p.emptyPct,
+  distinct: p.distinct,
+  min: p.min,
+  max: p.max,
+  mean: p.mean,
+  std_dev: p.stdDev,
+  q1: p.quartiles ? p.quartiles.q1 : null,
+  median: p.quartiles ? p.quartiles.median : null,
+  q3: p.quartiles ? p.quartiles.q3 : null,
+  min_length: p.minLength,
+  max_length: p.maxLength,
+  mixed_types: p.mixed ? Object.entries(p.kinds).map(([kind, n]) => `${kind}: ${n}`).join('; ') : '',
+  top_values: p.top.map(t => `${t.value} (${t.count})`).join('; ')
+}));
@@ -0,0 +1,47 @@
+// -- FIND & REPLACE --
+// Replaces text in cells across columns. Options: { find, replacement, matchCase, wholeCell, regex }.
+// In regex mode the replacement may use capture groups ($1, $<name>, $&); otherwise both
+// texts are literal. Cells are matched on their text, so an empty cell reads as ''.
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Returns the global RegExp for the options; throws with a readable message when it cannot be built
+export const compileFind = ({ find, matchCase, wholeCell, regex }) => {
+  if (find === '' && !wholeCell) throw new Error("Enter the text to find.");
+  const source = regex ? find : escapeRegExp(find);
+  return new RegExp(wholeCell ? `^(?:${source})$` : source, matchCase ? 'g' : 'gi');
+};
+
+const cellText = (val) => (val === null || val === undefined ? '' : String(val));
+
+// Cells the options would change. rows are the stored rows, indexes the positions to look at
+// (all rows when null). Returns { changes: [{ index, col, before, after }], matchedCells, matchedRows },
+// where matched cells whose replacement leaves them as they were are counted but not changed.
+export const findReplacements = (rows, indexes, columns, options) => {
+  const re = compileFind(options);
+  const replaceWith = options.regex ? options.replacement : () => options.replacement;
+  const changes = [];
+  let matchedCells = 0;
+  let matchedRows = 0;
+
+  const scan = (index) => {
+    const row = rows[index];
+    let matched = false;
+    for (const col of columns) {
+      const before = row[col];
+      const text = cellText(before);
+      re.lastIndex = 0;
+      if (!re.test(text)) continue;
+      matched = true;
+      matchedCells++;
+      const after = text.replace(re, replaceWith);
+      if (after !== text) changes.push({ index, col, before, after });
+    }
+    if (matched) matchedRows++;
+  };
+
+  if (indexes) indexes.forEach(scan);
+  else for (let i = 0; i < rows.length; i++) scan(i);
+
+  return { changes, matchedCells, matchedRows };
+};
@@ -0,0 +1,220 @@
+// -- COLUMN SCHEMA --
+// Type inference for loaded columns and conversion to Apache Arrow types for export.
+
+export const COLUMN_TYPES = ['int64', 'double', 'boolean', 'date', 'timestamp', 'string'];
+
+export const TYPE_LABELS = {
+  int64: 'Integer (int64)',
+  double: 'Decimal (double)',
+  boolean: 'Boolean',
+  date: 'Date',
+  timestamp: 'Timestamp',
+  string: 'Text (string)'
+};
+
+const INT_PATTERN = /^[+-]?(0|[1-9]\d*)$/;
+const FLOAT_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const BOOLEAN_PATTERN = /^(true|false)$/i;
+
+export const isEmptyValue = (val) => val === null || val === undefined || val === '';
+
+// Returns the narrowest type a single non-empty value fits, or null if it is only text
+export const detectValueType = (val) => {
+  if (typeof val === 'boolean') return 'boolean';
+  if (typeof val === 'bigint') return 'int64';
+  if (typeof val === 'number') return Number.isInteger(val) ? 'int64' : 'double';
+  if (val instanceof Date) return 'timestamp';
+
+  const str = String(val).trim();
+  if (BOOLEAN_PATTERN.test(str)) return 'boolean';
+  if (INT_PATTERN.test(str)) return 'int64';
+  if (FLOAT_PATTERN.test(str)) return 'double';
+  if (DATE_PATTERN.test(str) && !isNaN(Date.parse(str))) return 'date';
+  if (TIMESTAMP_PATTERN.test(str) && !isNaN(Date.parse(str.replace(' ', 'T')))) return 'timestamp';
+  return 'string';
+};
+
+// Widens two candidate types to the narrowest type that holds both
+const mergeTypes = (a, b) => {
+  if (a === null) return b;
+  if (a === b) return a;
+  if ((a === 'int64' && b === 'double') || (a === 'double' && b === 'int64')) return 'double';
+  if ((a === 'date' && b === 'timestamp') || (a === 'timestamp' && b === 'date')) return 'timestamp';
+  return 'string';
+};
+
+export const inferColumnType = (rows, col) => {
+  let type = null;
+  let nullable = false;
+
+  for (const row of rows) {
+    const val = row[col];
+    if (isEmptyValue(val)) {
+      nullable = true;
+      continue;
+    }
+    type = mergeTypes(type, detectValueType(val));
+    // Nothing is wider than string, and we already know about nulls
+    if (type === 'string' && nullable) break;
+  }
+
+  return { type: type || 'string', nullable: nullable || type === null };
+};
+
+export const inferSchema = (rows, columns) => {
+  const schema = {};
+  columns.forEach(col => {
+    schema[col] = { ...inferColumnType(rows, col), source: 'inferred' };
+  });
+  return schema;
+};
+
+// -- PARQUET SCHEMA MAPPING --
+
+// Maps a hyparquet SchemaElement (from the file footer) to a DataFloor column type
+const parquetElementType = (element) => {
+  const logical = element.logical_type && element.logical_type.type;
+  const converted = element.converted_type;
+
+  if (element.num_children) return 'string'; // Nested groups are stored as JSON text
+  if (logical === 'DATE' || converted === 'DATE') return 'date';
+  if (logical === 'TIMESTAMP' || converted === 'TIMESTAMP_MILLIS' || converted === 'TIMESTAMP_MICROS') return 'timestamp';
+  if (logical === 'DECIMAL' || converted === 'DECIMAL') return 'double';
+
+  switch (element.type) {
+    case 'BOOLEAN': return 'boolean';
+    case 'INT32':
+    case 'INT64': return 'int64';
+    case 'INT96': return 'timestamp';
+    case 'FLOAT':
+    case 'DOUBLE': return 'double';
+    default: return 'string';
+  }
+};
+
+export const schemaFromParquet = (metadata) => {
+  const schema = {};
+  const elements = metadata.schema || [];
+  // Element 0 is the root message; walk its direct children only
+  let i = 1;
+  while (i < elements.length) {
+    const element = elements[i];
+    schema[element.name] = {
+      type: parquetElementType(element),
+      nullable: element.repetition_type !== 'REQUIRED',
+      source: 'file'
+    };
+    i += 1 + countDescendants(elements, i);
+  }
+  return schema;
+};
+
+const countDescendants = (elements, index) => {
+  let count = 0;
+  let remaining = elements[index].num_children || 0;
+  let i = index + 1;
+  while (remaining > 0 && i < elements.length) {
+    const nested = countDescendants(elements, i);
+    count += 1 + nested;
+    i += 1 + nested;
+    remaining--;
+  }
+  return count;
+};
+
+// -- VALUE NORMALIZATION --
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const formatDate = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+// Turns values produced by hyparquet into grid-friendly primitives.
+// BigInts and Dates would break the grid inputs and JSON export, so they are
+// kept as numbers/ISO strings; the column schema preserves the real type.
+export const normalizeValue = (val, type) => {
+  if (typeof val === 'bigint') {
+    return val >= BigInt(Number.MIN_SAFE_INTEGER) && val <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(val) : val.toString();
+  }
+  if (val instanceof Date) {
+    if (isNaN(val.getTime())) return null;
+    return type === 'date' ? formatDate(val) : val.toISOString();
+  }
+  if (typeof val === 'object' && val !== null) {
+    return JSON.stringify(val, (k, v) => typeof v === 'bigint' ? v.toString() : v);
+  }
+  return val;
+};
+
+// -- ARROW EXPORT --
+
+const invalid = (col, rowIndex, val, type) =>
+  new Error(`Column "${col}", row ${rowIndex + 1}: "${val}" is not a valid ${TYPE_LABELS[type]} value.`);
+
+// Converts a grid value to what the Arrow builder for `type` expects
+export const coerceValue = (val, type, col, rowIndex) => {
+  if (isEmptyValue(val)) return null;
+
+  switch (type) {
+    case 'int64': {
+      const str = typeof val === 'number' ? String(val) : String(val).trim();
+      if (!INT_PATTERN.test(str)) throw invalid(col, rowIndex, val, type);
+      return BigInt(str);
+    }
+    case 'double': {
+      const num = typeof val === 'number' ? val : Number(String(val).trim());
+      if (isNaN(num)) throw invalid(col, rowIndex, val, type);
+      return num;
+    }
+    case 'boolean': {
+      if (typeof val === 'boolean') return val;
+      const str = String(val).trim().toLowerCase();
+      if (str === 'true' || str === '1') return true;
+      if (str === 'false' || str === '0') return false;
+      throw invalid(col, rowIndex, val, type);
+    }
+    case 'date':
+    case 'timestamp': {
+      const ms = typeof val === 'number' ? val : Date.parse(String(val).trim().replace(' ', 'T'));
+      if (isNaN(ms)) throw invalid(col, rowIndex, val, type);
+      return ms;
+    }
+    default:
+      return String(val);
+  }
+};
+
+export const arrowTypeFor = (Arrow, type) => {
+  switch (type) {
+    case 'int64': return new Arrow.Int64();
+    case 'double': return new Arrow.Float64();
+    case 'boolean': return new Arrow.Bool();
+    case 'date': return new Arrow.DateDay();
+    case 'timestamp': return new Arrow.TimestampMillisecond();
+    default: return new Arrow.Utf8();
+  }
+};
+
+// Builds an Arrow table whose fields carry the column types and nullability from `schema`
+export const buildArrowTable = (Arrow, rows, columns, schema) => {
+  const vectors = {};
+  const fields = columns.map(col => {
+    const { type, nullable } = schema[col] || { type: 'string', nullable: true };
+    const values = rows.map((row, i) => coerceValue(row[col], type, col, i));
+    if (!nullable && values.some(v => v === null)) {
+      throw new Error(`Column "${col}" is marked as not nullable but contains empty values.`);
+    }
+    vectors[col] = Arrow.vectorFromArray(values, arrowTypeFor(Arrow, type));
+    return new Arrow.Field(col, vectors[col].type, nullable);
+  });
+
+  return tableFromVectors(Arrow, vectors, fields);
+};
+
+// Assembles named vectors into a table whose schema uses the given fields (for nullability)
+export const tableFromVectors = (Arrow, vectors, fields) => {
+  const table = new Arrow.Table(vectors);
+  const arrowSchema = new Arrow.Schema(fields);
+  return new Arrow.Table(arrowSchema, table.batches.map(batch => new Arrow.RecordBatch(arrowSchema, batch.data)));
+};
@@ -0,0 +1,232 @@
+// -- SESSIONS --
+// Keeps the working state (dataset, edit history, column layout, sort/filter state and import
+// settings) in IndexedDB so it survives a reload. The rows are written once per session, as the
+// state the edit history starts from; later saves add the new history entries and rewrite only
+// the small view state. Four stores keep listing and saving cheap:
+//   sessions:       { id, kind, name, fileName, fileType, rowCount, columnCount, updatedAt }
+//   sessionStates:  { id, state, prefix }, the view state with the history as entry seqs
+//   sessionBases:   { id, data, columns, computed }, the rows before the first stored entry
+//   sessionEntries: { id, seq, entry }, one history entry each
+// Entries trimmed off the front of the history at MAX_HISTORY stay stored as the prefix, applied
+// to the base on load, until there are MAX_HISTORY of them; the base is then rewritten once.
+// kind is 'session' for the autosaved working copy of a file, or 'snapshot' for a named copy
+// saved on purpose. Opening a snapshot starts a new session from it, so the snapshot is kept.
+
+import { MAX_HISTORY, applyPatch, travel } from './history';
+
+const DB_NAME = 'datafloor';
+const DB_VERSION = 2;
+const SESSIONS = 'sessions';
+const STATES = 'sessionStates';
+const BASES = 'sessionBases';
+const ENTRIES = 'sessionEntries';
+
+// Recent sessions beyond this many are dropped when a new one is saved; snapshots are kept
+export const MAX_SESSIONS = 10;
+
+let dbPromise = null;
+
+// What was written per session id since the page loaded, so a save only adds what changed:
+// { seqs: Map(entry -> seq), stored: Set(seq), nextSeq, entries, dropped, prefix, hasBase }
+// where entries, dropped and prefix are those of the last saved history.
+const written = new Map();
+
+export const NOTHING_WRITTEN = { seqs: new Map(), stored: new Set(), nextSeq: 0, entries: [], dropped: 0, prefix: [], hasBase: false };
+
+const writtenParts = (id) => written.get(id) || NOTHING_WRITTEN;
+
+const entryRange = (id) => IDBKeyRange.bound([id, 0], [id, Infinity]);
+
+const asPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error("The browser storage transaction was aborted."));
+});
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error("This browser does not support local storage of sessions."));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSIONS)) db.createObjectStore(SESSIONS, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(STATES)) db.createObjectStore(STATES, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(BASES)) db.createObjectStore(BASES, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(ENTRIES)) db.createObjectStore(ENTRIES, { keyPath: ['id', 'seq'] });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+export const createSessionId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// All saved sessions and snapshots, most recently saved first (metadata only)
+export const listSessions = async () => {
+  const db = await openDB();
+  const sessions = await asPromise(db.transaction(SESSIONS).objectStore(SESSIONS).getAll());
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// What a save writes, worked out from what was written before (`saved`, see `written`) and the
+// current { data, columns, computed } with its history. Returns the base to write (null when the
+// stored one still holds), the prefix and history as entry seqs, the entries to add and the seqs
+// to remove, and `next`, what is written once the save went through.
+export const planSave = (saved, current, history) => {
+  const dropped = history.dropped || 0;
+
+  // The stored base stays valid until entries are trimmed off the history. Trimmed entries it
+  // already has extend the prefix; otherwise the base is rebuilt by undoing back to the start.
+  const trimmed = dropped - saved.dropped;
+  let prefix = saved.prefix;
+  let rebase = !saved.hasBase || trimmed < 0;
+  if (saved.hasBase && trimmed > 0) {
+    const follows = history.entries.length > 0 && saved.entries[trimmed] === history.entries[0];
+    if (follows && prefix.length + trimmed <= MAX_HISTORY) {
+      prefix = [...prefix, ...saved.entries.slice(0, trimmed).map(entry => saved.seqs.get(entry))];
+    } else {
+      rebase = true;
+    }
+  }
+  if (rebase) prefix = [];
+  const base = rebase ? travel(current, history, 0) : null;
+
+  const seqMap = new Map(saved.seqs);
+  let nextSeq = saved.nextSeq;
+  const seqs = history.entries.map(entry => {
+    if (!seqMap.has(entry)) seqMap.set(entry, nextSeq++);
+    return seqMap.get(entry);
+  });
+  const kept = new Set([...prefix, ...seqs]);
+  const added = seqs.map((seq, i) => ({ seq, entry: history.entries[i] })).filter(({ seq }) => !saved.stored.has(seq));
+  const removed = [...saved.stored].filter(seq => !kept.has(seq));
+
+  seqMap.forEach((seq, entry) => {
+    if (!kept.has(seq)) seqMap.delete(entry);
+  });
+  const stored = new Set([...saved.stored].filter(seq => kept.has(seq)));
+  added.forEach(({ seq }) => stored.add(seq));
+  return {
+    base,
+    prefix,
+    history: { entries: seqs, position: history.position, dropped },
+    added,
+    removed,
+    next: { seqs: seqMap, stored, nextSeq, entries: history.entries, dropped, prefix, hasBase: true }
+  };
+};
+
+// meta: { id, kind, name, fileName, fileType }. state: see the page's datasetState
+export const saveSession = async (meta, state) => {
+  const db = await openDB();
+  const current = { data: state.data, columns: state.columns, computed: state.computedColumns };
+  const plan = planSave(writtenParts(meta.id), current, state.history);
+
+  const view = { ...state, history: plan.history };
+  delete view.data;
+  delete view.columns;
+  delete view.computedColumns;
+
+  const record = {
+    ...meta,
+    rowCount: state.data.length,
+    columnCount: state.columns.length,
+    updatedAt: Date.now()
+  };
+  const tx = db.transaction([SESSIONS, STATES, BASES, ENTRIES], 'readwrite');
+  tx.objectStore(SESSIONS).put(record);
+  tx.objectStore(STATES).put({ id: meta.id, state: view, prefix: plan.prefix });
+  if (plan.base) tx.objectStore(BASES).put({ id: meta.id, ...plan.base });
+  plan.added.forEach(({ seq, entry }) => tx.objectStore(ENTRIES).put({ id: meta.id, seq, entry }));
+  plan.removed.forEach(seq => tx.objectStore(ENTRIES).delete([meta.id, seq]));
+  await transactionDone(tx);
+  written.set(meta.id, plan.next);
+
+  if (meta.kind === 'session') await pruneSessions();
+  return record;
+};
+
+// Rebuilds a saved state from its stored parts: the state record { state, prefix }, the base
+// { data, columns, computed } and the stored entries [{ seq, entry }]. Returns the state and
+// `parts`, what is written for the session (see `written`).
+export const restoreSession = (record, base, stored) => {
+  const { state, prefix } = record;
+  const bySeq = new Map(stored.map(({ seq, entry }) => [seq, entry]));
+  const entries = state.history.entries.map(seq => bySeq.get(seq));
+  const history = { entries, position: state.history.position, dropped: state.history.dropped };
+  const start = prefix.reduce((current, seq) => applyPatch(current, bySeq.get(seq).redo), { data: base.data, columns: base.columns, computed: base.computed });
+  const current = travel(start, { ...history, position: 0 }, history.position);
+
+  const parts = {
+    seqs: new Map(entries.map((entry, i) => [entry, state.history.entries[i]])),
+    stored: new Set(bySeq.keys()),
+    nextSeq: stored.reduce((next, { seq }) => Math.max(next, seq + 1), 0),
+    entries,
+    dropped: history.dropped,
+    prefix,
+    hasBase: true
+  };
+  return { state: { ...state, data: current.data, columns: current.columns, computedColumns: current.computed, history }, parts };
+};
+
+// The state as saved, with the rows rebuilt from the base and the history entries
+export const loadSessionState = async (id) => {
+  const db = await openDB();
+  const tx = db.transaction([STATES, BASES, ENTRIES]);
+  const [record, base, stored] = await Promise.all([
+    asPromise(tx.objectStore(STATES).get(id)),
+    asPromise(tx.objectStore(BASES).get(id)),
+    asPromise(tx.objectStore(ENTRIES).getAll(entryRange(id)))
+  ]);
+  if (!record) throw new Error("This session is no longer stored in the browser.");
+  // Sessions saved before the rows were stored apart hold the whole dataset in their state
+  if (!base) return record.state;
+
+  const { state, parts } = restoreSession(record, base, stored);
+  written.set(id, parts);
+  return state;
+};
+
+export const deleteSession = async (id) => {
+  const db = await openDB();
+  const tx = db.transaction([SESSIONS, STATES, BASES, ENTRIES], 'readwrite');
+  tx.objectStore(SESSIONS).delete(id);
+  tx.objectStore(STATES).delete(id);
+  tx.objectStore(BASES).delete(id);
+  tx.objectStore(ENTRIES).delete(entryRange(id));
+  await transactionDone(tx);
+  written.delete(id);
+};
+
+const pruneSessions = async () => {
+  const sessions = (await listSessions()).filter(s => s.kind === 'session');
+  for (const session of sessions.slice(MAX_SESSIONS)) await deleteSession(session.id);
+};
+
+// { usage, quota } in bytes for this site, or null when the browser does not say
+export const storageUsage = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage: usage || 0, quota: quota || 0 };
+};
+
+// Asks the browser not to evict saved sessions under storage pressure
+export const requestPersistentStorage = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persist) return false;
+  if (await navigator.storage.persisted()) return true;
+  return navigator.storage.persist();
+};
@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_HISTORY, EMPTY_HISTORY, applyPatch, pushEntry, cellEdit } from './history';
+import { NOTHING_WRITTEN, planSave, restoreSession } from './sessions';
+
+const start = { data: [{ a: 0 }, { a: 0 }, { a: 0 }], columns: ['a'], computed: {} };
+
+// The stores of one session, written as saveSession does and read back as loadSessionState does.
+// Entries come back as copies, like from IndexedDB.
+const createStore = () => ({ parts: NOTHING_WRITTEN, record: null, base: null, entries: new Map() });
+
+const save = (store, session) => {
+  const plan = planSave(store.parts, session.current, session.history);
+  store.record = { state: { history: plan.history }, prefix: plan.prefix };
+  if (plan.base) store.base = plan.base;
+  plan.added.forEach(({ seq, entry }) => store.entries.set(seq, entry));
+  plan.removed.forEach(seq => store.entries.delete(seq));
+  store.parts = plan.next;
+  return plan;
+};
+
+const load = (store) => {
+  const stored = Array.from(store.entries, ([seq, entry]) => ({ seq, entry: structuredClone(entry) }));
+  const { state, parts } = restoreSession(store.record, store.base, stored);
+  store.parts = parts;
+  return {
+    current: { data: state.data, columns: state.columns, computed: state.computedColumns },
+    history: state.history
+  };
+};
+
+// Makes `count` edits, each on another row than the last so none are merged
+const edit = (session, count) => {
+  let { current, history } = session;
+  for (let i = 0; i < count; i++) {
+    const index = (history.dropped + history.position) % 3;
+    const entry = cellEdit(index, 'a', current.data[index].a, current.data[index].a + 1);
+    current = applyPatch(current, entry.redo);
+    history = pushEntry(history, entry);
+  }
+  return { current, history };
+};
+
+const undo = (session, steps) => {
+  const { current, history } = session;
+  let next = current;
+  for (let i = 0; i < steps; i++) next = applyPatch(next, history.entries[history.position - 1 - i].undo);
+  return { current: next, history: { ...history, position: history.position - steps } };
+};
+
+describe('planSave', () => {
+  it('writes the base once, then only new entries', () => {
+    const store = createStore();
+    let session = edit({ current: start, history: EMPTY_HISTORY }, 2);
+    const first = save(store, session);
+    expect(first.base).toEqual(start);
+    expect(first.added).toHaveLength(2);
+
+    session = edit(session, 1);
+    const second = save(store, session);
+    expect(second.base).toBe(null);
+    expect(second.added.map(({ seq }) => seq)).toEqual([2]);
+    expect(second.removed).toEqual([]);
+    expect(second.history.entries).toEqual([0, 1, 2]);
+  });
+
+  it('keeps trimmed entries as the prefix, then rebases', () => {
+    const store = createStore();
+    let session = edit({ current: start, history: EMPTY_HISTORY }, MAX_HISTORY);
+    save(store, session);
+
+    session = edit(session, 3);
+    const trimmed = save(store, session);
+    expect(session.history.dropped).toBe(3);
+    expect(trimmed.base).toBe(null);
+    expect(trimmed.prefix).toEqual([0, 1, 2]);
+    expect(trimmed.removed).toEqual([]);
+    const loaded = load(store);
+    expect(loaded).toEqual(session);
+
+    session = edit(loaded, MAX_HISTORY - 3);
+    expect(save(store, session).prefix).toHaveLength(MAX_HISTORY);
+
+    session = edit(session, 1);
+    const rebased = save(store, session);
+    expect(rebased.prefix).toEqual([]);
+    expect(rebased.base).toEqual(undo(session, MAX_HISTORY).current);
+    expect(rebased.removed).toHaveLength(MAX_HISTORY + 1);
+    expect(store.entries.size).toBe(MAX_HISTORY);
+    expect(load(store)).toEqual(session);
+  });
+
+  it('removes undone entries once a new one replaces them', () => {
+    const store = createStore();
+    let session = edit({ current: start, history: EMPTY_HISTORY }, 3);
+    save(store, session);
+
+    session = undo(session, 2);
+    const undone = save(store, session);
+    expect(undone.removed).toEqual([]);
+    expect(undone.history.position).toBe(1);
+
+    session = edit(session, 1);
+    const pushed = save(store, session);
+    expect(pushed.removed).toEqual([1, 2]);
+    expect(pushed.added.map(({ seq }) => seq)).toEqual([3]);
+    expect(pushed.history.entries).toEqual([0, 3]);
+    expect(load(store)).toEqual(session);
+  });
+});
+
+describe('restoreSession', () => {
+  it('replays the prefix and the history up to its position', () => {
+    const store = createStore();
+    let session = edit({ current: start, history: EMPTY_HISTORY }, MAX_HISTORY + 2);
+    save(store, session);
+    session = undo(session, 5);
+    save(store, session);
+
+    const loaded = load(store);
+    expect(loaded).toEqual(session);
+    expect(loaded.history.position).toBe(MAX_HISTORY - 5);
+  });
+
+  it('lets later saves add only new entries', () => {
+    const store = createStore();
+    save(store, edit({ current: start, history: EMPTY_HISTORY }, MAX_HISTORY));
+
+    let session = load(store);
+    session = edit(session, 1);
+    const plan = save(store, session);
+    expect(plan.base).toBe(null);
+    expect(plan.prefix).toEqual([0]);
+    expect(plan.added.map(({ seq }) => seq)).toEqual([MAX_HISTORY]);
+    expect(load(store)).toEqual(session);
+  });
+});
@@ -0,0 +1,94 @@
+import { isEmptyValue } from './schema';
+
+// -- SORTING --
+// Multi-key, type-aware sorting. Sort keys are [{ key, direction: 'asc' | 'desc' }],
+// applied in order. Empty values are grouped at the start or end regardless of direction.
+
+export const MAX_SORT_KEYS = 3;
+
+// Natural ordering: "file2" < "file10", case and accents ignored
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Turns a cell value into something cheap to compare for the column's type.
+// Returns null for empty values; values that do not parse for the type fall back to text.
+const sortValue = (val, type) => {
+  if (isEmptyValue(val)) return null;
+  switch (type) {
+    case 'int64':
+    case 'double': {
+      const num = typeof val === 'number' ? val : Number(String(val).trim());
+      return isNaN(num) ? { text: String(val) } : { num };
+    }
+    case 'date':
+    case 'timestamp': {
+      const ms = Date.parse(String(val).trim().replace(' ', 'T'));
+      return isNaN(ms) ? { text: String(val) } : { num: ms };
+    }
+    case 'boolean': {
+      const str = String(val).trim().toLowerCase();
+      if (str === 'true' || str === '1') return { num: 1 };
+      if (str === 'false' || str === '0') return { num: 0 };
+      return { text: String(val) };
+    }
+    default:
+      return { text: String(val) };
+  }
+};
+
+// Typed values sort before unparsable text within a column
+const compareValues = (a, b) => {
+  if (a.num !== undefined && b.num !== undefined) return a.num - b.num;
+  if (a.num !== undefined) return -1;
+  if (b.num !== undefined) return 1;
+  return collator.compare(a.text, b.text);
+};
+
+export const sortRows = (rows, sortKeys, columnSchema, nullsPosition = 'last') => {
+  if (sortKeys.length === 0) return rows;
+
+  const types = sortKeys.map(({ key }) => columnSchema[key] ? columnSchema[key].type : 'string');
+  const nullOrder = nullsPosition === 'first' ? -1 : 1;
+
+  // Decorate once so each comparison does not re-parse values
+  const decorated = rows.map(row => ({
+    row,
+    keys: sortKeys.map(({ key }, i) => sortValue(row[key], types[i]))
+  }));
+
+  decorated.sort((a, b) => {
+    for (let i = 0; i < sortKeys.length; i++) {
+      const av = a.keys[i];
+      const bv = b.keys[i];
+      if (av === null || bv === null) {
+        if (av === bv) continue;
+        return av === null ? nullOrder : -nullOrder;
+      }
+      const result = compareValues(av, bv);
+      if (result !== 0) return sortKeys[i].direction === 'asc' ? result : -result;
+    }
+    return 0;
+  });
+
+  return decorated.map(d => d.row);
+};
+
+// Click cycles a column asc → desc → off and makes it the only key.
+// Shift-click adds the column as an extra key, or cycles it in place if already sorted.
+export const nextSortKeys = (sortKeys, key, additive) => {
+  const existing = sortKeys.find(k => k.key === key);
+
+  if (!additive) {
+    if (sortKeys.length === 1 && existing) {
+      return existing.direction === 'asc' ? [{ key, direction: 'desc' }] : [];
+    }
+    return [{ key, direction: 'asc' }];
+  }
+
+  if (!existing) {
+    return sortKeys.length < MAX_SORT_KEYS ? [...sortKeys, { key, direction: 'asc' }] : sortKeys;
+  }
+  if (existing.direction === 'asc') {
+    return sortKeys.map(k => k.key === key ? { key, direction: 'desc' } : k);
+  }
+  return sortKeys.filter(k => k.key !== key);
+};
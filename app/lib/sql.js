@@ -0,0 +1,104 @@
+import { isEmptyValue } from './schema';
+
+// -- SQL QUERIES --
+// Runs SQL over loaded datasets with AlaSQL. The engine is bundled with the app and
+// only loaded (as its own chunk) the first time a query runs.
+
+let alasqlPromise = null;
+
+const getAlaSQL = () => {
+  if (!alasqlPromise) alasqlPromise = import('alasql').then(m => m.default || m);
+  return alasqlPromise;
+};
+
+// Turns a file name into a valid, readable SQL identifier: "Sales 2024.csv" -> "sales_2024"
+export const tableNameFor = (fileName, taken = []) => {
+  let base = fileName.replace(/\.[^/.]+$/, '').toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!base || /^\d/.test(base)) base = 't_' + base;
+  let name = base;
+  let n = 2;
+  while (taken.includes(name)) name = `${base}_${n++}`;
+  return name;
+};
+
+// SQL aggregates need real numbers and booleans, not the strings CSV parsing produces
+const toTypedRows = (rows, columns, schema) => {
+  const converters = columns.map(col => {
+    const type = schema[col] ? schema[col].type : 'string';
+    if (type === 'int64' || type === 'double') {
+      return val => {
+        if (isEmptyValue(val)) return null;
+        const num = Number(val);
+        return isNaN(num) ? val : num;
+      };
+    }
+    if (type === 'boolean') {
+      return val => {
+        if (isEmptyValue(val)) return null;
+        const str = String(val).toLowerCase();
+        return str === 'true' ? true : str === 'false' ? false : val;
+      };
+    }
+    return val => isEmptyValue(val) ? null : val;
+  });
+
+  return rows.map(row => {
+    const typed = {};
+    columns.forEach((col, i) => {
+      typed[col] = converters[i](row[col]);
+    });
+    return typed;
+  });
+};
+
+// Normalizes a result value for display in the grid
+const toCell = (val) => {
+  if (val === null || val === undefined) return '';
+  if (val instanceof Date) return val.toISOString();
+  if (typeof val === 'object') return JSON.stringify(val);
+  return val;
+};
+
+// tables: [{ name, rows, columns, schema }]. Resolves to { columns, rows, elapsed }.
+export const runQuery = async (sql, tables) => {
+  const alasql = await getAlaSQL();
+  const db = new alasql.Database();
+
+  tables.forEach(({ name, rows, columns, schema }) => {
+    db.exec(`CREATE TABLE [${name}]`);
+    db.tables[name].data = toTypedRows(rows, columns, schema);
+  });
+
+  const started = performance.now();
+  let result = db.exec(sql);
+  const elapsed = performance.now() - started;
+
+  // Several statements return one result per statement; show the last one
+  if (Array.isArray(result) && result.length > 0 && Array.isArray(result[result.length - 1]) && /;\s*\S/.test(sql)) {
+    result = result[result.length - 1];
+  }
+  if (!Array.isArray(result)) {
+    return { columns: ['result'], rows: [{ result: toCell(result) }], elapsed };
+  }
+
+  const columns = [];
+  const seen = new Set();
+  for (const row of result) {
+    for (const key of Object.keys(row)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    }
+  }
+
+  const rows = result.map(row => {
+    const clean = {};
+    columns.forEach(col => {
+      clean[col] = toCell(row[col]);
+    });
+    return clean;
+  });
+
+  return { columns, rows, elapsed };
+};
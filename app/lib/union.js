@@ -0,0 +1,94 @@
+// -- UNION --
+// Stacks several loaded files into one dataset, aligning their columns by name.
+// parts: [{ name, columns, rows, schema }] in the order the files were given.
+// mapping: { [column]: targetColumn } merges differently named columns into one.
+
+export const SOURCE_COLUMN = 'source_file';
+
+const mapped = (mapping, col) => mapping[col] || col;
+
+// Which files contain each column, for the mismatch report: [{ column, files: [partIndex] }]
+// in order of first appearance
+export const columnPresence = (parts) => {
+  const presence = new Map();
+  parts.forEach((part, i) => {
+    part.columns.forEach(col => {
+      if (!presence.has(col)) presence.set(col, []);
+      presence.get(col).push(i);
+    });
+  });
+  return Array.from(presence, ([column, files]) => ({ column, files }));
+};
+
+// Columns that 'column' can be merged into, given the other merges already in 'mapping':
+// those never found in the same file, so no value is lost. A column that others are merged
+// into stays where it is, so merges do not chain.
+export const mergeTargets = (parts, mapping, column) => {
+  if (Object.values(mapping).includes(column)) return [];
+  const others = { ...mapping };
+  delete others[column];
+  const presence = columnPresence(parts.map(part => ({
+    columns: part.columns.map(col => (col === column ? col : mapped(others, col)))
+  })));
+  const own = presence.find(p => p.column === column);
+  if (!own) return [];
+  return presence
+    .filter(p => p.column !== column && !p.files.some(i => own.files.includes(i)))
+    .map(p => p.column);
+};
+
+// Output columns after applying the mapping, with the optional source column first
+export const unionColumns = (parts, mapping = {}, { sourceColumn = false } = {}) => {
+  const columns = [];
+  const seen = new Set();
+  parts.forEach(part => {
+    part.columns.forEach(col => {
+      const name = mapped(mapping, col);
+      if (seen.has(name)) return;
+      seen.add(name);
+      columns.push(name);
+    });
+  });
+  if (!sourceColumn) return columns;
+  let source = SOURCE_COLUMN;
+  let n = 2;
+  while (seen.has(source)) source = `${SOURCE_COLUMN}_${n++}`;
+  return [source, ...columns];
+};
+
+// Returns { columns, rows, schema }. Columns a file does not have are null in its rows.
+// A column keeps a declared type only when every file that has it declares the same type.
+export const unionRows = (parts, mapping = {}, { sourceColumn = false } = {}) => {
+  const columns = unionColumns(parts, mapping, { sourceColumn });
+  const dataColumns = sourceColumn ? columns.slice(1) : columns;
+  const rows = [];
+
+  parts.forEach(part => {
+    const sources = new Map(part.columns.map(col => [mapped(mapping, col), col]));
+    for (const row of part.rows) {
+      const out = {};
+      if (sourceColumn) out[columns[0]] = part.name;
+      dataColumns.forEach(col => {
+        const source = sources.get(col);
+        out[col] = source === undefined || row[source] === undefined ? null : row[source];
+      });
+      rows.push(out);
+    }
+  });
+
+  const schema = {};
+  dataColumns.forEach(col => {
+    const declared = parts
+      .filter(part => part.columns.some(c => mapped(mapping, c) === col))
+      .map(part => {
+        const source = part.columns.find(c => mapped(mapping, c) === col);
+        return part.schema && part.schema[source];
+      });
+    if (declared.length === 0 || declared.some(d => !d || d.type !== declared[0].type)) return;
+    const missing = declared.length < parts.length;
+    schema[col] = { ...declared[0], nullable: missing || declared.some(d => d.nullable) };
+  });
+  if (sourceColumn) schema[columns[0]] = { type: 'string', nullable: false, source: 'file' };
+
+  return { columns, rows, schema };
+};
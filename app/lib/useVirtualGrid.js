@@ -0,0 +1,95 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+
+// -- VIRTUAL GRID --
+// Windowing for the data grid: only rows and columns inside the viewport (plus overscan) are rendered.
+// Browsers cap element heights (~17M px in Firefox), so very tall grids use a compressed
+// scroll range and map the scroll position back onto the real row offset.
+
+const MAX_SCROLL_HEIGHT = 10000000;
+
+export default function useVirtualGrid({
+  rowCount,
+  columnWidths,
+  rowHeight,
+  headerHeight,
+  gutterWidth,
+  overscanRows = 6,
+  overscanColumns = 2
+}) {
+  // Callback ref: the grid container mounts only once data is loaded
+  const [container, containerRef] = useState(null);
+  const [scroll, setScroll] = useState({ top: 0, left: 0 });
+  const [viewport, setViewport] = useState({ width: 0, height: 0 });
+
+  // Track the container size so the visible window follows window/panel resizes
+  useEffect(() => {
+    if (!container) return;
+    const measure = () => setViewport({ width: container.clientWidth, height: container.clientHeight });
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [container]);
+
+  const columnLefts = useMemo(() => {
+    const lefts = [];
+    let x = 0;
+    for (const w of columnWidths) {
+      lefts.push(x);
+      x += w;
+    }
+    lefts.push(x); // Trailing entry is the total width of all columns
+    return lefts;
+  }, [columnWidths]);
+
+  const bodyViewport = Math.max(0, viewport.height - headerHeight);
+  const realHeight = rowCount * rowHeight;
+  const scrollHeight = Math.min(realHeight, MAX_SCROLL_HEIGHT);
+  // How many real pixels one scrolled pixel stands for (1 unless the grid is compressed)
+  const ratio = realHeight > scrollHeight && scrollHeight > bodyViewport
+    ? (realHeight - bodyViewport) / (scrollHeight - bodyViewport)
+    : 1;
+  const offset = scroll.top * ratio;
+
+  const startRow = Math.max(0, Math.floor(offset / rowHeight) - overscanRows);
+  const endRow = Math.min(rowCount, Math.ceil((offset + bodyViewport) / rowHeight) + overscanRows);
+
+  const visibleLeft = scroll.left;
+  const visibleRight = scroll.left + Math.max(0, viewport.width - gutterWidth);
+  let startCol = 0;
+  while (startCol < columnWidths.length && columnLefts[startCol + 1] <= visibleLeft) startCol++;
+  let endCol = startCol;
+  while (endCol < columnWidths.length && columnLefts[endCol] < visibleRight) endCol++;
+  startCol = Math.max(0, startCol - overscanColumns);
+  endCol = Math.min(columnWidths.length, endCol + overscanColumns);
+
+  const onScroll = useCallback((e) => {
+    setScroll({ top: e.currentTarget.scrollTop, left: e.currentTarget.scrollLeft });
+  }, []);
+
+  // Top of a row within the scrolled content, below the sticky header
+  const rowTop = (index) => headerHeight + scroll.top + (index * rowHeight - offset);
+
+  // Returns false when the grid is not mounted yet
+  const scrollToRow = useCallback((index) => {
+    if (!container) return false;
+    container.scrollTo({ top: (index * rowHeight) / ratio });
+    return true;
+  }, [container, rowHeight, ratio]);
+
+  return {
+    containerRef,
+    onScroll,
+    totalWidth: gutterWidth + columnLefts[columnLefts.length - 1],
+    totalHeight: headerHeight + scrollHeight,
+    columnLefts,
+    startRow,
+    endRow,
+    startCol,
+    endCol,
+    rowTop,
+    scrollToRow,
+    firstVisibleRow: Math.min(rowCount, Math.floor(offset / rowHeight)),
+    lastVisibleRow: Math.min(rowCount, Math.ceil((offset + bodyViewport) / rowHeight))
+  };
+}
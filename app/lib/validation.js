@@ -0,0 +1,227 @@
+import { isEmptyValue, detectValueType } from './schema';
+
+// -- VALIDATION RULES --
+// A rule is { id, column, kind, ...params }. Rules other than 'required' skip empty cells,
+// so an optional column can still be checked for its format.
+//   required                      cell must not be empty
+//   type    { format }            int | decimal | date | email | url
+//   regex   { pattern }           value must match (not anchored unless the pattern is)
+//   range   { min, max }          number within the bounds; either bound may be ''
+//   allowed { values: [string] }  value must be one of the list
+//   unique                        value must not repeat in the column
+
+export const RULE_KINDS = {
+  required: 'Required',
+  type: 'Type',
+  regex: 'Pattern (regex)',
+  range: 'Numeric range',
+  allowed: 'Allowed values',
+  unique: 'Unique'
+};
+
+export const TYPE_FORMATS = {
+  int: 'Integer',
+  decimal: 'Decimal',
+  date: 'Date',
+  email: 'Email',
+  url: 'URL'
+};
+
+const RULE_SET_VERSION = 1;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isNumber = (str) => str !== '' && !isNaN(Number(str));
+
+// Numbers and dates are recognised the same way type detection recognises them
+const FORMAT_CHECKS = {
+  int: (str) => detectValueType(str) === 'int64',
+  decimal: (str) => ['int64', 'double'].includes(detectValueType(str)),
+  date: (str) => ['date', 'timestamp'].includes(detectValueType(str)),
+  email: (str) => EMAIL_PATTERN.test(str),
+  url: (str) => {
+    try {
+      const url = new URL(str);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+      return false;
+    }
+  }
+};
+
+const formatNoun = (format) => (format === 'url' ? 'URL' : (TYPE_FORMATS[format] || format).toLowerCase());
+
+export const createRuleId = () => Date.now() + Math.random();
+
+export const describeRule = (rule) => {
+  switch (rule.kind) {
+    case 'required': return 'Required';
+    case 'type': return `Must be ${formatNoun(rule.format)}`;
+    case 'regex': return `Matches /${rule.pattern}/`;
+    case 'range': {
+      const hasMin = rule.min !== '' && rule.min !== undefined;
+      const hasMax = rule.max !== '' && rule.max !== undefined;
+      if (hasMin && hasMax) return `Between ${rule.min} and ${rule.max}`;
+      return hasMin ? `At least ${rule.min}` : `At most ${rule.max}`;
+    }
+    case 'allowed': {
+      const shown = rule.values.slice(0, 3).join(', ');
+      return `One of ${shown}${rule.values.length > 3 ? ` +${rule.values.length - 3}` : ''}`;
+    }
+    case 'unique': return 'Unique';
+    default: return rule.kind;
+  }
+};
+
+// Returns an error message if the rule cannot be applied, otherwise null
+export const validateRule = (rule) => {
+  switch (rule.kind) {
+    case 'required':
+    case 'unique':
+      return null;
+    case 'type':
+      return FORMAT_CHECKS[rule.format] ? null : "Choose a type.";
+    case 'regex':
+      if (!rule.pattern) return "Enter a pattern.";
+      try {
+        new RegExp(rule.pattern);
+        return null;
+      } catch (e) {
+        return e.message;
+      }
+    case 'range': {
+      const hasMin = rule.min !== '' && rule.min !== undefined;
+      const hasMax = rule.max !== '' && rule.max !== undefined;
+      if (!hasMin && !hasMax) return "Enter a minimum, a maximum or both.";
+      if ((hasMin && !isNumber(String(rule.min))) || (hasMax && !isNumber(String(rule.max)))) return "Bounds must be numbers.";
+      return null;
+    }
+    case 'allowed':
+      return rule.values && rule.values.length > 0 ? null : "Enter at least one value.";
+    default:
+      return `Unknown rule "${rule.kind}".`;
+  }
+};
+
+// Builds (str) => error message or null for a single-cell rule
+const compileCheck = (rule) => {
+  switch (rule.kind) {
+    case 'type': {
+      const check = FORMAT_CHECKS[rule.format];
+      const message = `Not a valid ${formatNoun(rule.format)}`;
+      return str => (check(str) ? null : message);
+    }
+    case 'regex': {
+      const re = new RegExp(rule.pattern);
+      return str => (re.test(str) ? null : `Does not match /${rule.pattern}/`);
+    }
+    case 'range': {
+      const min = rule.min === '' || rule.min === undefined ? -Infinity : Number(rule.min);
+      const max = rule.max === '' || rule.max === undefined ? Infinity : Number(rule.max);
+      return str => {
+        if (!isNumber(str)) return "Not a number";
+        const n = Number(str);
+        return n >= min && n <= max ? null : describeRule(rule);
+      };
+    }
+    case 'allowed': {
+      const allowed = new Set(rule.values);
+      return str => (allowed.has(str) ? null : "Not an allowed value");
+    }
+    default:
+      return () => null;
+  }
+};
+
+// Checks every row against the rules. Returns
+// { cells: Map(row -> { [column]: message }), counts: { [column]: invalid cells }, rowCount }
+// where rowCount is the number of rows with at least one invalid cell.
+export const validateRows = (rows, rules) => {
+  const cells = new Map();
+  const counts = {};
+  const flag = (row, column, message) => {
+    let flagged = cells.get(row);
+    if (!flagged) {
+      flagged = {};
+      cells.set(row, flagged);
+    }
+    if (flagged[column]) {
+      flagged[column] += `; ${message}`;
+      return;
+    }
+    flagged[column] = message;
+    counts[column] = (counts[column] || 0) + 1;
+  };
+
+  rules.filter(rule => !validateRule(rule)).forEach(rule => {
+    const { column } = rule;
+
+    if (rule.kind === 'required') {
+      for (const row of rows) {
+        if (isEmptyValue(row[column])) flag(row, column, 'Required');
+      }
+      return;
+    }
+
+    if (rule.kind === 'unique') {
+      const seen = new Map();
+      for (const row of rows) {
+        if (isEmptyValue(row[column])) continue;
+        const key = String(row[column]).trim();
+        seen.set(key, (seen.get(key) || 0) + 1);
+      }
+      for (const row of rows) {
+        if (isEmptyValue(row[column])) continue;
+        const times = seen.get(String(row[column]).trim());
+        if (times > 1) flag(row, column, `Duplicate value (${times} times)`);
+      }
+      return;
+    }
+
+    const check = compileCheck(rule);
+    for (const row of rows) {
+      if (isEmptyValue(row[column])) continue;
+      const message = check(String(row[column]).trim());
+      if (message) flag(row, column, message);
+    }
+  });
+
+  return { cells, counts, rowCount: cells.size };
+};
+
+// -- RULE SETS --
+// Saved as JSON, so the same checks can be loaded for next month's file
+
+export const serializeRules = (rules) => JSON.stringify({
+  version: RULE_SET_VERSION,
+  // Ids are regenerated on load
+  rules: rules.map(rule => {
+    const saved = { ...rule };
+    delete saved.id;
+    return saved;
+  })
+}, null, 2);
+
+// Parses a saved rule set; throws with a readable message when the file is not one
+export const parseRules = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.rules;
+  if (!Array.isArray(list)) throw new Error("The file does not contain a list of rules.");
+  return list.map((rule, i) => {
+    if (!rule || typeof rule.column !== 'string' || !RULE_KINDS[rule.kind]) {
+      throw new Error(`Rule ${i + 1} needs a column and one of: ${Object.keys(RULE_KINDS).join(', ')}.`);
+    }
+    // Cells are matched as text, so allowed values are too, trimmed as when typed in the panel
+    const loaded = rule.kind === 'allowed'
+      ? { ...rule, values: (Array.isArray(rule.values) ? rule.values : []).filter(v => v !== null && v !== undefined).map(v => String(v).trim()).filter(Boolean) }
+      : rule;
+    const error = validateRule(loaded);
+    if (error) throw new Error(`Rule ${i + 1} (${rule.column}): ${error}`);
+    return { ...loaded, id: createRuleId() };
+  });
+};
@@ -0,0 +1,15 @@
+// Web app manifest, so Data Floor can be installed and opened like a desktop app (see lib/offline)
+export default function manifest() {
+  return {
+    name: 'Data Floor',
+    short_name: 'Data Floor',
+    description: 'Parquet to CSV Converter and Editor',
+    start_url: '/',
+    display: 'standalone',
+    background_color: '#f8fafc',
+    theme_color: '#4f46e5',
+    icons: [
+      { src: '/icon.svg', sizes: 'any', type: 'image/svg+xml' }
+    ]
+  };
+}
@@ -9,10 +9,6 @@ import {
   Database,
   ArrowRightLeft,
   Search,
-  ChevronLeft,
-  ChevronRight,
-  ChevronsLeft,
-  ChevronsRight,
   ChevronDown,
   Info,
   FileText,
@@ -24,32 +20,218 @@ import {
   FileCog,
   Calculator,
   Copy,
-  Check
+  Check,
+  TableProperties,
+  X,
+  RotateCcw,
+  Undo2,
+  Redo2,
+  History,
+  Filter,
+  Code,
+  Pencil,
+  Trash2,
+  CopyPlus,
+  ArrowLeftToLine,
+  ArrowRightToLine,
+  Sigma,
+  Sheet,
+  Layers,
+  Plus,
+  ArrowUpToLine,
+  ArrowDownToLine,
+  Save,
+  Merge,
+  Grid3x3,
+  ChartColumn,
+  ScanSearch,
+  ListChecks,
+  Replace,
+  CopyMinus,
+  GitCompare
 } from 'lucide-react';
+import {
+  COLUMN_TYPES,
+  TYPE_LABELS,
+  inferSchema,
+  buildArrowTable
+} from './lib/schema';
+import { loadPapaParse, loadArrow, loadParquetWasm } from './lib/loaders';
+import { enableOffline } from './lib/offline';
+import { startImport, describeWorkbookFile, formatForFile, formatBytes } from './lib/importFile';
+import { downloadBlob } from './lib/download';
+import useVirtualGrid from './lib/useVirtualGrid';
+import { compileFilters, describeFilter } from './lib/filters';
+import FilterBuilder from './components/FilterBuilder';
+import QueryPanel from './components/QueryPanel';
+import { runQuery, tableNameFor } from './lib/sql';
+import { sortRows, nextSortKeys } from './lib/sorting';
+import {
+  EMPTY_HISTORY,
+  applyPatch,
+  cellEdit,
+  pushEntry,
+  travel,
+  currentEntry,
+  renameColumn,
+  moveColumn,
+  insertColumn,
+  editExpression,
+  deleteColumn,
+  duplicateColumn,
+  insertRows,
+  deleteRows,
+  duplicateRows,
+  replaceData,
+  editCells
+} from './lib/history';
+import { compileExpression } from './lib/expressions';
+import { NESTED_MODES, hasNesting, renestRows, buildNestedArrowTable } from './lib/nesting';
+import ColumnDialog from './components/ColumnDialog';
+import WorkbookDialog from './components/WorkbookDialog';
+import ParquetInspector from './components/ParquetInspector';
+import { inspectParquet } from './lib/parquetInspect';
+import { buildWorkbook } from './lib/excel';
+import {
+  createSessionId,
+  listSessions,
+  saveSession,
+  loadSessionState,
+  deleteSession,
+  storageUsage,
+  requestPersistentStorage
+} from './lib/sessions';
+import SessionList from './components/SessionList';
+import SessionMenu from './components/SessionMenu';
+import TabBar from './components/TabBar';
+import JoinDialog from './components/JoinDialog';
+import UnionDialog from './components/UnionDialog';
+import { unionRows } from './lib/union';
+import PivotPanel from './components/PivotPanel';
+import { pivotTable } from './lib/pivot';
+import StatsChart from './components/StatsChart';
+import ChartView from './components/ChartView';
+import ProfilePanel from './components/ProfilePanel';
+import ValidationPanel from './components/ValidationPanel';
+import ReplaceDialog from './components/ReplaceDialog';
+import DedupePanel from './components/DedupePanel';
+import { duplicateGroups, duplicatesToRemove } from './lib/dedupe';
+import ComparePanel from './components/ComparePanel';
+import { diffDatasets, diffGridRows } from './lib/diff';
+import { validateRows } from './lib/validation';
+import { histogramBins, topValues } from './lib/charts';
+
+// Grid geometry (px). Rows have a fixed height so the grid can be virtualized.
+const ROW_HEIGHT = 41;
+const HEADER_HEIGHT = 64;
+const GUTTER_WIDTH = 80;
+const COLUMN_WIDTH = 180;
+
+// Rows restricted to (and ordered by) the given columns, for exports
+const projectRows = (rows, columns) => rows.map(row => {
+  const out = {};
+  columns.forEach(col => {
+    out[col] = row[col] === undefined ? null : row[col];
+  });
+  return out;
+});
 
-// -- EXTERNAL LIBRARIES VIA CDN INJECTION --
+const AUTOSAVE_DELAY = 1000; // ms after the last change before the session is saved
 
-const loadScript = (src) => {
-  return new Promise((resolve, reject) => {
-    if (document.querySelector(`script[src="${src}"]`)) return resolve();
-    const script = document.createElement('script');
-    script.src = src;
-    script.onload = resolve;
-    script.onerror = reject;
-    document.head.appendChild(script);
-  });
+let nextTabId = 1;
+
+const EMPTY_PIVOT = { rows: [], columns: [], measures: [{ agg: 'count', column: '' }] };
+
+const EMPTY_DEDUPE = { keys: [], trim: true, ignoreCase: false, keep: 'first' };
+
+const NO_OVERRIDES = {};
+
+const EMPTY_COMPARE = { keys: [], types: ['added', 'removed', 'modified'] };
+
+const sessionMeta = (id, state) => ({ id, kind: 'session', name: state.fileName, fileName: state.fileName, fileType: state.fileType });
+
+// Dataset states are rebuilt on every render; unchanged ones hold the same values
+const sameState = (a, b) => Boolean(a && b) && Object.keys(a).every(key => a[key] === b[key]);
+
+// Edits made since the import or the last export
+const hasUnexportedEdits = (state) => state.data.length > 0 && state.history.position - 1 !== state.cleanIndex;
+
+// Object with one key renamed, in place of the old one
+const renameKey = (obj, from, to) => {
+  if (!obj || !(from in obj)) return obj;
+  const next = { ...obj, [to]: obj[from] };
+  delete next[from];
+  return next;
+};
+
+const withoutKey = (obj, key) => {
+  if (!obj || !(key in obj)) return obj;
+  const next = { ...obj };
+  delete next[key];
+  return next;
 };
 
-const loadModule = async (url) => {
-  try {
+// Column view settings (see columnView in the page) pointing at a renamed column
+const renameInView = (view, from, to) => ({
+  sortKeys: view.sortKeys.map(k => (k.key === from ? { ...k, key: to } : k)),
+  filters: view.filters.map(f => (f.column === from ? { ...f, column: to } : f)),
+  pivotSpec: {
+    rows: view.pivotSpec.rows.map(c => (c === from ? to : c)),
+    columns: view.pivotSpec.columns.map(c => (c === from ? to : c)),
+    measures: view.pivotSpec.measures.map(m => (m.column === from ? { ...m, column: to } : m))
+  },
+  dedupeSpec: { ...view.dedupeSpec, keys: view.dedupeSpec.keys.map(c => (c === from ? to : c)) },
+  validationRules: view.validationRules.map(r => (r.column === from ? { ...r, column: to } : r)),
+  schemaOverrides: renameKey(view.schemaOverrides, from, to),
+  fileSchema: renameKey(view.fileSchema, from, to)
+});
+
+// Column view settings without a deleted column
+const removeFromView = (view, col) => ({
+  sortKeys: view.sortKeys.filter(k => k.key !== col),
+  filters: view.filters.filter(f => f.column !== col),
+  pivotSpec: {
+    rows: view.pivotSpec.rows.filter(c => c !== col),
+    columns: view.pivotSpec.columns.filter(c => c !== col),
+    measures: view.pivotSpec.measures.filter(m => m.column !== col)
+  },
+  dedupeSpec: { ...view.dedupeSpec, keys: view.dedupeSpec.keys.filter(c => c !== col) },
+  validationRules: view.validationRules.filter(r => r.column !== col),
+  schemaOverrides: withoutKey(view.schemaOverrides, col),
+  fileSchema: withoutKey(view.fileSchema, col)
+});
+
+// The settings a change rewrote, before and after, as a history entry's view; null when none did
+const viewChange = (before, after) => {
+  const undo = {};
+  const redo = {};
+  Object.keys(after).forEach(key => {
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+    undo[key] = before[key];
+    redo[key] = after[key];
+  });
+  return Object.keys(redo).length > 0 ? { undo, redo } : null;
+};
 
-    const importFn = new Function('url', 'return import(url)');
-    const loadedModule = await importFn(url);
-    return loadedModule;
-  } catch (e) {
-    console.error("Failed to load module:", url, e);
-    throw e;
-  }
+// Rows of a parked dataset state with its computed columns filled in
+const rowsWithComputed = (state) => {
+  const computed = Object.entries(state.computedColumns || {});
+  if (computed.length === 0) return state.data;
+  const sourceColumns = state.columns.filter(c => state.computedColumns[c] === undefined);
+  const compiled = computed.map(([name, expression]) => {
+    try {
+      return [name, compileExpression(expression, sourceColumns)];
+    } catch {
+      return [name, null];
+    }
+  });
+  return state.data.map(row => {
+    const derived = { ...row };
+    compiled.forEach(([name, expr]) => {
+      derived[name] = expr ? expr.evaluate(row) : '#ERROR';
+    });
+    return derived;
+  });
 };
 
 // -- APP COMPONENT --
@@ -57,28 +239,114 @@ const loadModule = async (url) => {
 export default function DataFloor() {
   const [data, setData] = useState([]);
   const [columns, setColumns] = useState([]);
+  const [computedColumns, setComputedColumns] = useState({}); // { name: expression } for computed columns
   const [fileName, setFileName] = useState("Untitled");
   const [fileType, setFileType] = useState(null); // 'csv', 'parquet', 'json', 'custom'
   const [loading, setLoading] = useState(false);
   const [loadingMsg, setLoadingMsg] = useState("");
+  const [importProgress, setImportProgress] = useState(null); // { bytesRead, totalBytes, rowsRead } while a parse runs
   const [error, setError] = useState(null);
+  const [importWarnings, setImportWarnings] = useState([]); // Skipped input reported by the parser
+  const [nestedMode, setNestedMode] = useState('json'); // How nested JSON/Parquet values are imported
+  const [nesting, setNesting] = useState(null); // Where flattened columns came from, for re-nesting on export
   const [dragActive, setDragActive] = useState(false);
   const [searchTerm, setSearchTerm] = useState("");
+  const [filters, setFilters] = useState([]); // Column filters, see lib/filters
+  const [filterMode, setFilterMode] = useState('and'); // How column filters combine: 'and' | 'or'
+  const [filterBuilder, setFilterBuilder] = useState(null); // { filter } being edited, or { filter: null } for a new one
   const [showExportMenu, setShowExportMenu] = useState(false);
   
   // Import Configuration State
   const [pendingFile, setPendingFile] = useState(null); // File waiting for config
+  const [pendingWorkbook, setPendingWorkbook] = useState(null); // { file, sheets } waiting for sheet/header choice
+  const [pendingParquet, setPendingParquet] = useState(null); // { file, info } waiting for column/row choice
+  const [pendingUnion, setPendingUnion] = useState(null); // { parts } loaded files waiting for column alignment
   const [importDelimiter, setImportDelimiter] = useState(""); // Default delimiter: "" (Auto)
   const [customExtension, setCustomExtension] = useState(null); // Store original ext for export
   const [forceCustomConfig, setForceCustomConfig] = useState(false); // Flag to bypass auto-detection
   
   // Feature Flags
   const [showEmptyStats, setShowEmptyStats] = useState(true);
+
+  // Schema State
+  const [fileSchema, setFileSchema] = useState(null); // Types declared by the source file (Parquet)
+  const [schemaOverrides, setSchemaOverrides] = useState({}); // User-chosen { type, nullable } per column of the data
+  const [resultOverrides, setResultOverrides] = useState({}); // The same for result views: { pivot, query, compare }
+  const [showSchemaPanel, setShowSchemaPanel] = useState(false);
   
-  // Pagination & Sort State
-  const [currentPage, setCurrentPage] = useState(1);
-  const [rowsPerPage, setRowsPerPage] = useState(50);
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
+  // Edit History (undo/redo)
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const [showHistoryMenu, setShowHistoryMenu] = useState(false);
+
+  // SQL Query State
+  const [showQueryPanel, setShowQueryPanel] = useState(false);
+  const [queryTables, setQueryTables] = useState([]); // Extra files loaded for queries: [{ name, fileName, rows, columns, schema }]
+  const [queryResult, setQueryResult] = useState(null); // { sql, columns, rows, elapsed }
+  const [showQueryResult, setShowQueryResult] = useState(false); // Grid shows the result instead of the data
+  const [queryRunning, setQueryRunning] = useState(false);
+  const [queryError, setQueryError] = useState(null);
+
+  // Pivot State
+  const [showPivotPanel, setShowPivotPanel] = useState(false);
+  const [pivotSpec, setPivotSpec] = useState(EMPTY_PIVOT); // { rows, columns, measures } for lib/pivot
+  const [showPivot, setShowPivot] = useState(false); // Grid shows the pivot instead of the data
+  const [pivotDrill, setPivotDrill] = useState(null); // { label, ids, previous, previousMode } after drilling into a pivot cell
+
+  // Deduplicate State
+  const [showDedupePanel, setShowDedupePanel] = useState(false);
+  const [dedupeSpec, setDedupeSpec] = useState(EMPTY_DEDUPE); // { keys, trim, ignoreCase, keep } for lib/dedupe
+  const [showDuplicates, setShowDuplicates] = useState(false); // Grid shows the duplicate groups instead of the data
+
+  // Compare State
+  const [showComparePanel, setShowComparePanel] = useState(false);
+  const [compareWith, setCompareWith] = useState(null); // Other version of the data: { id?, name, columns, rows, schema }
+  const [compareSpec, setCompareSpec] = useState(EMPTY_COMPARE); // { keys, types } for lib/diff
+  const [showCompare, setShowCompare] = useState(false); // Grid shows the diff instead of the data
+
+  // Column Management State
+  const [columnMenu, setColumnMenu] = useState(null); // { col, x, y } header context menu
+  const [columnDialog, setColumnDialog] = useState(null); // { mode, col, index } for ColumnDialog
+  const [dragColumn, setDragColumn] = useState(null); // Column being dragged to a new position
+
+  // Join Dialog State
+  const [showJoinDialog, setShowJoinDialog] = useState(false);
+
+  // Find & Replace Dialog State
+  const [replaceDialog, setReplaceDialog] = useState(null); // { filteredIndexes } of the rows shown when it was opened
+
+  // Chart View State
+  const [showChart, setShowChart] = useState(false);
+
+  // Profile Panel State
+  const [showProfilePanel, setShowProfilePanel] = useState(false);
+
+  // Validation State
+  const [showValidationPanel, setShowValidationPanel] = useState(false);
+  const [validationRules, setValidationRules] = useState([]); // [{ id, column, kind, ...params }] for lib/validation
+  const [onlyInvalidRows, setOnlyInvalidRows] = useState(false); // Grid shows only rows breaking a rule
+
+  // Row Selection State (indexes into 'data')
+  const [selectedRows, setSelectedRows] = useState(() => new Set());
+  const [selectionAnchor, setSelectionAnchor] = useState(null); // Display index for shift-click ranges
+
+  // Sort State
+  const [sortKeys, setSortKeys] = useState([]); // [{ key, direction }], primary key first
+  const [nullsPosition, setNullsPosition] = useState('last'); // Where empty values sort: 'first' | 'last'
+
+  // Saved Sessions State (IndexedDB, see lib/sessions)
+  const [sessionId, setSessionId] = useState(null); // Open session, autosaved while set
+  const [sessionStatus, setSessionStatus] = useState(null); // { savedAt } or { error } for the open session
+  const [savedSessions, setSavedSessions] = useState([]); // Metadata of stored sessions and snapshots
+  const [sessionsVersion, setSessionsVersion] = useState(0); // Bumped to re-read savedSessions
+  const [storageInfo, setStorageInfo] = useState(null); // { usage, quota } of the browser storage
+  const [showSessionMenu, setShowSessionMenu] = useState(false);
+  const savedStateRef = useRef(null); // Dataset state last saved or restored, to skip writing it again
+
+  // Tabs State: the active tab's dataset is the state above; background tabs are parked as plain objects
+  const [tabs, setTabs] = useState([]); // [{ id, parked }] in display order; parked is null for the active tab
+  const [activeTabId, setActiveTabId] = useState(null);
+  const [cleanEntry, setCleanEntry] = useState(null); // History entry the data was at when imported or last exported
+  const restoreRowRef = useRef(null); // Row to scroll back to once a restored tab's grid is shown
   
   // Hover State for Stats
   const [hoveredColumn, setHoveredColumn] = useState(null);
@@ -86,23 +354,125 @@ export default function DataFloor() {
   const hoverTimeoutRef = useRef(null);
   const leaveTimeoutRef = useRef(null); // Grace period for moving to tooltip
 
+  // Computed columns are compiled once per definition change. They may reference stored columns only.
+  const compiledComputed = useMemo(() => {
+    const sourceColumns = columns.filter(c => computedColumns[c] === undefined);
+    const compiled = {};
+    Object.entries(computedColumns).forEach(([name, expression]) => {
+      try {
+        compiled[name] = compileExpression(expression, sourceColumns);
+      } catch (err) {
+        compiled[name] = { error: err.message };
+      }
+    });
+    return compiled;
+  }, [columns, computedColumns]);
+
+  // Rows with computed values filled in. Derived rows are cached per source row object,
+  // so an edit only re-evaluates the row it changed; sourceRows maps them back for editing.
+  const computedCache = useMemo(() => ({ derived: new WeakMap(), sourceRows: new WeakMap(), compiled: compiledComputed }), [compiledComputed]);
+  const derivedData = useMemo(() => {
+    const names = Object.keys(computedCache.compiled);
+    if (names.length === 0) return data;
+    return data.map(row => {
+      let derived = computedCache.derived.get(row);
+      if (!derived) {
+        derived = { ...row };
+        names.forEach(name => {
+          const expr = computedCache.compiled[name];
+          derived[name] = expr.error ? '#ERROR' : expr.evaluate(row);
+        });
+        computedCache.derived.set(row, derived);
+        computedCache.sourceRows.set(derived, row);
+      }
+      return derived;
+    });
+  }, [data, computedCache]);
+
+  // Invalid cells of the data (computed columns included), checked against the validation rules
+  const validation = useMemo(() => validateRows(derivedData, validationRules), [derivedData, validationRules]);
+
+  // Duplicate groups of the data, found only while the deduplicate tool is in use.
+  // rows lists the rows of every group, group by group; groupOf numbers them for the grid.
+  const dedupeActive = showDedupePanel || showDuplicates;
+  const duplicateResult = useMemo(() => {
+    if (!dedupeActive) return null;
+    const { keys, trim, ignoreCase } = dedupeSpec;
+    const groups = duplicateGroups(derivedData, keys.length > 0 ? keys : columns, { trim, ignoreCase, skipEmpty: keys.length > 0 });
+    const rows = [];
+    const groupOf = new Map();
+    groups.forEach((group, n) => group.forEach(i => {
+      rows.push(derivedData[i]);
+      groupOf.set(derivedData[i], n);
+    }));
+    return { groups, rows, groupOf };
+  }, [dedupeActive, dedupeSpec, derivedData, columns]);
+
+  // Diff of the data against compareWith, built only while the compare tool is in use. The grid
+  // view has one row per shown change, with the change in a leading column.
+  const compareBase = useMemo(() => ({ name: fileName, columns, rows: derivedData }), [fileName, columns, derivedData]);
+  const compareDiff = useMemo(() => {
+    if (!compareWith || !(showComparePanel || showCompare)) return null;
+    const keys = compareSpec.keys.filter(k => columns.includes(k) && compareWith.columns.includes(k));
+    return diffDatasets(compareBase, compareWith, keys);
+  }, [compareWith, showComparePanel, showCompare, compareSpec.keys, columns, compareBase]);
+  const compareView = useMemo(() => {
+    if (!compareDiff || !showCompare) return null;
+    let changeColumn = 'change';
+    for (let n = 2; compareDiff.columns.includes(changeColumn); n++) changeColumn = `change_${n}`;
+    const { rows, cells } = diffGridRows(compareDiff, compareBase, compareWith, compareSpec.types, changeColumn);
+    return { columns: [changeColumn, ...compareDiff.columns], rows, cells };
+  }, [compareDiff, showCompare, compareBase, compareWith, compareSpec.types]);
+
+  // Search and column filters as one row predicate
+  const rowMatcher = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    const matchesFilters = compileFilters(filters, filterMode);
+    return row => (!matchesFilters || matchesFilters(row)) &&
+      Object.values(row).some(val => 
+        String(val).toLowerCase().includes(term)
+      );
+  }, [searchTerm, filters, filterMode]);
+
+  // The pivot summarises the filtered data and is only built while it is in use
+  const pivotActive = showPivot || showPivotPanel;
+  const pivotSource = useMemo(() => (pivotActive ? derivedData.filter(rowMatcher) : []), [pivotActive, derivedData, rowMatcher]);
+  const pivotResult = useMemo(() => {
+    if (!pivotActive) return null;
+    const declared = {};
+    columns.forEach(col => {
+      const type = (schemaOverrides[col] || (fileSchema && fileSchema[col]) || {}).type;
+      if (type) declared[col] = { type };
+    });
+    return pivotTable(pivotSource, pivotSpec, declared);
+  }, [pivotActive, pivotSource, pivotSpec, columns, fileSchema, schemaOverrides]);
+
+  // The grid, stats and exporters work on the loaded data or, when shown, the pivot, the last query result or the diff
+  const viewingPivot = Boolean(pivotResult && showPivot);
+  const viewingQuery = !viewingPivot && Boolean(queryResult && showQueryResult);
+  const viewingCompare = !viewingPivot && !viewingQuery && Boolean(compareView);
+  const viewingResult = viewingPivot || viewingQuery || viewingCompare;
+  const viewingDuplicates = !viewingResult && Boolean(duplicateResult && showDuplicates);
+  // Results are not the data, and the duplicate groups change only through removeDuplicates
+  const gridReadOnly = viewingResult || viewingDuplicates;
+  const viewData = viewingPivot ? pivotResult.rows : viewingQuery ? queryResult.rows : viewingCompare ? compareView.rows : derivedData;
+  const viewColumns = viewingPivot ? pivotResult.columns : viewingQuery ? queryResult.columns : viewingCompare ? compareView.columns : columns;
+  // Type overrides belong to the view they were set in, as a result column can share a data column's name
+  const resultView = viewingPivot ? 'pivot' : viewingQuery ? 'query' : viewingCompare ? 'compare' : null;
+  const viewOverrides = resultView ? resultOverrides[resultView] || NO_OVERRIDES : schemaOverrides;
+
   // Libraries refs
   const papaRef = useRef(null);
-  const hyparquetRef = useRef(null);
-  const arrowRef = useRef(null);
-  const parquetWasmRef = useRef(null);
+
+  // Active parse worker job ({ promise, cancel })
+  const importJobRef = useRef(null);
 
   useEffect(() => {
-    // Initialize Reader Libraries (Lightweight)
+    // Initialize Writer Library (Lightweight). Readers are loaded by the parse worker.
     const init = async () => {
       try {
-        // Load PapaParse for CSV
-        await loadScript('https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js');
-        papaRef.current = window.Papa;
-
-        // Load HyParquet for Parquet Reading
-        const hyparquet = await loadModule('https://cdn.jsdelivr.net/npm/hyparquet/+esm');
-        hyparquetRef.current = hyparquet;
+        // Load PapaParse for CSV export
+        papaRef.current = await loadPapaParse();
         
       } catch (err) {
         console.error(err);
@@ -110,17 +480,100 @@ export default function DataFloor() {
       }
     };
     init();
+    enableOffline();
+
+    // Stop any parse still running when the page goes away
+    return () => {
+      if (importJobRef.current) importJobRef.current.cancel();
+    };
   }, []);
 
+  // One dataset as stored in a session or parked in a background tab: the data with its edits,
+  // layout, view and import settings. cleanIndex is the history position of the last export.
+  const datasetState = useMemo(() => ({
+    data, columns, computedColumns, history, cleanIndex: history.entries.indexOf(cleanEntry),
+    fileName, fileType, customExtension, importDelimiter, nestedMode,
+    fileSchema, schemaOverrides, nesting, importWarnings,
+    searchTerm, filters, filterMode, sortKeys, nullsPosition, showEmptyStats,
+    validationRules, onlyInvalidRows
+  }), [
+    data, columns, computedColumns, history, cleanEntry,
+    fileName, fileType, customExtension, importDelimiter, nestedMode,
+    fileSchema, schemaOverrides, nesting, importWarnings,
+    searchTerm, filters, filterMode, sortKeys, nullsPosition, showEmptyStats,
+    validationRules, onlyInvalidRows
+  ]);
+
+  // Autosave shortly after the last change, so a burst of edits is written once. Only new history
+  // entries and the view state are written; the rows are stored once per session (lib/sessions),
+  // so search, filter and sort changes do not rewrite them.
+  useEffect(() => {
+    if (!sessionId || datasetState.data.length === 0 || sameState(datasetState, savedStateRef.current)) return;
+    const timer = setTimeout(() => {
+      savedStateRef.current = datasetState;
+      saveSession(sessionMeta(sessionId, datasetState), datasetState)
+        .then(() => setSessionStatus({ savedAt: Date.now() }))
+        .catch(err => {
+          console.error("Failed to save the session:", err);
+          setSessionStatus({ error: err.message });
+        });
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [sessionId, datasetState]);
+
+  // Stored sessions are listed on the home screen and in the session menu
+  const showingSessions = data.length === 0 || showSessionMenu;
+  useEffect(() => {
+    if (!showingSessions) return;
+    let cancelled = false;
+    Promise.all([listSessions(), storageUsage()])
+      .then(([sessions, storage]) => {
+        if (cancelled) return;
+        setSavedSessions(sessions);
+        setStorageInfo(storage);
+      })
+      .catch(err => console.error("Failed to list saved sessions:", err));
+    return () => { cancelled = true; };
+  }, [showingSessions, sessionsVersion]);
+
+  // Undo/Redo and delete-row shortcuts. Other text fields (search, dialogs) keep their native keys.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (data.length === 0) return;
+      const target = e.target;
+      const isField = target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT';
+
+      if (e.key === 'Delete' && !isField && selectedRows.size > 0 && !gridReadOnly) {
+        e.preventDefault();
+        deleteSelectedRows();
+        return;
+      }
+
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (isField && !target.dataset.gridCell) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
   // -- STATISTICS --
   const emptyCellCounts = useMemo(() => {
     if (!showEmptyStats) return {};
 
     const counts = {};
-    columns.forEach(col => counts[col] = 0);
+    viewColumns.forEach(col => counts[col] = 0);
     
-    data.forEach(row => {
-      columns.forEach(col => {
+    viewData.forEach(row => {
+      viewColumns.forEach(col => {
         const val = row[col];
         if (val === null || val === undefined || val === '') {
           counts[col] = (counts[col] || 0) + 1;
@@ -128,17 +581,32 @@ export default function DataFloor() {
       });
     });
     return counts;
-  }, [data, columns, showEmptyStats]);
+  }, [viewData, viewColumns, showEmptyStats]);
+
+  // Effective column types: user override > file declared > inferred from values
+  const columnSchema = useMemo(() => {
+    // Types declared by the file do not apply to query results
+    const declared = viewingResult ? null : fileSchema;
+    const inferCols = viewColumns.filter(col => !declared || !declared[col]);
+    const inferred = inferSchema(viewData, inferCols);
+    const schema = {};
+    viewColumns.forEach(col => {
+      const base = (declared && declared[col]) || inferred[col];
+      schema[col] = viewOverrides[col] ? { ...base, ...viewOverrides[col], source: 'override' } : base;
+    });
+    return schema;
+  }, [viewData, viewColumns, viewingResult, fileSchema, viewOverrides]);
 
   // Dynamic Stats for Hovered Column (Mean, Median, Mode/Range)
   const activeColumnStats = useMemo(() => {
-    if (!hoveredColumn || data.length === 0) return null;
+    if (!hoveredColumn || viewData.length === 0) return null;
 
     const numericValues = [];
     const dateValues = [];
+    const textValues = [];
     
     // Single pass extraction with type detection
-    for (const row of data) {
+    for (const row of viewData) {
       const val = row[hoveredColumn];
       // Check if value exists
       if (val !== null && val !== undefined && val !== '') {
@@ -151,11 +619,25 @@ export default function DataFloor() {
             const dateTimestamp = Date.parse(val);
             if (!isNaN(dateTimestamp)) {
                 dateValues.push(dateTimestamp);
+            } else {
+                textValues.push(val);
             }
         }
       }
     }
 
+    // Text columns get their most frequent values instead of numeric stats
+    if (textValues.length > numericValues.length && textValues.length > dateValues.length) {
+      const { values: top, distinct } = topValues(textValues, 5);
+      return {
+        columnName: hoveredColumn,
+        type: 'Text',
+        count: textValues.length,
+        distinct,
+        top
+      };
+    }
+
     // Determine column type based on majority
     const isDateColumn = dateValues.length > numericValues.length;
     const values = isDateColumn ? dateValues : numericValues;
@@ -221,10 +703,11 @@ export default function DataFloor() {
       mode: modeLabel,
       min: minStr,
       max: maxStr,
-      count: values.length
+      count: values.length,
+      bins: histogramBins(values, 20)
     };
 
-  }, [data, hoveredColumn]);
+  }, [viewData, hoveredColumn]);
 
   // -- APP ACTIONS --
 
@@ -234,32 +717,66 @@ export default function DataFloor() {
     setFileName("Untitled");
     setFileType(null);
     setSearchTerm("");
-    setCurrentPage(1);
-    setSortConfig({ key: null, direction: 'asc' });
+    setFilters([]);
+    setFilterMode('and');
+    setFilterBuilder(null);
+    setSortKeys([]);
+    setNullsPosition('last');
     setError(null);
     setPendingFile(null);
+    setPendingWorkbook(null);
+    setPendingParquet(null);
+    setPendingUnion(null);
+    setImportWarnings([]);
+    setNesting(null);
     setImportDelimiter(""); // Reset to Auto
     setCustomExtension(null);
     setForceCustomConfig(false);
     setHoveredColumn(null);
+    setFileSchema(null);
+    setSchemaOverrides({});
+    setResultOverrides({});
+    setShowSchemaPanel(false);
+    setHistory(EMPTY_HISTORY);
+    setShowHistoryMenu(false);
+    setComputedColumns({});
+    setSelectedRows(new Set());
+    setColumnMenu(null);
+    setColumnDialog(null);
+    setShowJoinDialog(false);
+    setReplaceDialog(null);
+    setShowChart(false);
+    setShowProfilePanel(false);
+    setShowValidationPanel(false);
+    setValidationRules([]);
+    setOnlyInvalidRows(false);
+    setShowQueryPanel(false);
+    setQueryTables([]);
+    setQueryResult(null);
+    setShowQueryResult(false);
+    setQueryError(null);
+    setShowPivotPanel(false);
+    setPivotSpec(EMPTY_PIVOT);
+    setShowPivot(false);
+    setPivotDrill(null);
+    setShowDedupePanel(false);
+    setDedupeSpec(EMPTY_DEDUPE);
+    setShowDuplicates(false);
+    setShowComparePanel(false);
+    setCompareWith(null);
+    setCompareSpec(EMPTY_COMPARE);
+    setShowCompare(false);
+    setSessionId(null);
+    setSessionStatus(null);
+    setShowSessionMenu(false);
+    setCleanEntry(null);
     if (hoverTimeoutRef.current) clearTimeout(hoverTimeoutRef.current);
     if (leaveTimeoutRef.current) clearTimeout(leaveTimeoutRef.current);
   };
 
-  const handleSort = (key) => {
-    let direction = 'asc';
-    let newKey = key;
-
-    if (sortConfig.key === key) {
-      if (sortConfig.direction === 'asc') {
-        direction = 'desc';
-      } else if (sortConfig.direction === 'desc') {
-        newKey = null;
-        direction = 'asc'; 
-      }
-    }
-    
-    setSortConfig({ key: newKey, direction });
+  // Shift-click adds secondary/tertiary sort keys
+  const handleSort = (key, additive) => {
+    setSortKeys(prev => nextSortKeys(prev, key, additive));
   };
 
   const handleMouseEnterColumn = (col) => {
@@ -294,17 +811,36 @@ export default function DataFloor() {
     }, 300);
   };
 
+  // Changes the overrides of the view on screen: the data's, or those of the result shown
+  const setViewOverrides = (update) => {
+    if (resultView) setResultOverrides(prev => ({ ...prev, [resultView]: update(prev[resultView] || {}) }));
+    else setSchemaOverrides(update);
+  };
+
+  const updateSchemaOverride = (col, changes) => {
+    setViewOverrides(prev => {
+      const current = prev[col] || { type: columnSchema[col].type, nullable: columnSchema[col].nullable };
+      return { ...prev, [col]: { ...current, ...changes } };
+    });
+  };
+
+  const clearSchemaOverride = (col) => setViewOverrides(prev => withoutKey(prev, col));
+
   const handleCopyStats = (e) => {
     e.stopPropagation(); // Prevent sort trigger
     if (!activeColumnStats) return;
 
-    const { columnName, type, count, mean, median, mode, min, max } = activeColumnStats;
+    const { columnName, type, count, mean, median, mode, min, max, distinct, top } = activeColumnStats;
     
-    let text = `Column: ${columnName}\nType: ${type}\nCount (Valid): ${count}\nMean: ${mean}\nMedian: ${median}`;
+    let text = `Column: ${columnName}\nType: ${type}\nCount (Valid): ${count}`;
     
-    if (type === 'Date') {
+    if (type === 'Text') {
+        text += `\nDistinct: ${distinct}\nTop values:${top.map(t => `\n  ${t.value} (${t.count})`).join('')}`;
+    } else if (type === 'Date') {
+        text += `\nMean: ${mean}\nMedian: ${median}`;
         text += `\nOldest: ${min}\nNewest: ${max}`;
     } else {
+        text += `\nMean: ${mean}\nMedian: ${median}`;
         text += `\nMode: ${mode}`;
     }
 
@@ -334,10 +870,10 @@ export default function DataFloor() {
     setError(null);
     setFileName(file.name);
     
-    const lowerName = file.name.toLowerCase();
+    const format = formatForFile(file.name);
 
     // If forced custom config OR unknown extension, open modal
-    if (forceCustomConfig || (!lowerName.endsWith('.csv') && !lowerName.endsWith('.parquet') && !lowerName.endsWith('.json'))) {
+    if (forceCustomConfig || !format) {
        setLoading(false);
        setPendingFile(file);
        setForceCustomConfig(false); // Reset flag
@@ -345,21 +881,61 @@ export default function DataFloor() {
     }
 
     // Standard Auto-Load Logic
-    if (lowerName.endsWith('.csv')) {
+    if (format === 'csv') {
       setLoadingMsg("Parsing CSV...");
       setFileType('csv');
-      parseCSV(file);
-    } else if (lowerName.endsWith('.parquet')) {
-      setLoadingMsg("Parsing Parquet...");
-      setFileType('parquet');
-      await parseParquet(file);
-    } else if (lowerName.endsWith('.json')) {
+      await runImport(file, 'csv');
+    } else if (format === 'parquet') {
+      // Only the footer is read here; columns and rows are chosen in the inspector
+      setLoadingMsg("Reading Parquet footer...");
+      try {
+        setPendingParquet({ file, info: await inspectParquet(file) });
+      } catch (err) {
+        console.error(err);
+        setError("Failed to read the Parquet file: " + err.message);
+      }
+      setLoading(false);
+    } else if (format === 'json') {
       setLoadingMsg("Parsing JSON...");
       setFileType('json');
-      await parseJSON(file);
+      await runImport(file, 'json', { nested: nestedMode });
+    } else if (format === 'jsonl') {
+      setLoadingMsg("Parsing JSON Lines...");
+      setFileType('jsonl');
+      await runImport(file, 'jsonl', { nested: nestedMode });
+    } else if (format === 'xlsx') {
+      // Sheet and header row are chosen in the workbook dialog before parsing
+      setLoadingMsg("Reading workbook...");
+      try {
+        setPendingWorkbook({ file, sheets: await describeWorkbookFile(file) });
+      } catch (err) {
+        console.error(err);
+        setError(err.message);
+      }
+      setLoading(false);
     }
   };
 
+  // Triggered from the Workbook Dialog
+  const importWorkbook = ({ sheet, headerRow }) => {
+    const { file } = pendingWorkbook;
+    setPendingWorkbook(null);
+    setLoading(true);
+    setLoadingMsg("Parsing Excel...");
+    setFileType('xlsx');
+    runImport(file, 'xlsx', { sheet, headerRow });
+  };
+
+  // Triggered from the Parquet Inspector
+  const importParquet = ({ columns: selectedColumns, ranges }) => {
+    const { file } = pendingParquet;
+    setPendingParquet(null);
+    setLoading(true);
+    setLoadingMsg("Parsing Parquet...");
+    setFileType('parquet');
+    runImport(file, 'parquet', { nested: nestedMode, columns: selectedColumns, ranges });
+  };
+
   // Triggered from the Import Config Modal
   const processPendingFile = () => {
     if (!pendingFile) return;
@@ -373,148 +949,367 @@ export default function DataFloor() {
     setCustomExtension(match ? match[0] : ".txt");
     
     setFileType('custom'); 
-    parseCSV(pendingFile, importDelimiter);
+    runImport(pendingFile, 'csv', { delimiter: importDelimiter });
   };
 
-  const parseCSV = (file, delimiter = "") => {
-    if (!papaRef.current) return;
-    
-    // Handle escaped tab characters if user typed "\t"
-    const actualDelimiter = delimiter === "\\t" ? "\t" : delimiter;
-
-    papaRef.current.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      delimiter: actualDelimiter, // Empty string = auto-detect
-      complete: (results) => {
-        if (results.data && results.data.length > 0) {
-          setColumns(Object.keys(results.data[0]));
-          setData(results.data);
-        }
-        setLoading(false);
-      },
-      error: (err) => {
-        setError("Error parsing file: " + err.message);
-        setLoading(false);
-      }
-    });
+  // Shows a parsed { columns, rows, schema, warnings, nesting } as a fresh dataset with its own session
+  const loadDataset = (result) => {
+    setColumns(result.columns);
+    setFileSchema(result.schema || null);
+    setData(result.rows);
+    setImportWarnings(result.warnings || []);
+    setNesting(result.nesting || null);
+    setComputedColumns({});
+    setSelectedRows(new Set());
+    setHistory(EMPTY_HISTORY);
+    setCleanEntry(null);
+    setSessionId(createSessionId());
+    setSessionStatus(null);
+    ensureActiveTab();
+    requestPersistentStorage().catch(() => {});
   };
 
-  const parseJSON = async (file) => {
+  // Parses the file in the parse worker and loads the result into the grid
+  const runImport = async (file, format, options = {}) => {
+    setImportProgress({ bytesRead: 0, totalBytes: file.size, rowsRead: 0 });
+    const job = startImport(file, format, options, { onProgress: setImportProgress });
+    importJobRef.current = job;
+
     try {
-      const text = await file.text();
-      let jsonData;
-      try {
-        jsonData = JSON.parse(text);
-      } catch (e) {
-        throw new Error("Invalid JSON format. Please ensure file contains valid JSON.");
-      }
+      const result = await job.promise;
+      if (result && result.rows.length > 0) loadDataset(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      importJobRef.current = null;
+      setImportProgress(null);
+      setLoading(false);
+    }
+  };
 
-      if (!Array.isArray(jsonData)) {
-        throw new Error("JSON file must contain an array of objects (e.g. [{}, {}]).");
-      }
+  // Several files at once are parsed one after another, then stacked in the union dialog.
+  // Parquet files load all columns and rows; unknown extensions are read as delimited text.
+  // Workbooks with several sheets and flattened nested files are refused: the sheet picker and
+  // the re-nesting on export only work for a file opened on its own.
+  const handleFilesUpload = async (fileList) => {
+    const files = Array.from(fileList);
+    if (files.length === 0) return;
+    if (files.length === 1) {
+      handleFileUpload(files[0]);
+      return;
+    }
 
-      if (jsonData.length > 0) {
-        const allKeys = new Set();
-        const sampleSize = Math.min(jsonData.length, 100);
-        
-        for (let i = 0; i < sampleSize; i++) {
-          const row = jsonData[i];
-          if (row && typeof row === 'object') {
-            Object.keys(row).forEach(k => allKeys.add(k));
-          }
+    setLoading(true);
+    setError(null);
+    setForceCustomConfig(false);
+    const parts = [];
+    try {
+      for (const [i, file] of files.entries()) {
+        setLoadingMsg(`Parsing ${file.name} (${i + 1} of ${files.length})...`);
+        setImportProgress({ bytesRead: 0, totalBytes: file.size, rowsRead: 0 });
+        const format = formatForFile(file.name) || 'csv';
+        if (format === 'xlsx') {
+          const sheets = await describeWorkbookFile(file);
+          if (sheets.length > 1) throw new Error(`${file.name} has ${sheets.length} sheets. Open it on its own to choose one.`);
         }
-        
-        const cols = Array.from(allKeys);
-        setColumns(cols);
-
-        const sanitizedRows = jsonData.map(row => {
-           const newRow = {};
-           cols.forEach(col => {
-             let val = row[col];
-             if (typeof val === 'object' && val !== null) {
-               val = JSON.stringify(val);
-             }
-             newRow[col] = (val === undefined || val === null) ? '' : val;
-           });
-           return newRow;
-        });
-
-        setData(sanitizedRows);
+        const job = startImport(file, format, { nested: nestedMode }, { onProgress: setImportProgress });
+        importJobRef.current = job;
+        let result;
+        try {
+          result = await job.promise;
+        } catch (err) {
+          throw new Error(`${file.name}: ${err.message}`);
+        }
+        if (!result) return; // Cancelled
+        if (hasNesting(result.nesting)) {
+          throw new Error(`${file.name} has nested fields, which cannot be stacked once flattened. Open it on its own, or choose "${NESTED_MODES.json}".`);
+        }
+        parts.push({ name: file.name, columns: result.columns, rows: result.rows, schema: result.schema });
       }
-      setLoading(false);
+      setPendingUnion({ parts });
     } catch (err) {
       setError(err.message);
+    } finally {
+      importJobRef.current = null;
+      setImportProgress(null);
       setLoading(false);
     }
   };
 
-  const parseParquet = async (file) => {
-    if (!hyparquetRef.current) {
-      setError("Parquet library not loaded. Please refresh.");
-      setLoading(false);
+  // Triggered from the Union Dialog
+  const combineFiles = ({ mapping, sourceColumn }) => {
+    const { parts } = pendingUnion;
+    setPendingUnion(null);
+    const result = unionRows(parts, mapping, { sourceColumn });
+    if (result.rows.length === 0) {
+      setError("None of the files has any rows.");
       return;
     }
+    loadDataset(result);
+    setFileName(`${parts[0].name.replace(/\.[^/.]+$/, "")} + ${parts.length - 1} more`);
+    setFileType('union');
+  };
+
+  const cancelImport = () => {
+    if (!importJobRef.current) return;
+    importJobRef.current.cancel();
+    setFileName("Untitled");
+    setFileType(null);
+    setCustomExtension(null);
+  };
+
+  // -- SESSIONS --
+
+  // Writes pending edits of the open session now instead of after the autosave delay
+  const flushSession = () => {
+    if (!sessionId || data.length === 0 || sameState(datasetState, savedStateRef.current)) return Promise.resolve();
+    const state = datasetState;
+    savedStateRef.current = state;
+    return saveSession(sessionMeta(sessionId, state), state)
+      .catch(err => console.error("Failed to save the session:", err))
+      .finally(() => setSessionsVersion(v => v + 1));
+  };
+
+  // Loads a dataset state (from a session or a parked tab) into the grid
+  const restoreDataset = (state) => {
+    const history = state.history || EMPTY_HISTORY;
+    setData(state.data);
+    setColumns(state.columns);
+    setComputedColumns(state.computedColumns || {});
+    setHistory(history);
+    setCleanEntry(state.cleanIndex >= 0 ? history.entries[state.cleanIndex] || null : null);
+    setFileName(state.fileName);
+    setFileType(state.fileType);
+    setCustomExtension(state.customExtension || null);
+    setImportDelimiter(state.importDelimiter || "");
+    setNestedMode(state.nestedMode || 'json');
+    setFileSchema(state.fileSchema || null);
+    setSchemaOverrides(state.schemaOverrides || {});
+    setNesting(state.nesting || null);
+    setImportWarnings(state.importWarnings || []);
+    setSearchTerm(state.searchTerm || "");
+    setFilters(state.filters || []);
+    setFilterMode(state.filterMode || 'and');
+    setSortKeys(state.sortKeys || []);
+    setNullsPosition(state.nullsPosition || 'last');
+    setShowEmptyStats(state.showEmptyStats !== false);
+    setValidationRules(state.validationRules || []);
+    setOnlyInvalidRows(Boolean(state.onlyInvalidRows));
+    savedStateRef.current = state;
+  };
+
+  // Reopens a stored session where it was left, in the current tab. A snapshot starts a new
+  // session, so it stays as saved. A session already open in a tab is switched to instead.
+  const openSavedSession = async (session) => {
+    setShowSessionMenu(false);
+    if (session.kind === 'session') {
+      if (session.id === sessionId) return;
+      const openTab = tabs.find(t => t.parked && t.parked.sessionId === session.id);
+      if (openTab) {
+        switchTab(openTab.id);
+        return;
+      }
+    }
 
+    setLoading(true);
+    setLoadingMsg(`Opening ${session.name}...`);
     try {
-      const arrayBuffer = await file.arrayBuffer();
-      
-      await hyparquetRef.current.parquetRead({
-        file: arrayBuffer,
-        rowFormat: 'object',
-        onComplete: (rows) => {
-          if (rows.length > 0) {
-            const firstRow = rows[0];
-            const cols = Object.keys(firstRow);
-            setColumns(cols);
-            
-            const sanitizedRows = rows.map(row => {
-               const newRow = {};
-               cols.forEach(col => {
-                 let val = row[col];
-                 if (typeof val === 'object' && val !== null) {
-                   val = JSON.stringify(val);
-                 }
-                 newRow[col] = val;
-               });
-               return newRow;
-            });
-
-            setData(sanitizedRows);
-          }
-          setLoading(false);
-        }
-      });
+      await flushSession();
+      const state = await loadSessionState(session.id);
+      resetApp();
+      restoreDataset(state);
+      ensureActiveTab();
+      setSessionId(session.kind === 'snapshot' ? createSessionId() : session.id);
+      setSessionStatus(session.kind === 'snapshot' ? null : { savedAt: session.updatedAt });
     } catch (err) {
       console.error(err);
-      setError("Failed to parse Parquet file. It might use an unsupported compression codec (e.g. LZO).");
+      setError("Failed to open the session: " + err.message);
+    } finally {
       setLoading(false);
     }
   };
 
+  const saveSnapshot = async (name) => {
+    setShowSessionMenu(false);
+    if (!sessionId || data.length === 0) return;
+    try {
+      await saveSession({ id: createSessionId(), kind: 'snapshot', name, fileName, fileType }, datasetState);
+      setSessionsVersion(v => v + 1);
+    } catch (err) {
+      console.error(err);
+      setSessionStatus({ error: "Snapshot not saved: " + err.message });
+    }
+  };
+
+  // Removes a stored session or snapshot; discarding the open session also clears its tab
+  const discardSession = async (session) => {
+    const what = session.kind === 'snapshot' ? `snapshot "${session.name}"` : `session "${session.name}" and its edits`;
+    if (!window.confirm(`Discard the ${what}? This cannot be undone.`)) return;
+    // Close it first so a pending autosave cannot write it back
+    if (session.id === sessionId) resetApp();
+    try {
+      await deleteSession(session.id);
+    } catch (err) {
+      setError("Failed to discard the session: " + err.message);
+    }
+    setSessionsVersion(v => v + 1);
+  };
+
+  // -- TABS --
+
+  // The active tab as a plain object, to be restored when the tab is shown again
+  const parkActiveTab = () => ({
+    ...datasetState,
+    sessionId,
+    sessionStatus,
+    queryTables,
+    queryResult,
+    showQueryResult,
+    showQueryPanel,
+    showPivotPanel,
+    showProfilePanel,
+    showValidationPanel,
+    pivotSpec,
+    showPivot,
+    pivotDrill,
+    showDedupePanel,
+    dedupeSpec,
+    showDuplicates,
+    showComparePanel,
+    compareWith,
+    compareSpec,
+    showCompare,
+    resultOverrides,
+    scrollRow: data.length > 0 ? grid.firstVisibleRow : 0
+  });
+
+  const restoreTab = (parked) => {
+    restoreDataset(parked);
+    setSessionId(parked.sessionId);
+    setSessionStatus(parked.sessionStatus);
+    setQueryTables(parked.queryTables);
+    setQueryResult(parked.queryResult);
+    setShowQueryResult(parked.showQueryResult);
+    setShowQueryPanel(parked.showQueryPanel);
+    setShowPivotPanel(parked.showPivotPanel);
+    setShowProfilePanel(parked.showProfilePanel);
+    setShowValidationPanel(parked.showValidationPanel);
+    setPivotSpec(parked.pivotSpec);
+    setShowPivot(parked.showPivot);
+    setPivotDrill(parked.pivotDrill);
+    setShowDedupePanel(parked.showDedupePanel);
+    setDedupeSpec(parked.dedupeSpec);
+    setShowDuplicates(parked.showDuplicates);
+    setShowComparePanel(parked.showComparePanel);
+    setCompareWith(parked.compareWith);
+    setCompareSpec(parked.compareSpec);
+    setShowCompare(parked.showCompare);
+    setResultOverrides(parked.resultOverrides);
+    restoreRowRef.current = parked.scrollRow;
+  };
+
+  // Data loaded on the home screen without any tab becomes the first tab
+  const ensureActiveTab = () => {
+    if (activeTabId !== null) return;
+    const id = nextTabId++;
+    setTabs([{ id, parked: null }]);
+    setActiveTabId(id);
+  };
+
+  // Opens an empty tab (the home screen) after the current one
+  const openNewTab = () => {
+    flushSession();
+    const id = nextTabId++;
+    const parked = parkActiveTab();
+    setTabs(prev => [...prev.map(t => (t.id === activeTabId ? { ...t, parked } : t)), { id, parked: null }]);
+    setActiveTabId(id);
+    resetApp();
+  };
+
+  const switchTab = (id) => {
+    if (id === activeTabId || loading) return;
+    const target = tabs.find(t => t.id === id);
+    if (!target) return;
+    flushSession();
+    const parked = parkActiveTab();
+    setTabs(tabs.map(t => (t.id === activeTabId ? { ...t, parked } : t.id === id ? { ...t, parked: null } : t)));
+    resetApp();
+    restoreTab(target.parked);
+    setActiveTabId(id);
+  };
+
+  const tabState = (tab) => (tab.parked || datasetState);
+
+  const closeTab = (id) => {
+    const index = tabs.findIndex(t => t.id === id);
+    if (index === -1) return;
+    const state = tabState(tabs[index]);
+    if (hasUnexportedEdits(state) && !window.confirm(`"${state.fileName}" has edits that have not been exported. Close the tab anyway?\n\nThe session stays available under Recent sessions.`)) return;
+
+    const rest = tabs.filter(t => t.id !== id);
+    if (id !== activeTabId) {
+      setTabs(rest);
+      return;
+    }
+    flushSession();
+    resetApp();
+    if (rest.length === 0) {
+      setTabs([]);
+      setActiveTabId(null);
+      return;
+    }
+    const next = rest[Math.min(index, rest.length - 1)];
+    setTabs(rest.map(t => (t.id === next.id ? { ...t, parked: null } : t)));
+    restoreTab(next.parked);
+    setActiveTabId(next.id);
+  };
+
+  // The logo returns to the home screen, closing every tab (their sessions are kept)
+  const closeAllTabs = () => {
+    const states = tabs.length > 0 ? tabs.map(tabState) : [datasetState];
+    const unexported = states.filter(hasUnexportedEdits).length;
+    if (unexported > 0 && !window.confirm(`${unexported === 1 ? 'A tab has' : `${unexported} tabs have`} edits that have not been exported. Close all tabs anyway?\n\nSessions stay available under Recent sessions.`)) return;
+    flushSession();
+    setTabs([]);
+    setActiveTabId(null);
+    resetApp();
+  };
+
+  // Files dropped onto the grid open next to the current dataset
+  const openFilesInNewTab = (files) => {
+    openNewTab();
+    handleFilesUpload(files);
+  };
+
   // -- EXPORTING --
 
   const downloadFile = (content, filename, type) => {
-    const blob = new Blob([content], { type });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadBlob(new Blob([content], { type }), filename);
+    // Closing the tab no longer warns about the edits made so far
+    if (!viewingResult) setCleanEntry(currentEntry(history));
   };
 
+  // Records for JSON exports: flattened imports get their original nesting back
+  const exportRecords = () => (nesting && !viewingResult
+    ? renestRows(viewData, viewColumns, columnSchema, nesting)
+    : projectRows(viewData, viewColumns));
+
   const exportJSON = () => {
-    const jsonStr = JSON.stringify(data, null, 2);
+    const jsonStr = JSON.stringify(exportRecords(), null, 2);
     downloadFile(jsonStr, fileName.replace(/\.[^/.]+$/, "") + "_exported.json", 'application/json');
     setShowExportMenu(false);
   };
 
+  // One object per line, the format log tools and streaming loaders expect
+  const exportJSONLines = () => {
+    const lines = exportRecords().map(row => JSON.stringify(row));
+    downloadFile(lines.join('\n') + '\n', fileName.replace(/\.[^/.]+$/, "") + "_exported.jsonl", 'application/x-ndjson');
+    setShowExportMenu(false);
+  };
+
   const exportCSV = () => {
     if (!papaRef.current) return;
-    const csv = papaRef.current.unparse(data);
+    const csv = papaRef.current.unparse(viewData, { columns: viewColumns });
     downloadFile(csv, fileName.replace(/\.[^/.]+$/, "") + "_exported.csv", 'text/csv');
     setShowExportMenu(false);
   };
@@ -525,7 +1320,7 @@ export default function DataFloor() {
     // Use the imported delimiter, fallback to comma if auto/empty
     const finalDelimiter = actualDelimiter || ",";
     
-    const csv = papaRef.current.unparse(data, { delimiter: finalDelimiter });
+    const csv = papaRef.current.unparse(viewData, { columns: viewColumns, delimiter: finalDelimiter });
     const exportName = fileName.replace(/\.[^/.]+$/, "") + "_exported" + (customExtension || ".txt");
     downloadFile(csv, exportName, 'text/plain');
     setShowExportMenu(false);
@@ -537,30 +1332,14 @@ export default function DataFloor() {
     setLoadingMsg("Loading Parquet Writer (WASM)...");
 
     try {
-      if (!arrowRef.current) {
-         arrowRef.current = await loadModule('https://cdn.jsdelivr.net/npm/apache-arrow@13.0.0/+esm');
-      }
-      
-      if (!parquetWasmRef.current) {
-        const wasmModule = await loadModule('https://cdn.jsdelivr.net/npm/parquet-wasm@0.6.1/esm/parquet_wasm.js');
-        await wasmModule.default('https://cdn.jsdelivr.net/npm/parquet-wasm@0.6.1/esm/parquet_wasm_bg.wasm');
-        parquetWasmRef.current = wasmModule;
-      }
+      const [Arrow, Parquet] = await Promise.all([loadArrow(), loadParquetWasm()]);
 
       setLoadingMsg("Converting Data...");
-      const Arrow = arrowRef.current;
-      const Parquet = parquetWasmRef.current;
       
-      const arrowColumns = {};
-      columns.forEach(colName => {
-        const colValues = data.map(row => {
-          const val = row[colName];
-          return val === undefined || val === null ? null : String(val);
-        });
-        arrowColumns[colName] = Arrow.vectorFromArray(colValues, new Arrow.Utf8);
-      });
-
-      const jsTable = new Arrow.Table(arrowColumns);
+      // Flattened imports are written back as struct and list columns
+      const jsTable = nesting && !viewingResult
+        ? buildNestedArrowTable(Arrow, viewData, viewColumns, columnSchema, nesting)
+        : buildArrowTable(Arrow, viewData, viewColumns, columnSchema);
       const ipcStream = Arrow.tableToIPC(jsTable, 'stream');
 
       setLoadingMsg("Compressing...");
@@ -584,138 +1363,584 @@ export default function DataFloor() {
         "Download as JSON instead?"
       );
       if (useJson) {
-        const jsonStr = JSON.stringify(data, null, 2);
+        const jsonStr = JSON.stringify(exportRecords(), null, 2);
         downloadFile(jsonStr, fileName.replace(/\.[^/.]+$/, "") + "_exported.json", 'application/json');
       }
       setLoading(false);
     }
   };
 
+  const exportExcel = async () => {
+    setShowExportMenu(false);
+    setLoading(true);
+    setLoadingMsg("Building Excel Workbook...");
+
+    try {
+      const baseName = fileName.replace(/\.[^/.]+$/, "");
+      const buffer = await buildWorkbook(viewData, viewColumns, columnSchema, viewingPivot ? 'Pivot' : viewingCompare ? 'Changes' : viewingResult ? 'Query Result' : baseName);
+      downloadFile(buffer, baseName + "_exported.xlsx", 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    } catch (err) {
+      console.error("Excel Export Failed:", err);
+      setError("Excel export failed: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // -- EDITING --
-  // eslint-disable-next-line @typescript-eslint/no-unused-vars
-  const updateCell = (rowIndex, col, value) => {
-    const realIndex = (currentPage - 1) * rowsPerPage + rowIndex;
-    const newData = [...data];
-    newData[realIndex] = { ...newData[realIndex], [col]: value };
-    setData(newData);
+  // Swaps in a new { data, columns, computed } state produced by a history patch
+  const applyState = (next) => {
+    if (next.data !== data) setData(next.data);
+    if (next.columns !== columns) setColumns(next.columns);
+    if (next.computed !== computedColumns) setComputedColumns(next.computed);
   };
 
-  // -- UI HELPERS --
+  const editState = { data, columns, computed: computedColumns };
 
-  const handleDrag = (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    if (e.type === "dragenter" || e.type === "dragover") {
-      setDragActive(true);
-    } else if (e.type === "dragleave") {
-      setDragActive(false);
-    }
+  // Sort keys, filters, pivot fields, dedupe keys, validation rules and types name columns. A
+  // rename or delete rewrites them in its history entry, so undo and redo bring them back too.
+  const columnView = { sortKeys, filters, pivotSpec, dedupeSpec, validationRules, schemaOverrides, fileSchema };
+
+  const applyColumnView = (view) => {
+    if ('sortKeys' in view) setSortKeys(view.sortKeys);
+    if ('filters' in view) setFilters(view.filters);
+    if ('pivotSpec' in view) setPivotSpec(view.pivotSpec);
+    if ('dedupeSpec' in view) setDedupeSpec(view.dedupeSpec);
+    if ('validationRules' in view) setValidationRules(view.validationRules);
+    if ('schemaOverrides' in view) setSchemaOverrides(view.schemaOverrides);
+    if ('fileSchema' in view) setFileSchema(view.fileSchema);
   };
 
-  const handleDrop = (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    setDragActive(false);
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFileUpload(e.dataTransfer.files[0]);
-    }
+  const withViewChange = (entry, nextView) => {
+    const view = viewChange(columnView, nextView);
+    return view ? { ...entry, view } : entry;
   };
 
-  // -- RENDER LOGIC --
+  // Applies a history entry's change and records it so it can be undone
+  const recordChange = (entry) => {
+    applyState(applyPatch(editState, entry.redo));
+    if (entry.view) applyColumnView(entry.view.redo);
+    setHistory(prev => pushEntry(prev, entry));
+  };
 
-  const filteredData = useMemo(() => {
-    return data.filter(row => 
-      Object.values(row).some(val => 
-        String(val).toLowerCase().includes(searchTerm.toLowerCase())
-      )
-    );
-  }, [data, searchTerm]);
+  // The grid shows filtered/sorted (and derived) rows, so map a row object back to its index in 'data'.
+  // Row objects are replaced on edit, which keeps the reference lookup unambiguous.
+  const dataIndexes = useMemo(() => new Map(data.map((row, i) => [row, i])), [data]);
+  const indexOfRow = (row) => {
+    const index = dataIndexes.get(computedCache.sourceRows.get(row) || row);
+    return index === undefined ? -1 : index;
+  };
 
-  const sortedData = useMemo(() => {
-    let sortableItems = [...filteredData];
-    if (sortConfig.key !== null) {
-      sortableItems.sort((a, b) => {
-        let aValue = a[sortConfig.key];
-        let bValue = b[sortConfig.key];
-
-        const aNum = Number(aValue);
-        const bNum = Number(bValue);
-
-        if (!isNaN(aNum) && !isNaN(bNum) && aValue !== '' && bValue !== '') {
-            aValue = aNum;
-            bValue = bNum;
-        } else {
-            aValue = String(aValue).toLowerCase();
-            bValue = String(bValue).toLowerCase();
-        }
+  const updateCell = (index, col, value) => {
+    if (index < 0 || computedColumns[col] !== undefined) return;
+    recordChange(cellEdit(index, col, data[index][col], value));
+  };
 
-        if (aValue < bValue) {
-          return sortConfig.direction === 'asc' ? -1 : 1;
-        }
-        if (aValue > bValue) {
-          return sortConfig.direction === 'asc' ? 1 : -1;
-        }
-        return 0;
-      });
-    }
-    return sortableItems;
-  }, [filteredData, sortConfig]);
+  // A find & replace is recorded as one history entry, however many cells it changed
+  const applyReplace = (changes, label) => {
+    setReplaceDialog(null);
+    recordChange(editCells(changes, label));
+  };
 
-  const totalPages = Math.ceil(sortedData.length / rowsPerPage);
-  const currentRows = sortedData.slice(
-    (currentPage - 1) * rowsPerPage,
-    currentPage * rowsPerPage
-  );
+  const jumpToHistory = (target) => {
+    if (target < 0 || target > history.entries.length || target === history.position) return;
+    applyState(travel(editState, history, target));
+    // The nearest entry to the target that changed a setting decides its value
+    const views = target < history.position
+      ? history.entries.slice(target, history.position).reverse().map(entry => entry.view && entry.view.undo)
+      : history.entries.slice(history.position, target).map(entry => entry.view && entry.view.redo);
+    applyColumnView(Object.assign({}, ...views.filter(Boolean)));
+    setHistory({ ...history, position: target });
+    // Row indexes may have shifted
+    setSelectedRows(new Set());
+  };
 
-  const isHome = data.length === 0;
+  const saveFilter = (filter) => {
+    setFilters(prev => prev.some(f => f.id === filter.id)
+      ? prev.map(f => f.id === filter.id ? filter : f)
+      : [...prev, filter]);
+    setFilterBuilder(null);
+    grid.scrollToRow(0);
+  };
 
-  return (
-    <div className="flex flex-col h-screen bg-slate-50 text-slate-800 font-sans">
-      
-      {/* HEADER */}
-      <header className="bg-white border-b border-slate-200 px-6 py-4 flex items-center justify-between shadow-sm z-20 relative">
-        <div 
-          className={`flex items-center gap-3 ${!isHome ? "cursor-pointer group transition-transform active:scale-95" : ""}`}
-          onClick={!isHome ? resetApp : undefined}
-          title={!isHome ? "Return to Home" : ""}
-        >
-          <div className={`bg-indigo-600 p-2 rounded-lg text-white ${!isHome ? "group-hover:bg-indigo-700" : ""} transition-colors`}>
-            <Database size={24} />
-          </div>
-          <div>
-            <h1 className={`text-xl font-bold text-slate-900 tracking-tight ${!isHome ? "group-hover:text-indigo-600" : ""} transition-colors`}>DataFloor</h1>
-            <p className="text-xs text-slate-500 font-medium">Parquet, JSON and CSV Converter & Editor</p>
-          </div>
-        </div>
+  const removeFilter = (id) => {
+    setFilters(prev => prev.filter(f => f.id !== id));
+  };
 
-        {data.length > 0 && (
-          <div className="flex items-center gap-4">
-             <div className="hidden md:flex items-center gap-2 bg-slate-100 px-3 py-1.5 rounded-full border border-slate-200">
-                <FileText size={14} className="text-slate-500"/>
-                <span className="text-sm font-semibold text-slate-900 max-w-[200px] truncate" title={fileName}>{fileName}</span>
-                <span className="text-slate-300">|</span>
-                <span className="text-sm font-semibold text-slate-700">{fileType ? fileType.toUpperCase() : 'UNKNOWN'}</span>
-                <span className="text-slate-300">|</span>
-                <span className="text-sm text-slate-500">{data.length.toLocaleString()} rows</span>
-             </div>
-             
-             <div className="h-6 w-px bg-slate-200 mx-2"></div>
+  // -- SQL QUERIES --
 
-             {/* Export Dropdown */}
-             <div className="relative">
-               <button 
-                 type="button"
-                 onClick={() => setShowExportMenu(!showExportMenu)}
-                 disabled={loading}
-                 className="flex items-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-md text-sm font-medium transition-colors shadow-sm disabled:opacity-50"
-               >
-                 <Download size={16} />
-                 Export
-                 <ChevronDown size={16} />
-               </button>
+  const executeQuery = async (sql) => {
+    setQueryRunning(true);
+    setQueryError(null);
+    try {
+      const tables = [
+        { name: 'data', rows: derivedData, columns, schema: columnSchema },
+        ...queryTables
+      ];
+      const result = await runQuery(sql, tables);
+      setQueryResult({ sql, ...result });
+      setResultOverrides(prev => ({ ...prev, query: {} }));
+      setShowQueryResult(true);
+      setShowPivot(false);
+      grid.scrollToRow(0);
+    } catch (err) {
+      setQueryError(err.message);
+    } finally {
+      setQueryRunning(false);
+    }
+  };
 
-               {showExportMenu && (
-                 <>
+  // Loads another file with the regular parsers and registers it as a query table
+  const addQueryTable = async (file) => {
+    setLoading(true);
+    setLoadingMsg(`Loading ${file.name}...`);
+    setQueryError(null);
+    const job = startImport(file, formatForFile(file.name) || 'csv');
+    importJobRef.current = job;
+    try {
+      const result = await job.promise;
+      if (!result) return;
+      setQueryTables(prev => [...prev, {
+        name: tableNameFor(file.name, ['data', ...prev.map(t => t.name)]),
+        fileName: file.name,
+        rows: result.rows,
+        columns: result.columns,
+        schema: result.schema || inferSchema(result.rows, result.columns)
+      }]);
+    } catch (err) {
+      setQueryError(err.message);
+    } finally {
+      importJobRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  // -- PIVOT --
+
+  const togglePivot = () => {
+    if (viewingPivot) {
+      setShowPivot(false);
+      return;
+    }
+    backToPivot();
+  };
+
+  // Shows the pivot again, dropping the filters a drill-down added
+  const backToPivot = () => {
+    if (pivotDrill) {
+      setFilters(pivotDrill.previous || filters.filter(f => !pivotDrill.ids.includes(f.id)));
+      setFilterMode(pivotDrill.previousMode);
+      setPivotDrill(null);
+    }
+    setShowPivot(true);
+    setShowQueryResult(false);
+    grid.scrollToRow(0);
+  };
+
+  // Shows the data rows behind a pivot cell by filtering on the cell's dimension values
+  const drillIntoPivot = (row, col) => {
+    const cells = pivotResult.cells(row, col);
+    if (!cells) return;
+    // "Or" filters cannot be narrowed down, so the drill-down replaces them
+    const replace = filterMode === 'or' && filters.length > 1;
+    if (replace && !window.confirm("The pivot cell's rows are shown by replacing the current \"or\" filters. Continue?")) return;
+
+    const added = cells.map(({ column, value }) => ({ id: Date.now() + Math.random(), column, op: 'in', values: [value] }));
+    setPivotDrill({
+      label: cells.length > 0 ? cells.map(({ value }) => (value === '' ? '(empty)' : value)).join(' · ') : 'All rows',
+      ids: added.map(f => f.id),
+      previous: replace ? filters : null,
+      previousMode: filterMode
+    });
+    setFilters(replace ? added : [...filters, ...added]);
+    setFilterMode('and');
+    setShowPivot(false);
+    grid.scrollToRow(0);
+  };
+
+  // -- JOINS --
+
+  // Datasets open in the other tabs, to join with or compare against. Their rows are only
+  // built (with computed columns) for the one picked, in loadTabDataset.
+  const otherTabDatasets = useMemo(() => tabs
+    .filter(t => t.id !== activeTabId && t.parked && t.parked.data.length > 0)
+    .map(t => ({ id: t.id, name: t.parked.fileName, columns: t.parked.columns, rowCount: t.parked.data.length })), [tabs, activeTabId]);
+
+  const loadTabDataset = (id) => {
+    const { parked } = tabs.find(t => t.id === id);
+    return {
+      id,
+      name: parked.fileName,
+      columns: parked.columns,
+      rows: rowsWithComputed(parked),
+      schema: { ...parked.fileSchema, ...parked.schemaOverrides }
+    };
+  };
+
+  // Loads the other side of a join or comparison from a file with the regular parsers
+  const loadDatasetFile = async (file) => {
+    const job = startImport(file, formatForFile(file.name) || 'csv');
+    const result = await job.promise;
+    if (!result || result.rows.length === 0) throw new Error(`${file.name} has no rows.`);
+    return {
+      name: file.name,
+      columns: result.columns,
+      rows: result.rows,
+      schema: result.schema || inferSchema(result.rows, result.columns)
+    };
+  };
+
+  // Replaces the data as one undoable step, or opens the result as a new dataset next to it
+  const applyJoin = ({ result, rightName, rightSchema, mode, label }) => {
+    setShowJoinDialog(false);
+    if (mode === 'replace') {
+      recordChange(replaceData(editState, result.rows, result.columns, label));
+      setSelectedRows(new Set());
+      return;
+    }
+
+    // Column types carry over from the side each column came from
+    const schema = {};
+    result.columns.forEach(col => {
+      const { side, column } = result.sources[col];
+      const type = side === 'left' ? columnSchema[column] : rightSchema && rightSchema[column];
+      if (type) schema[col] = type;
+    });
+    const baseName = (name) => name.replace(/\.[^/.]+$/, "");
+
+    openNewTab();
+    loadDataset({ columns: result.columns, rows: result.rows, schema });
+    setFileName(`${baseName(fileName)} + ${baseName(rightName)}`);
+    setFileType('join');
+  };
+
+  // -- ROW OPERATIONS --
+
+  const selectRow = (displayIndex, e) => {
+    const index = indexOfRow(sortedData[displayIndex]);
+    if (index < 0) return;
+    const additive = e.ctrlKey || e.metaKey;
+
+    if (e.shiftKey && selectionAnchor !== null && selectionAnchor < sortedData.length) {
+      const next = new Set(additive ? selectedRows : []);
+      const [from, to] = selectionAnchor < displayIndex ? [selectionAnchor, displayIndex] : [displayIndex, selectionAnchor];
+      for (let i = from; i <= to; i++) next.add(indexOfRow(sortedData[i]));
+      setSelectedRows(next);
+      return;
+    }
+
+    if (additive) {
+      const next = new Set(selectedRows);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      setSelectedRows(next);
+    } else {
+      setSelectedRows(selectedRows.size === 1 && selectedRows.has(index) ? new Set() : new Set([index]));
+    }
+    setSelectionAnchor(displayIndex);
+  };
+
+  // New rows get an empty value for every stored column; computed columns fill themselves in
+  const blankRow = () => {
+    const row = {};
+    columns.forEach(col => {
+      if (computedColumns[col] === undefined) row[col] = '';
+    });
+    return row;
+  };
+
+  const insertRowAt = (index) => {
+    recordChange(insertRows([{ index, row: blankRow() }]));
+    setSelectedRows(new Set([index]));
+    setSelectionAnchor(null);
+  };
+
+  const addRow = () => {
+    insertRowAt(data.length);
+    grid.scrollToRow(sortedData.length);
+  };
+
+  const duplicateSelectedRows = () => {
+    const entry = duplicateRows(data, [...selectedRows]);
+    recordChange(entry);
+    setSelectedRows(new Set(entry.redo.rows.map(r => r.index)));
+    setSelectionAnchor(null);
+  };
+
+  const deleteSelectedRows = () => {
+    recordChange(deleteRows(data, [...selectedRows]));
+    setSelectedRows(new Set());
+    setSelectionAnchor(null);
+  };
+
+  // Bulk cleanup: removes every row the current search and filters let through
+  // Not offered while duplicate groups are shown: those rows go through removeDuplicates only
+  const deleteMatchingRows = () => {
+    if (viewingDuplicates) return;
+    const count = filteredData.length;
+    if (count === 0) return;
+    if (!window.confirm(`Delete ${count.toLocaleString()} matching row${count === 1 ? '' : 's'}? You can undo this.`)) return;
+    recordChange(deleteRows(data, filteredData.map(indexOfRow).filter(i => i > -1)));
+    setSelectedRows(new Set());
+    setSelectionAnchor(null);
+  };
+
+  // Deletes all but one row of each duplicate group, as one undoable step
+  const removeDuplicates = () => {
+    const drop = duplicatesToRemove(derivedData, duplicateResult.groups, dedupeSpec.keep, columns);
+    if (drop.length === 0) return;
+    if (!window.confirm(`Remove ${drop.length.toLocaleString()} duplicate row${drop.length === 1 ? '' : 's'}? You can undo this.`)) return;
+    recordChange({ ...deleteRows(data, drop), label: `Remove ${drop.length.toLocaleString()} duplicate row${drop.length === 1 ? '' : 's'}` });
+    setShowDuplicates(false);
+    setSelectedRows(new Set());
+    setSelectionAnchor(null);
+  };
+
+  // -- COLUMN MANAGEMENT --
+
+  const uniqueColumnName = (base) => {
+    let name = base;
+    let n = 2;
+    while (columns.includes(name)) name = `${base}_${n++}`;
+    return name;
+  };
+
+  // Computed columns that would break if `col` went away
+  const dependentsOf = (col) => Object.keys(compiledComputed).filter(name => {
+    const expr = compiledComputed[name];
+    return name !== col && expr.references && expr.references.has(col);
+  });
+
+  const submitColumnDialog = ({ name, expression }) => {
+    const { mode, col, index } = columnDialog;
+    if (mode === 'rename') {
+      if (name !== col) recordChange(withViewChange(renameColumn(col, name), renameInView(columnView, col, name)));
+    } else if (mode === 'computed' && col) {
+      const rename = name !== col ? renameColumn(col, name) : null;
+      const edit = expression !== computedColumns[col] ? editExpression(name, computedColumns[col], expression) : null;
+      const view = rename ? renameInView(columnView, col, name) : columnView;
+      if (rename && edit) {
+        recordChange(withViewChange({
+          label: `Edit computed column ${name}`,
+          redo: { type: 'batch', patches: [rename.redo, edit.redo] },
+          undo: { type: 'batch', patches: [edit.undo, rename.undo] }
+        }, view));
+      } else if (rename || edit) {
+        recordChange(withViewChange(rename || edit, view));
+      }
+    } else {
+      recordChange(insertColumn(columns, name, index, expression));
+    }
+    setColumnDialog(null);
+  };
+
+  const removeColumn = (col) => {
+    const dependents = dependentsOf(col);
+    if (dependents.length > 0) {
+      window.alert(`Column "${col}" is used by computed column${dependents.length > 1 ? 's' : ''} ${dependents.join(', ')}. Change or delete ${dependents.length > 1 ? 'those' : 'that'} first.`);
+      return;
+    }
+    recordChange(withViewChange(deleteColumn(editState, col), removeFromView(columnView, col)));
+  };
+
+  const handleColumnMenuAction = (action) => {
+    const { col } = columnMenu;
+    const index = columns.indexOf(col);
+    setColumnMenu(null);
+    switch (action) {
+      case 'rename':
+        setColumnDialog({ mode: computedColumns[col] !== undefined ? 'computed' : 'rename', col });
+        break;
+      case 'insertLeft':
+        setColumnDialog({ mode: 'insert', index, defaultName: uniqueColumnName('new_column') });
+        break;
+      case 'insertRight':
+        setColumnDialog({ mode: 'insert', index: index + 1, defaultName: uniqueColumnName('new_column') });
+        break;
+      case 'computed':
+        setColumnDialog({ mode: 'computed', index: index + 1, defaultName: uniqueColumnName('computed') });
+        break;
+      case 'duplicate':
+        recordChange(duplicateColumn(editState, col, uniqueColumnName(`${col}_copy`)));
+        break;
+      case 'delete':
+        removeColumn(col);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const dropColumn = (targetCol) => {
+    if (dragColumn && dragColumn !== targetCol) {
+      recordChange(moveColumn(columns, dragColumn, columns.indexOf(targetCol)));
+    }
+    setDragColumn(null);
+  };
+
+  const undo = () => jumpToHistory(history.position - 1);
+  const redo = () => jumpToHistory(history.position + 1);
+
+  // -- UI HELPERS --
+
+  const handleDrag = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.type === "dragenter" || e.type === "dragover") {
+      setDragActive(true);
+    } else if (e.type === "dragleave") {
+      setDragActive(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
+      handleFilesUpload(e.dataTransfer.files);
+    }
+  };
+
+  // Column headers are dragged too; only files are picked up by the grid itself
+  const isFileDrag = (e) => Array.from(e.dataTransfer.types).includes('Files');
+
+  const handleGridDrag = (e) => {
+    if (isFileDrag(e)) handleDrag(e);
+  };
+
+  const handleGridDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+    if (loading || !e.dataTransfer.files || !e.dataTransfer.files[0]) return;
+    openFilesInNewTab(e.dataTransfer.files);
+  };
+
+  // -- RENDER LOGIC --
+
+  // The pivot was built from the filtered rows already. "Only invalid rows" and the duplicate groups
+  // apply to the data, not to a query result.
+  const filteredData = useMemo(() => {
+    if (viewingPivot) return viewData;
+    const source = viewingDuplicates ? duplicateResult.rows : viewData;
+    if (!onlyInvalidRows || viewingQuery) return source.filter(rowMatcher);
+    return source.filter(row => validation.cells.has(row) && rowMatcher(row));
+  }, [viewData, viewingPivot, viewingQuery, viewingDuplicates, duplicateResult, onlyInvalidRows, validation, rowMatcher]);
+
+  // Duplicate groups are sorted as units, by their first row, so their rows stay together
+  const sortedData = useMemo(() => {
+    if (!viewingDuplicates) return sortRows(filteredData, sortKeys, columnSchema, nullsPosition);
+    const members = new Map();
+    filteredData.forEach(row => {
+      const group = duplicateResult.groupOf.get(row);
+      if (members.has(group)) members.get(group).push(row);
+      else members.set(group, [row]);
+    });
+    const firstRows = [...members.values()].map(rows => rows[0]);
+    return sortRows(firstRows, sortKeys, columnSchema, nullsPosition).flatMap(row => members.get(duplicateResult.groupOf.get(row)));
+  }, [filteredData, viewingDuplicates, duplicateResult, sortKeys, columnSchema, nullsPosition]);
+
+  const columnWidths = useMemo(() => viewColumns.map(() => COLUMN_WIDTH), [viewColumns]);
+
+  const grid = useVirtualGrid({
+    rowCount: sortedData.length,
+    columnWidths,
+    rowHeight: ROW_HEIGHT,
+    headerHeight: HEADER_HEIGHT,
+    gutterWidth: GUTTER_WIDTH
+  });
+
+  const visibleColumns = viewColumns.slice(grid.startCol, grid.endCol);
+
+  // A restored tab scrolls back to the row it was showing, once its grid is mounted
+  const { scrollToRow } = grid;
+  useEffect(() => {
+    if (restoreRowRef.current !== null && scrollToRow(restoreRowRef.current)) restoreRowRef.current = null;
+  }, [activeTabId, scrollToRow]);
+
+  // The logo leads home from any dataset or tab
+  const isHome = data.length === 0 && tabs.length === 0;
+
+  return (
+    <div className="flex flex-col h-screen bg-slate-50 text-slate-800 font-sans">
+      
+      {/* HEADER */}
+      <header className="bg-white border-b border-slate-200 px-6 py-4 flex items-center justify-between shadow-sm z-20 relative">
+        <div 
+          className={`flex items-center gap-3 ${!isHome ? "cursor-pointer group transition-transform active:scale-95" : ""}`}
+          onClick={!isHome ? closeAllTabs : undefined}
+          title={!isHome ? "Return to Home" : ""}
+        >
+          <div className={`bg-indigo-600 p-2 rounded-lg text-white ${!isHome ? "group-hover:bg-indigo-700" : ""} transition-colors`}>
+            <Database size={24} />
+          </div>
+          <div>
+            <h1 className={`text-xl font-bold text-slate-900 tracking-tight ${!isHome ? "group-hover:text-indigo-600" : ""} transition-colors`}>DataFloor</h1>
+            <p className="text-xs text-slate-500 font-medium">Parquet, JSON and CSV Converter & Editor</p>
+          </div>
+        </div>
+
+        {data.length > 0 && (
+          <div className="flex items-center gap-4">
+             <div className="hidden md:flex items-center gap-2 bg-slate-100 px-3 py-1.5 rounded-full border border-slate-200">
+                <FileText size={14} className="text-slate-500"/>
+                <span className="text-sm font-semibold text-slate-900 max-w-[200px] truncate" title={fileName}>{fileName}</span>
+                <span className="text-slate-300">|</span>
+                <span className="text-sm font-semibold text-slate-700">{fileType ? fileType.toUpperCase() : 'UNKNOWN'}</span>
+                <span className="text-slate-300">|</span>
+                <span className="text-sm text-slate-500">{data.length.toLocaleString()} rows</span>
+             </div>
+             
+             <div className="h-6 w-px bg-slate-200 mx-2"></div>
+
+             {/* Session Menu: autosave status, snapshots, discard */}
+             <div className="relative">
+               <button
+                 type="button"
+                 onClick={() => setShowSessionMenu(!showSessionMenu)}
+                 disabled={loading}
+                 className={`flex items-center gap-2 px-3 py-2 rounded-md border text-sm font-medium transition-colors disabled:opacity-50
+                   ${sessionStatus && sessionStatus.error
+                     ? 'bg-red-50 border-red-200 text-red-700 hover:bg-red-100'
+                     : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-50 hover:text-indigo-600'}`}
+                 title="Saved session and snapshots"
+               >
+                 <Save size={16} />
+                 Session
+                 <ChevronDown size={16} />
+               </button>
+
+               {showSessionMenu && sessionId && (
+                 <SessionMenu
+                   status={sessionStatus}
+                   snapshots={savedSessions.filter(s => s.kind === 'snapshot')}
+                   storage={storageInfo}
+                   defaultName={`${fileName} ${new Date().toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' })}`}
+                   onSaveSnapshot={saveSnapshot}
+                   onOpenSnapshot={openSavedSession}
+                   onDiscard={() => discardSession(sessionMeta(sessionId, datasetState))}
+                   onClose={() => setShowSessionMenu(false)}
+                 />
+               )}
+             </div>
+
+             {/* Export Dropdown */}
+             <div className="relative">
+               <button 
+                 type="button"
+                 onClick={() => setShowExportMenu(!showExportMenu)}
+                 disabled={loading}
+                 className="flex items-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-md text-sm font-medium transition-colors shadow-sm disabled:opacity-50"
+               >
+                 <Download size={16} />
+                 Export
+                 <ChevronDown size={16} />
+               </button>
+
+               {showExportMenu && (
+                 <>
                    <div className="fixed inset-0 z-40" onClick={() => setShowExportMenu(false)}></div>
                    <div className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg py-1 border border-slate-200 z-50 animate-in fade-in zoom-in-95 duration-100">
                      <button
@@ -734,6 +1959,14 @@ export default function DataFloor() {
                        <ArrowRightLeft size={16} />
                        Parquet (.parquet)
                      </button>
+                     <button
+                       type="button"
+                       onClick={exportExcel}
+                       className="w-full text-left px-4 py-2.5 text-sm text-slate-700 hover:bg-slate-50 hover:text-indigo-600 flex items-center gap-2"
+                     >
+                       <Sheet size={16} />
+                       Excel (.xlsx)
+                     </button>
                      <button
                        type="button"
                        onClick={exportJSON}
@@ -742,6 +1975,14 @@ export default function DataFloor() {
                        <div className="w-4 h-4 flex items-center justify-center font-mono text-[10px] border border-current rounded">{'{'}{'}'}</div>
                        JSON (.json)
                      </button>
+                     <button
+                       type="button"
+                       onClick={exportJSONLines}
+                       className="w-full text-left px-4 py-2.5 text-sm text-slate-700 hover:bg-slate-50 hover:text-indigo-600 flex items-center gap-2"
+                     >
+                       <FileText size={16} />
+                       JSON Lines (.jsonl)
+                     </button>
                      {/* CUSTOM EXPORT OPTION */}
                      {fileType === 'custom' && (
                        <button
@@ -761,6 +2002,26 @@ export default function DataFloor() {
         )}
       </header>
 
+      {/* TABS: one per open dataset */}
+      {tabs.length > 0 && (
+        <TabBar
+          tabs={tabs.map(tab => {
+            const state = tabState(tab);
+            return {
+              id: tab.id,
+              name: state.data.length > 0 ? state.fileName : 'New tab',
+              fileType: state.data.length > 0 ? state.fileType : null,
+              unexported: hasUnexportedEdits(state)
+            };
+          })}
+          activeId={activeTabId}
+          disabled={loading}
+          onSelect={switchTab}
+          onClose={closeTab}
+          onNew={openNewTab}
+        />
+      )}
+
       {/* MAIN CONTENT */}
       <main className="flex-1 overflow-hidden relative">
         
@@ -830,88 +2091,374 @@ export default function DataFloor() {
           </div>
         )}
 
+        {/* MODAL: Excel Workbook Import */}
+        {pendingWorkbook && (
+          <WorkbookDialog
+            fileName={pendingWorkbook.file.name}
+            sheets={pendingWorkbook.sheets}
+            onImport={importWorkbook}
+            onClose={() => setPendingWorkbook(null)}
+          />
+        )}
+
+        {/* MODAL: Union of several files */}
+        {pendingUnion && (
+          <UnionDialog
+            parts={pendingUnion.parts}
+            onApply={combineFiles}
+            onClose={() => setPendingUnion(null)}
+          />
+        )}
+
+        {/* MODAL: Parquet Inspector */}
+        {pendingParquet && (
+          <ParquetInspector
+            fileName={pendingParquet.file.name}
+            fileSize={pendingParquet.file.size}
+            info={pendingParquet.info}
+            onLoad={importParquet}
+            onClose={() => setPendingParquet(null)}
+          />
+        )}
+
+        {/* PANEL: Column Schema */}
+        {showSchemaPanel && data.length > 0 && (
+          <div className="absolute inset-0 z-50 bg-white/80 backdrop-blur-sm flex items-center justify-center p-4">
+            <div className="bg-white rounded-xl shadow-2xl border border-slate-200 max-w-2xl w-full max-h-full flex flex-col animate-in fade-in zoom-in-95 duration-200">
+              <div className="flex items-center justify-between p-6 pb-4">
+                <div className="flex items-center gap-3 text-indigo-600">
+                  <TableProperties size={28} />
+                  <div>
+                    <h3 className="text-xl font-bold text-slate-900">Column Schema</h3>
+                    <p className="text-xs text-slate-500">Types used when exporting to Parquet. Override any column before export.</p>
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setShowSchemaPanel(false)}
+                  className="p-1.5 rounded-md hover:bg-slate-100 text-slate-500 transition-colors"
+                  title="Close"
+                >
+                  <X size={18} />
+                </button>
+              </div>
+
+              <div className="flex-1 overflow-auto px-6">
+                <table className="min-w-full text-sm">
+                  <thead className="sticky top-0 bg-white">
+                    <tr className="text-left text-xs font-medium text-slate-500 uppercase tracking-wider border-b border-slate-200">
+                      <th className="py-2 pr-4">Column</th>
+                      <th className="py-2 pr-4">Type</th>
+                      <th className="py-2 pr-4">Nullable</th>
+                      <th className="py-2 pr-4">Source</th>
+                      <th className="py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {viewColumns.map(col => {
+                      const colSchema = columnSchema[col];
+                      return (
+                        <tr key={col}>
+                          <td className="py-2 pr-4 font-medium text-slate-800 max-w-[200px] truncate" title={col}>{col}</td>
+                          <td className="py-2 pr-4">
+                            <select
+                              aria-label={`Type of ${col}`}
+                              value={colSchema.type}
+                              onChange={(e) => updateSchemaOverride(col, { type: e.target.value })}
+                              className="px-2 py-1 border border-slate-300 rounded-md bg-white text-sm focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer"
+                            >
+                              {COLUMN_TYPES.map(type => (
+                                <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+                              ))}
+                            </select>
+                          </td>
+                          <td className="py-2 pr-4">
+                            <input
+                              type="checkbox"
+                              aria-label={`${col} is nullable`}
+                              checked={colSchema.nullable}
+                              onChange={(e) => updateSchemaOverride(col, { nullable: e.target.checked })}
+                              className="h-4 w-4 accent-indigo-600 cursor-pointer"
+                            />
+                          </td>
+                          <td className="py-2 pr-4">
+                            <span className={`inline-flex px-1.5 py-0.5 rounded text-[11px] font-medium border ${
+                              colSchema.source === 'override'
+                                ? 'bg-indigo-50 text-indigo-700 border-indigo-100'
+                                : colSchema.source === 'file'
+                                  ? 'bg-emerald-50 text-emerald-700 border-emerald-100'
+                                  : 'bg-slate-50 text-slate-600 border-slate-200'}`}
+                            >
+                              {colSchema.source === 'override' ? 'Override' : colSchema.source === 'file' ? 'From file' : 'Inferred'}
+                            </span>
+                          </td>
+                          <td className="py-2 text-right">
+                            {colSchema.source === 'override' && (
+                              <button
+                                type="button"
+                                onClick={() => clearSchemaOverride(col)}
+                                className="p-1 rounded hover:bg-slate-100 text-slate-400 hover:text-indigo-600 transition-colors"
+                                title="Revert to detected type"
+                              >
+                                <RotateCcw size={14} />
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex gap-3 p-6 pt-4">
+                <button 
+                  type="button"
+                  onClick={() => setViewOverrides(() => ({}))}
+                  disabled={Object.keys(viewOverrides).length === 0}
+                  className="flex-1 px-4 py-2 bg-white border border-slate-300 text-slate-700 font-medium rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50"
+                >
+                  Reset All
+                </button>
+                <button 
+                  type="button"
+                  onClick={() => setShowSchemaPanel(false)}
+                  className="flex-1 px-4 py-2 bg-indigo-600 text-white font-medium rounded-lg hover:bg-indigo-700 transition-colors shadow-sm"
+                >
+                  Done
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* MODAL: Rename / Insert / Computed Column */}
+        {columnDialog && (
+          <ColumnDialog
+            mode={columnDialog.mode}
+            initialName={columnDialog.col || columnDialog.defaultName}
+            initialExpression={columnDialog.col ? computedColumns[columnDialog.col] : undefined}
+            takenNames={columns}
+            sourceColumns={columns.filter(c => computedColumns[c] === undefined)}
+            sampleRows={data.slice(0, 5)}
+            onSubmit={submitColumnDialog}
+            onClose={() => setColumnDialog(null)}
+          />
+        )}
+
+        {/* MODAL: Join with another dataset */}
+        {showJoinDialog && (
+          <JoinDialog
+            leftName={fileName}
+            leftColumns={columns}
+            leftRows={derivedData}
+            others={otherTabDatasets}
+            onLoadTab={loadTabDataset}
+            onLoadFile={loadDatasetFile}
+            onApply={applyJoin}
+            onClose={() => setShowJoinDialog(false)}
+          />
+        )}
+
+        {/* MODAL: Find & Replace in the stored columns */}
+        {replaceDialog && (
+          <ReplaceDialog
+            columns={columns.filter(c => computedColumns[c] === undefined)}
+            rows={data}
+            filteredIndexes={replaceDialog.filteredIndexes}
+            onApply={applyReplace}
+            onClose={() => setReplaceDialog(null)}
+          />
+        )}
+
+        {/* MODAL: Chart of the filtered rows */}
+        {showChart && (
+          <ChartView
+            columns={viewColumns}
+            rows={sortedData}
+            schema={columnSchema}
+            fileName={fileName}
+            onClose={() => setShowChart(false)}
+          />
+        )}
+
+        {/* MENU: Column actions (right-click a header) */}
+        {columnMenu && (
+          <>
+            <div className="fixed inset-0 z-40" onClick={() => setColumnMenu(null)} onContextMenu={(e) => { e.preventDefault(); setColumnMenu(null); }}></div>
+            <div
+              className="fixed w-56 bg-white rounded-md shadow-lg py-1 border border-slate-200 z-50 animate-in fade-in zoom-in-95 duration-100"
+              style={{ left: Math.min(columnMenu.x, window.innerWidth - 232), top: Math.min(columnMenu.y, window.innerHeight - 300) }}
+            >
+              <p className="px-4 py-2 text-xs font-bold uppercase tracking-wider text-slate-400 truncate">{columnMenu.col}</p>
+              {[
+                { action: 'rename', label: computedColumns[columnMenu.col] !== undefined ? 'Rename / Edit expression...' : 'Rename...', icon: Pencil },
+                { action: 'insertLeft', label: 'Insert column left', icon: ArrowLeftToLine },
+                { action: 'insertRight', label: 'Insert column right', icon: ArrowRightToLine },
+                { action: 'duplicate', label: 'Duplicate', icon: CopyPlus },
+                { action: 'computed', label: 'Add computed column...', icon: Sigma },
+                { action: 'delete', label: 'Delete column', icon: Trash2, danger: true }
+              ].map(item => (
+                <button
+                  key={item.action}
+                  type="button"
+                  onClick={() => handleColumnMenuAction(item.action)}
+                  className={`w-full text-left px-4 py-2 text-sm flex items-center gap-2 transition-colors ${item.danger ? 'text-red-600 hover:bg-red-50' : 'text-slate-700 hover:bg-slate-50'}`}
+                >
+                  <item.icon size={14} />
+                  {item.label}
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+
         {/* EMPTY STATE / DRAG DROP */}
         {data.length === 0 ? (
           <div 
-            className={`h-full flex flex-col items-center justify-center p-8 transition-colors ${dragActive ? 'bg-indigo-50/50' : ''}`}
+            className={`h-full overflow-auto flex flex-col items-center justify-center-safe p-8 transition-colors ${dragActive ? 'bg-indigo-50/50' : ''}`}
             onDragEnter={handleDrag}
             onDragLeave={handleDrag}
             onDragOver={handleDrag}
             onDrop={handleDrop}
           >
             {loading ? (
-              <div className="flex flex-col items-center animate-pulse">
+              <div className="flex flex-col items-center w-full max-w-md">
                 <div className="h-12 w-12 rounded-full border-4 border-indigo-200 border-t-indigo-600 animate-spin mb-4"></div>
-                <p className="text-lg font-medium text-slate-600">{loadingMsg}</p>
-                <p className="text-sm text-slate-400">Large Parquet files may take a moment</p>
+                <p className="text-lg font-medium text-slate-600 animate-pulse">{loadingMsg}</p>
+                {importProgress ? (
+                  <div className="w-full mt-4 flex flex-col items-center gap-3">
+                    <div className="w-full h-2 bg-indigo-100 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-indigo-600 transition-[width] duration-200"
+                        style={{ width: `${importProgress.totalBytes ? Math.round(importProgress.bytesRead / importProgress.totalBytes * 100) : 0}%` }}
+                      ></div>
+                    </div>
+                    <p className="text-sm text-slate-500 font-mono">
+                      {formatBytes(importProgress.bytesRead)} of {formatBytes(importProgress.totalBytes)} · {importProgress.rowsRead.toLocaleString()} rows
+                    </p>
+                    <button
+                      type="button"
+                      onClick={cancelImport}
+                      className="px-4 py-2 bg-white border border-slate-300 text-slate-700 text-sm font-medium rounded-lg hover:bg-slate-50 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  <p className="text-sm text-slate-400">Large Parquet files may take a moment</p>
+                )}
               </div>
             ) : (
-              <div className="max-w-xl w-full bg-white rounded-2xl shadow-xl border border-slate-100 p-12 text-center">
-                <div className="w-20 h-20 bg-indigo-50 text-indigo-600 rounded-full flex items-center justify-center mx-auto mb-6">
-                  <Upload size={32} strokeWidth={2.5} />
-                </div>
-                <h2 className="text-2xl font-bold text-slate-900 mb-2">Drop your data here</h2>
-                <p className="text-slate-500 mb-8">
-                  Support for <span className="font-mono text-indigo-600 bg-indigo-50 px-1 rounded">.csv</span>, <span className="font-mono text-indigo-600 bg-indigo-50 px-1 rounded">.parquet</span>, and <span className="font-mono text-indigo-600 bg-indigo-50 px-1 rounded">.json</span> files.
-                </p>
-                
-                <div className="relative">
-                  <div className="absolute inset-0 flex items-center">
-                    <div className="w-full border-t border-slate-200"></div>
+              <>
+                <div className="max-w-xl w-full bg-white rounded-2xl shadow-xl border border-slate-100 p-12 text-center">
+                  <div className="w-20 h-20 bg-indigo-50 text-indigo-600 rounded-full flex items-center justify-center mx-auto mb-6">
+                    <Upload size={32} strokeWidth={2.5} />
                   </div>
-                  <div className="relative flex justify-center text-sm">
-                    <span className="px-2 bg-white text-slate-500">Or select a file</span>
+                  <h2 className="text-2xl font-bold text-slate-900 mb-2">Drop your data here</h2>
+                  <p className="text-slate-500 mb-8">
+                    Support for <span className="font-mono text-indigo-600 bg-indigo-50 px-1 rounded">.csv</span>, <span className="font-mono text-indigo-600 bg-indigo-50 px-1 rounded">.parquet</span>, <span className="font-mono text-indigo-600 bg-indigo-50 px-1 rounded">.json</span>, <span className="font-mono text-indigo-600 bg-indigo-50 px-1 rounded">.jsonl</span>, and <span className="font-mono text-indigo-600 bg-indigo-50 px-1 rounded">.xlsx</span> files.
+                    Drop several at once to stack them into one dataset.
+                  </p>
+                
+                  <div className="relative">
+                    <div className="absolute inset-0 flex items-center">
+                      <div className="w-full border-t border-slate-200"></div>
+                    </div>
+                    <div className="relative flex justify-center text-sm">
+                      <span className="px-2 bg-white text-slate-500">Or select files</span>
+                    </div>
                   </div>
-                </div>
 
-                <div className="mt-6 flex flex-col items-center gap-4">
-                  <div>
-                    <input 
-                      type="file" 
-                      id="file-upload" 
-                      className="hidden" 
-                      // accept=".csv,.parquet,.json" // Removed strictly to allow custom extensions
-                      onChange={(e) => e.target.files[0] && handleFileUpload(e.target.files[0])}
-                    />
-                    <label 
-                      htmlFor="file-upload"
-                      className="cursor-pointer inline-flex items-center gap-2 px-6 py-3 bg-slate-900 hover:bg-slate-800 text-white rounded-lg font-semibold transition-transform active:scale-95 shadow-md"
-                    >
-                      Browse Files
+                  <div className="mt-6 flex flex-col items-center gap-4">
+                    <div>
+                      <input 
+                        type="file" 
+                        id="file-upload" 
+                        className="hidden" 
+                        multiple
+                        // accept=".csv,.parquet,.json" // Removed strictly to allow custom extensions
+                        onChange={(e) => e.target.files[0] && handleFilesUpload(e.target.files)}
+                      />
+                      <label 
+                        htmlFor="file-upload"
+                        className="cursor-pointer inline-flex items-center gap-2 px-6 py-3 bg-slate-900 hover:bg-slate-800 text-white rounded-lg font-semibold transition-transform active:scale-95 shadow-md"
+                      >
+                        Browse Files
+                      </label>
+                    </div>
+
+                    {/* Nested Data Option (JSON, JSON Lines and Parquet) */}
+                    <label className="flex items-center gap-2 text-sm text-slate-500">
+                      <Layers size={14} />
+                      Nested fields:
+                      <select
+                        value={nestedMode}
+                        onChange={(e) => setNestedMode(e.target.value)}
+                        className="px-2 py-1 border border-slate-200 rounded-md bg-white text-sm text-slate-700 focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer"
+                      >
+                        {Object.entries(NESTED_MODES).map(([mode, label]) => (
+                          <option key={mode} value={mode}>{label}</option>
+                        ))}
+                      </select>
                     </label>
+
+                    {/* Custom Import Button */}
+                    <button 
+                      type="button"
+                      onClick={() => {
+                          setForceCustomConfig(true);
+                          // Short timeout to let state update before triggering file dialog
+                          setTimeout(() => document.getElementById('file-upload').click(), 50);
+                      }}
+                      className="text-sm text-slate-500 hover:text-indigo-600 flex items-center gap-1 font-medium transition-colors"
+                    >
+                      <Settings size={14} />
+                      Custom Import Options?
+                    </button>
+                    <p className="text-xs text-slate-400 max-w-xs">
+                      Tip: Select any file type. If the extension is unknown, you&apos;ll see options to configure delimiters.
+                    </p>
                   </div>
 
-                  {/* Custom Import Button */}
-                  <button 
-                    type="button"
-                    onClick={() => {
-                        setForceCustomConfig(true);
-                        // Short timeout to let state update before triggering file dialog
-                        setTimeout(() => document.getElementById('file-upload').click(), 50);
-                    }}
-                    className="text-sm text-slate-500 hover:text-indigo-600 flex items-center gap-1 font-medium transition-colors"
-                  >
-                    <Settings size={14} />
-                    Custom Import Options?
-                  </button>
-                  <p className="text-xs text-slate-400 max-w-xs">
-                    Tip: Select any file type. If the extension is unknown, you&apos;ll see options to configure delimiters.
-                  </p>
+                  {error && (
+                    <div className="mt-8 p-4 bg-red-50 text-red-700 rounded-lg flex items-center gap-3 text-left">
+                      <AlertCircle size={20} className="shrink-0" />
+                      <p className="text-sm">{error}</p>
+                    </div>
+                  )}
                 </div>
 
-                {error && (
-                  <div className="mt-8 p-4 bg-red-50 text-red-700 rounded-lg flex items-center gap-3 text-left">
-                    <AlertCircle size={20} className="shrink-0" />
-                    <p className="text-sm">{error}</p>
-                  </div>
-                )}
-              </div>
+                {/* RECENT SESSIONS AND SNAPSHOTS (stored in this browser) */}
+                <SessionList
+                  sessions={savedSessions}
+                  storage={storageInfo}
+                  onOpen={openSavedSession}
+                  onDiscard={discardSession}
+                />
+              </>
             )}
           </div>
         ) : (
           /* DATA GRID VIEW */
-          <div className="h-full flex flex-col">
-            
+          <div
+            className="h-full flex flex-col"
+            onDragEnter={handleGridDrag}
+            onDragLeave={handleGridDrag}
+            onDragOver={handleGridDrag}
+            onDrop={handleGridDrop}
+          >
+
+            {/* DROP OVERLAY: a file dropped on the grid opens in a new tab */}
+            {dragActive && (
+              <div className="absolute inset-0 z-50 bg-indigo-50/80 border-2 border-dashed border-indigo-400 flex items-center justify-center pointer-events-none">
+                <p className="flex items-center gap-2 text-lg font-bold text-indigo-700">
+                  <Upload size={22} />
+                  Drop to open in a new tab
+                </p>
+              </div>
+            )}
+
             {/* OVERLAY LOADING SPINNER (FOR EXPORTS) */}
             {loading && (
               <div className="absolute inset-0 z-50 bg-white/80 backdrop-blur-sm flex items-center justify-center flex-col">
@@ -931,13 +2478,245 @@ export default function DataFloor() {
                    value={searchTerm}
                    onChange={(e) => {
                      setSearchTerm(e.target.value);
-                     setCurrentPage(1);
+                     grid.scrollToRow(0);
                    }}
                    className="w-full pl-10 pr-4 py-2 rounded-md border border-slate-200 focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 text-sm"
                  />
                </div>
 
+               {/* Find & Replace */}
+               <button
+                 type="button"
+                 onClick={() => setReplaceDialog({ filteredIndexes: filteredData.map(indexOfRow).filter(i => i > -1) })}
+                 disabled={gridReadOnly}
+                 className="flex items-center gap-2 px-3 py-2 rounded-md border text-xs font-medium transition-colors bg-white border-slate-200 text-slate-500 hover:bg-slate-50 hover:text-indigo-600 disabled:opacity-50 disabled:pointer-events-none"
+                 title={gridReadOnly ? "Return to the data to replace values" : "Find and replace values across columns"}
+               >
+                 <Replace size={16} />
+                 <span className="hidden sm:inline">Replace</span>
+               </button>
+
+               {/* Column Filter Builder */}
+               <div className="relative mr-auto">
+                 <button
+                   type="button"
+                   onClick={() => setFilterBuilder({ filter: null })}
+                   className={`flex items-center gap-2 px-3 py-2 rounded-md border text-xs font-medium transition-colors
+                     ${filters.length > 0
+                       ? 'bg-indigo-50 border-indigo-200 text-indigo-700 hover:bg-indigo-100'
+                       : 'bg-white border-slate-200 text-slate-500 hover:bg-slate-50 hover:text-indigo-600'}`}
+                   title="Filter by column"
+                 >
+                   <Filter size={16} />
+                   <span className="hidden sm:inline">Filter{filters.length > 0 ? ` (${filters.length})` : ''}</span>
+                 </button>
+                 {filterBuilder && (
+                   <FilterBuilder
+                     key={filterBuilder.filter ? filterBuilder.filter.id : 'new'}
+                     columns={viewColumns}
+                     columnSchema={columnSchema}
+                     data={viewData}
+                     initialFilter={filterBuilder.filter}
+                     onApply={saveFilter}
+                     onClose={() => setFilterBuilder(null)}
+                   />
+                 )}
+               </div>
+
                <div className="flex items-center gap-3">
+                 {/* Add Row */}
+                 <button
+                   type="button"
+                   onClick={addRow}
+                   disabled={gridReadOnly}
+                   className="flex items-center gap-2 px-3 py-2 rounded-md border border-slate-200 bg-white text-xs font-medium text-slate-500 hover:bg-slate-50 hover:text-indigo-600 transition-colors disabled:opacity-40 disabled:hover:bg-white disabled:hover:text-slate-500"
+                   title="Add a row at the end"
+                 >
+                   <Plus size={16} />
+                   <span className="hidden sm:inline">Add Row</span>
+                 </button>
+
+                 {/* Undo / Redo / History */}
+                 <div className="flex items-center rounded-md border border-slate-200 bg-white">
+                   <button
+                     type="button"
+                     onClick={undo}
+                     disabled={history.position === 0}
+                     className="p-1.5 text-slate-500 hover:bg-slate-50 hover:text-indigo-600 disabled:opacity-40 disabled:hover:bg-white disabled:hover:text-slate-500 transition-colors rounded-l-md"
+                     title="Undo (Ctrl+Z)"
+                   >
+                     <Undo2 size={18} />
+                   </button>
+                   <button
+                     type="button"
+                     onClick={redo}
+                     disabled={history.position === history.entries.length}
+                     className="p-1.5 text-slate-500 hover:bg-slate-50 hover:text-indigo-600 disabled:opacity-40 disabled:hover:bg-white disabled:hover:text-slate-500 transition-colors border-l border-slate-200"
+                     title="Redo (Ctrl+Shift+Z)"
+                   >
+                     <Redo2 size={18} />
+                   </button>
+                   <div className="relative border-l border-slate-200">
+                     <button
+                       type="button"
+                       onClick={() => setShowHistoryMenu(!showHistoryMenu)}
+                       disabled={history.entries.length === 0}
+                       className="p-1.5 text-slate-500 hover:bg-slate-50 hover:text-indigo-600 disabled:opacity-40 disabled:hover:bg-white disabled:hover:text-slate-500 transition-colors rounded-r-md"
+                       title="Edit history"
+                     >
+                       <History size={18} />
+                     </button>
+
+                     {showHistoryMenu && (
+                       <>
+                         <div className="fixed inset-0 z-40" onClick={() => setShowHistoryMenu(false)}></div>
+                         <div className="absolute right-0 mt-2 w-80 max-h-96 overflow-auto bg-white rounded-md shadow-lg py-1 border border-slate-200 z-50 animate-in fade-in zoom-in-95 duration-100">
+                           <p className="px-4 py-2 text-xs font-bold uppercase tracking-wider text-slate-400">History</p>
+                           {/* Once edits beyond MAX_HISTORY were dropped, the first state is no longer the import */}
+                           {[{ label: history.dropped > 0 ? 'Oldest kept state' : 'Original data' }, ...history.entries].map((entry, i) => (
+                             <button
+                               key={i}
+                               type="button"
+                               onClick={() => jumpToHistory(i)}
+                               className={`w-full text-left px-4 py-2 text-sm flex items-center gap-2 truncate transition-colors
+                                 ${i === history.position
+                                   ? 'bg-indigo-50 text-indigo-700 font-medium'
+                                   : i > history.position
+                                     ? 'text-slate-400 hover:bg-slate-50'
+                                     : 'text-slate-700 hover:bg-slate-50 hover:text-indigo-600'}`}
+                               title={entry.label}
+                             >
+                               <span className="w-5 shrink-0 text-right font-mono text-[11px] text-slate-400">{i}</span>
+                               <span className="truncate">{entry.label}</span>
+                             </button>
+                           ))}
+                         </div>
+                       </>
+                     )}
+                   </div>
+                 </div>
+
+                 {/* SQL Query Panel Toggle */}
+                 <button 
+                   type="button"
+                   onClick={() => setShowQueryPanel(!showQueryPanel)}
+                   className={`flex items-center gap-2 px-3 py-1.5 rounded-md border text-xs font-medium transition-colors
+                     ${showQueryPanel
+                       ? 'bg-indigo-50 border-indigo-200 text-indigo-700 hover:bg-indigo-100'
+                       : 'bg-white border-slate-200 text-slate-500 hover:bg-slate-50 hover:text-indigo-600'}`}
+                   title="Query the data with SQL"
+                 >
+                   <Code size={18} />
+                   <span className="hidden sm:inline">SQL</span>
+                 </button>
+
+                 {/* Pivot Panel Toggle */}
+                 <button 
+                   type="button"
+                   onClick={() => setShowPivotPanel(!showPivotPanel)}
+                   className={`flex items-center gap-2 px-3 py-1.5 rounded-md border text-xs font-medium transition-colors
+                     ${showPivotPanel
+                       ? 'bg-indigo-50 border-indigo-200 text-indigo-700 hover:bg-indigo-100'
+                       : 'bg-white border-slate-200 text-slate-500 hover:bg-slate-50 hover:text-indigo-600'}`}
+                   title="Summarise the filtered data in a pivot table"
+                 >
+                   <Grid3x3 size={18} />
+                   <span className="hidden sm:inline">Pivot</span>
+                 </button>
+
+                 {/* Profile Panel Toggle */}
+                 <button 
+                   type="button"
+                   onClick={() => setShowProfilePanel(!showProfilePanel)}
+                   className={`flex items-center gap-2 px-3 py-1.5 rounded-md border text-xs font-medium transition-colors
+                     ${showProfilePanel
+                       ? 'bg-indigo-50 border-indigo-200 text-indigo-700 hover:bg-indigo-100'
+                       : 'bg-white border-slate-200 text-slate-500 hover:bg-slate-50 hover:text-indigo-600'}`}
+                   title="Profile every column of the filtered rows"
+                 >
+                   <ScanSearch size={18} />
+                   <span className="hidden sm:inline">Profile</span>
+                 </button>
+
+                 {/* Validation Panel Toggle */}
+                 <button 
+                   type="button"
+                   onClick={() => setShowValidationPanel(!showValidationPanel)}
+                   className={`flex items-center gap-2 px-3 py-1.5 rounded-md border text-xs font-medium transition-colors
+                     ${showValidationPanel
+                       ? 'bg-indigo-50 border-indigo-200 text-indigo-700 hover:bg-indigo-100'
+                       : 'bg-white border-slate-200 text-slate-500 hover:bg-slate-50 hover:text-indigo-600'}`}
+                   title="Check columns against validation rules"
+                 >
+                   <ListChecks size={18} />
+                   <span className="hidden sm:inline">Validate</span>
+                   {validation.rowCount > 0 && (
+                     <span className="px-1.5 rounded-full bg-amber-100 text-amber-700 text-[10px] font-bold">{validation.rowCount.toLocaleString()}</span>
+                   )}
+                 </button>
+
+                 {/* Deduplicate Panel Toggle */}
+                 <button 
+                   type="button"
+                   onClick={() => setShowDedupePanel(!showDedupePanel)}
+                   className={`flex items-center gap-2 px-3 py-1.5 rounded-md border text-xs font-medium transition-colors
+                     ${showDedupePanel
+                       ? 'bg-indigo-50 border-indigo-200 text-indigo-700 hover:bg-indigo-100'
+                       : 'bg-white border-slate-200 text-slate-500 hover:bg-slate-50 hover:text-indigo-600'}`}
+                   title="Find and remove duplicate rows"
+                 >
+                   <CopyMinus size={18} />
+                   <span className="hidden sm:inline">Dedupe</span>
+                 </button>
+
+                 {/* Compare Panel Toggle */}
+                 <button 
+                   type="button"
+                   onClick={() => setShowComparePanel(!showComparePanel)}
+                   className={`flex items-center gap-2 px-3 py-1.5 rounded-md border text-xs font-medium transition-colors
+                     ${showComparePanel
+                       ? 'bg-indigo-50 border-indigo-200 text-indigo-700 hover:bg-indigo-100'
+                       : 'bg-white border-slate-200 text-slate-500 hover:bg-slate-50 hover:text-indigo-600'}`}
+                   title="Compare with another version of the file"
+                 >
+                   <GitCompare size={18} />
+                   <span className="hidden sm:inline">Compare</span>
+                 </button>
+
+                 {/* Chart View */}
+                 <button 
+                   type="button"
+                   onClick={() => setShowChart(true)}
+                   className="flex items-center gap-2 px-3 py-1.5 rounded-md border text-xs font-medium transition-colors bg-white border-slate-200 text-slate-500 hover:bg-slate-50 hover:text-indigo-600"
+                   title="Chart the filtered rows"
+                 >
+                   <ChartColumn size={18} />
+                   <span className="hidden sm:inline">Chart</span>
+                 </button>
+
+                 {/* Join Dialog */}
+                 <button 
+                   type="button"
+                   onClick={() => setShowJoinDialog(true)}
+                   disabled={viewingResult}
+                   className="flex items-center gap-2 px-3 py-1.5 rounded-md border text-xs font-medium transition-colors bg-white border-slate-200 text-slate-500 hover:bg-slate-50 hover:text-indigo-600 disabled:opacity-50 disabled:pointer-events-none"
+                   title={viewingResult ? "Return to the data to join it" : "Join with another dataset by key columns"}
+                 >
+                   <Merge size={18} />
+                   <span className="hidden sm:inline">Join</span>
+                 </button>
+
+                 {/* Schema Panel Toggle */}
+                 <button 
+                   type="button"
+                   onClick={() => setShowSchemaPanel(true)}
+                   className="flex items-center gap-2 px-3 py-1.5 rounded-md border text-xs font-medium transition-colors bg-white border-slate-200 text-slate-500 hover:bg-slate-50 hover:text-indigo-600"
+                   title="View and override column types"
+                 >
+                   <TableProperties size={18} />
+                   <span className="hidden sm:inline">Schema</span>
+                 </button>
+
                  {/* Highlight Empty Cells Toggle */}
                  <button 
                    type="button"
@@ -954,40 +2733,319 @@ export default function DataFloor() {
                </div>
             </div>
 
-            {/* TABLE CONTAINER */}
-            <div className="flex-1 overflow-auto bg-slate-50 relative">
-              <div className="min-w-full inline-block align-middle">
-                <div className="border-b border-slate-200">
-                  <table className="min-w-full divide-y divide-slate-200">
-                    <thead className="bg-slate-50 sticky top-0 z-10 shadow-sm">
-                      <tr>
-                        <th scope="col" className="w-16 px-4 py-3 text-left text-xs font-medium text-slate-400 uppercase tracking-wider bg-slate-50 border-r border-slate-100">
-                          #
-                        </th>
-                        {columns.map((col) => (
-                          <th 
+            {/* FILTER CHIPS */}
+            {filters.length > 0 && (
+              <div className="bg-white border-b border-slate-200 px-4 py-2 flex flex-wrap items-center gap-2">
+                {filters.length > 1 && (
+                  <div className="flex items-center rounded-md border border-slate-200 text-[11px] font-bold uppercase overflow-hidden" role="group" aria-label="Combine filters">
+                    {['and', 'or'].map(mode => (
+                      <button
+                        key={mode}
+                        type="button"
+                        onClick={() => setFilterMode(mode)}
+                        className={`px-2 py-1 transition-colors ${filterMode === mode ? 'bg-indigo-600 text-white' : 'bg-white text-slate-500 hover:bg-slate-50'}`}
+                      >
+                        {mode}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {filters.map(filter => (
+                  <span key={filter.id} className="inline-flex items-center gap-1 pl-2.5 pr-1 py-1 rounded-full bg-indigo-50 border border-indigo-100 text-xs text-indigo-700">
+                    <button
+                      type="button"
+                      onClick={() => setFilterBuilder({ filter })}
+                      className="max-w-[280px] truncate hover:underline"
+                      title="Edit filter"
+                    >
+                      {describeFilter(filter)}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => removeFilter(filter.id)}
+                      className="p-0.5 rounded-full hover:bg-indigo-100"
+                      title="Remove filter"
+                    >
+                      <X size={12} />
+                    </button>
+                  </span>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setFilters([])}
+                  className="text-xs text-slate-500 hover:text-indigo-600 font-medium ml-1"
+                >
+                  Clear all
+                </button>
+                {!viewingResult && !viewingDuplicates && filteredData.length > 0 && (
+                  <button
+                    type="button"
+                    onClick={deleteMatchingRows}
+                    className="flex items-center gap-1 ml-auto text-xs text-red-600 hover:text-red-700 font-medium"
+                    title="Delete every row that matches the current filters and search"
+                  >
+                    <Trash2 size={12} />
+                    Delete {filteredData.length.toLocaleString()} matching row{filteredData.length === 1 ? '' : 's'}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {/* IMPORT WARNINGS */}
+            {importWarnings.length > 0 && (
+              <div className="bg-amber-50 border-b border-amber-100 px-4 py-2 flex items-start gap-3 text-xs text-amber-800">
+                <AlertCircle size={16} className="shrink-0 mt-0.5" />
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium">{importWarnings[0]}</p>
+                  <details className="mt-1">
+                    <summary className="cursor-pointer text-amber-700 hover:text-amber-900">Show details</summary>
+                    <ul className="mt-1 max-h-32 overflow-auto font-mono space-y-0.5">
+                      {importWarnings.slice(1).map((warning, i) => (
+                        <li key={i} className="truncate" title={warning}>{warning}</li>
+                      ))}
+                    </ul>
+                  </details>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setImportWarnings([])}
+                  className="p-0.5 rounded hover:bg-amber-100"
+                  title="Dismiss"
+                >
+                  <X size={14} />
+                </button>
+              </div>
+            )}
+
+            {/* ROW SELECTION ACTIONS */}
+            {selectedRows.size > 0 && !gridReadOnly && (
+              <div className="bg-indigo-50 border-b border-indigo-100 px-4 py-2 flex flex-wrap items-center gap-2 text-xs">
+                <span className="font-medium text-indigo-800 mr-2">
+                  {selectedRows.size.toLocaleString()} row{selectedRows.size === 1 ? '' : 's'} selected
+                </span>
+                {[
+                  { label: 'Insert above', icon: ArrowUpToLine, onClick: () => insertRowAt([...selectedRows].reduce((a, b) => Math.min(a, b))) },
+                  { label: 'Insert below', icon: ArrowDownToLine, onClick: () => insertRowAt([...selectedRows].reduce((a, b) => Math.max(a, b)) + 1) },
+                  { label: 'Duplicate', icon: CopyPlus, onClick: duplicateSelectedRows }
+                ].map(action => (
+                  <button
+                    key={action.label}
+                    type="button"
+                    onClick={action.onClick}
+                    className="flex items-center gap-1 px-2 py-1 rounded-md bg-white border border-indigo-100 text-indigo-700 hover:bg-indigo-100 font-medium transition-colors"
+                  >
+                    <action.icon size={12} />
+                    {action.label}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  onClick={deleteSelectedRows}
+                  className="flex items-center gap-1 px-2 py-1 rounded-md bg-white border border-red-100 text-red-600 hover:bg-red-50 font-medium transition-colors"
+                  title="Delete selected rows (Delete)"
+                >
+                  <Trash2 size={12} />
+                  Delete
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setSelectedRows(new Set())}
+                  className="ml-auto text-slate-500 hover:text-indigo-600 font-medium"
+                >
+                  Clear selection
+                </button>
+              </div>
+            )}
+
+            <div className="flex-1 flex min-h-0">
+              <div className="flex-1 flex flex-col min-w-0">
+                {/* PIVOT BANNER */}
+                {viewingPivot && (
+                  <div className="bg-indigo-50 border-b border-indigo-100 px-4 py-2 flex items-center justify-between gap-4 text-sm text-indigo-800">
+                    <div className="flex items-center gap-2 min-w-0">
+                      <Grid3x3 size={16} className="shrink-0" />
+                      <span className="font-medium shrink-0">Pivot</span>
+                      <span className="text-xs text-indigo-600 truncate">of {pivotSource.length.toLocaleString()} filtered rows · double-click a value to see its rows</span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setShowPivot(false)}
+                      className="shrink-0 text-xs font-medium text-indigo-700 hover:text-indigo-900"
+                    >
+                      Back to data
+                    </button>
+                  </div>
+                )}
+                {!viewingResult && pivotDrill && (
+                  <div className="bg-indigo-50 border-b border-indigo-100 px-4 py-2 flex items-center justify-between gap-4 text-sm text-indigo-800">
+                    <div className="flex items-center gap-2 min-w-0">
+                      <Grid3x3 size={16} className="shrink-0" />
+                      <span className="font-medium shrink-0">Rows behind pivot cell</span>
+                      <span className="text-xs text-indigo-600 truncate">{pivotDrill.label}</span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={backToPivot}
+                      className="shrink-0 text-xs font-medium text-indigo-700 hover:text-indigo-900"
+                    >
+                      Back to pivot
+                    </button>
+                  </div>
+                )}
+
+                {/* DUPLICATE GROUPS BANNER */}
+                {viewingDuplicates && (
+                  <div className="bg-indigo-50 border-b border-indigo-100 px-4 py-2 flex items-center justify-between gap-4 text-sm text-indigo-800">
+                    <div className="flex items-center gap-2 min-w-0">
+                      <CopyMinus size={16} className="shrink-0" />
+                      <span className="font-medium shrink-0">Duplicate groups</span>
+                      <span className="text-xs text-indigo-600 truncate">
+                        {duplicateResult.groups.length.toLocaleString()} groups, {duplicateResult.rows.length.toLocaleString()} rows · compared on {dedupeSpec.keys.length > 0 ? dedupeSpec.keys.join(', ') : 'all columns'} · read-only, remove them from the panel
+                      </span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setShowDuplicates(false)}
+                      className="shrink-0 text-xs font-medium text-indigo-700 hover:text-indigo-900"
+                    >
+                      Back to data
+                    </button>
+                  </div>
+                )}
+
+                {/* INVALID ROWS BANNER */}
+                {!viewingResult && onlyInvalidRows && (
+                  <div className="bg-amber-50 border-b border-amber-100 px-4 py-2 flex items-center justify-between gap-4 text-sm text-amber-800">
+                    <div className="flex items-center gap-2 min-w-0">
+                      <ListChecks size={16} className="shrink-0" />
+                      <span className="font-medium shrink-0">Only invalid rows</span>
+                      <span className="text-xs text-amber-700 truncate">{validation.rowCount.toLocaleString()} rows break a validation rule · hover a highlighted cell for the reason</span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setOnlyInvalidRows(false)}
+                      className="shrink-0 text-xs font-medium text-amber-800 hover:text-amber-900"
+                    >
+                      Show all rows
+                    </button>
+                  </div>
+                )}
+
+                {/* COMPARE BANNER */}
+                {viewingCompare && (
+                  <div className="bg-indigo-50 border-b border-indigo-100 px-4 py-2 flex items-center justify-between gap-4 text-sm text-indigo-800">
+                    <div className="flex items-center gap-2 min-w-0">
+                      <GitCompare size={16} className="shrink-0" />
+                      <span className="font-medium shrink-0">Changes in {compareWith.name}</span>
+                      <span className="text-xs text-indigo-600 truncate">
+                        {compareDiff.counts.added.toLocaleString()} added, {compareDiff.counts.removed.toLocaleString()} removed, {compareDiff.counts.modified.toLocaleString()} modified · hover a changed cell for its old value
+                      </span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setShowCompare(false)}
+                      className="shrink-0 text-xs font-medium text-indigo-700 hover:text-indigo-900"
+                    >
+                      Back to data
+                    </button>
+                  </div>
+                )}
+
+                {/* QUERY RESULT BANNER */}
+                {viewingQuery && (
+                  <div className="bg-indigo-50 border-b border-indigo-100 px-4 py-2 flex items-center justify-between gap-4 text-sm text-indigo-800">
+                    <div className="flex items-center gap-2 min-w-0">
+                      <Code size={16} className="shrink-0" />
+                      <span className="font-medium shrink-0">Query result</span>
+                      <span className="font-mono text-xs text-indigo-600 truncate" title={queryResult.sql}>{queryResult.sql}</span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setShowQueryResult(false)}
+                      className="shrink-0 text-xs font-medium text-indigo-700 hover:text-indigo-900"
+                    >
+                      Back to data
+                    </button>
+                  </div>
+                )}
+
+                {/* VIRTUALIZED GRID */}
+                <div
+                  ref={grid.containerRef}
+                  onScroll={grid.onScroll}
+                  className="flex-1 overflow-auto bg-slate-50 relative"
+                >
+                  <div className="relative" style={{ width: grid.totalWidth, height: grid.totalHeight }}>
+
+                    {/* STICKY HEADER */}
+                    <div className="sticky top-0 z-20 flex bg-slate-50 border-b border-slate-200 shadow-sm" style={{ width: grid.totalWidth, height: HEADER_HEIGHT }}>
+                      <div
+                        className="sticky left-0 z-10 shrink-0 flex items-center px-4 text-left text-xs font-medium text-slate-400 uppercase tracking-wider bg-slate-50 border-r border-slate-200"
+                        style={{ width: GUTTER_WIDTH }}
+                      >
+                        #
+                      </div>
+                      {visibleColumns.map((col, i) => {
+                        const cIdx = grid.startCol + i;
+                        return (
+                          <div 
                             key={col} 
-                            scope="col" 
-                            onClick={() => handleSort(col)}
+                            role="columnheader"
+                            onClick={(e) => handleSort(col, e.shiftKey)}
+                            onContextMenu={(e) => {
+                              if (viewingResult) return;
+                              e.preventDefault();
+                              setColumnMenu({ col, x: e.clientX, y: e.clientY });
+                            }}
+                            draggable={!viewingResult}
+                            onDragStart={(e) => {
+                              e.dataTransfer.effectAllowed = 'move';
+                              setDragColumn(col);
+                            }}
+                            onDragOver={(e) => {
+                              if (dragColumn) e.preventDefault();
+                            }}
+                            onDrop={(e) => {
+                              e.preventDefault();
+                              dropColumn(col);
+                            }}
+                            onDragEnd={() => setDragColumn(null)}
                             onMouseEnter={() => handleMouseEnterColumn(col)}
                             onMouseLeave={handleMouseLeaveColumn}
-                            className="px-6 py-3 text-left text-xs font-bold text-slate-600 uppercase tracking-wider whitespace-nowrap bg-slate-50 border-r border-slate-200/60 cursor-pointer hover:bg-slate-100 transition-colors select-none relative group"
+                            className={`absolute top-0 h-full flex items-center px-6 text-left text-xs font-bold text-slate-600 uppercase tracking-wider whitespace-nowrap bg-slate-50 border-r border-slate-200/60 cursor-pointer hover:bg-slate-100 transition-colors select-none group ${dragColumn === col ? 'opacity-50' : ''}`}
+                            style={{ left: GUTTER_WIDTH + grid.columnLefts[cIdx], width: columnWidths[cIdx] }}
                           >
-                            <div className="flex flex-col gap-1">
-                                <div className="flex items-center gap-2">
-                                  {col}
-                                  {sortConfig.key === col && (
-                                    sortConfig.direction === 'asc' 
-                                      ? <ArrowUp size={14} className="text-indigo-600" />
-                                      : <ArrowDown size={14} className="text-indigo-600" />
+                            <div className="flex flex-col gap-1 min-w-0">
+                                <div className="flex items-center gap-2 min-w-0">
+                                  {!viewingResult && computedColumns[col] !== undefined && (
+                                    <Sigma size={12} className={`shrink-0 ${compiledComputed[col] && compiledComputed[col].error ? 'text-red-500' : 'text-indigo-500'}`} />
+                                  )}
+                                  <span className="truncate" title={!viewingResult && computedColumns[col] !== undefined ? `${col} = ${computedColumns[col]}` : col}>{col}</span>
+                                  {sortKeys.map((sortKey, sortIndex) => sortKey.key === col && (
+                                    <span key={sortKey.key} className="flex items-center shrink-0 text-indigo-600">
+                                      {sortKey.direction === 'asc' ? <ArrowUp size={14} /> : <ArrowDown size={14} />}
+                                      {sortKeys.length > 1 && <span className="text-[10px] font-mono">{sortIndex + 1}</span>}
+                                    </span>
+                                  ))}
+                                </div>
+                                <div className="flex items-center gap-1">
+                                  {/* Conditional rendering of empty stats based on toggle */}
+                                  {showEmptyStats && (
+                                    <span className={`inline-flex items-center self-start px-1.5 py-0.5 rounded text-[11px] font-medium bg-red-50 text-red-700 border border-red-100 transition-opacity ${emptyCellCounts[col] > 0 ? 'opacity-100' : 'opacity-0'}`}>
+                                        {emptyCellCounts[col] > 0 ? emptyCellCounts[col] : 0} empty
+                                    </span>
+                                  )}
+                                  {!viewingResult && validation.counts[col] > 0 && (
+                                    <span className="inline-flex items-center self-start px-1.5 py-0.5 rounded text-[11px] font-medium bg-amber-50 text-amber-700 border border-amber-100">
+                                        {validation.counts[col]} invalid
+                                    </span>
+                                  )}
+                                  {viewingCompare && compareDiff.columnCounts[col] > 0 && (
+                                    <span className="inline-flex items-center self-start px-1.5 py-0.5 rounded text-[11px] font-medium bg-amber-50 text-amber-700 border border-amber-100">
+                                        {compareDiff.columnCounts[col]} changed
+                                    </span>
                                   )}
                                 </div>
-                                {/* Conditional rendering of empty stats based on toggle */}
-                                {showEmptyStats && (
-                                  <span className={`inline-flex items-center self-start px-1.5 py-0.5 rounded text-[11px] font-medium bg-red-50 text-red-700 border border-red-100 transition-opacity ${emptyCellCounts[col] > 0 ? 'opacity-100' : 'opacity-0'}`}>
-                                      {emptyCellCounts[col] > 0 ? emptyCellCounts[col] : 0} empty
-                                  </span>
-                                )}
                             </div>
 
                             {/* STATS TOOLTIP */}
@@ -1000,7 +3058,7 @@ export default function DataFloor() {
                                                 {activeColumnStats.type} Stats
                                             </h4>
                                         </div>
-                                        
+                                    
                                         {/* COPY BUTTON */}
                                         <button
                                             type="button"
@@ -1016,15 +3074,24 @@ export default function DataFloor() {
                                             <span>Count ({activeColumnStats.type}):</span> 
                                             <span className="font-mono font-medium">{activeColumnStats.count}</span>
                                         </div>
-                                        <div className="flex justify-between gap-4">
-                                            <span>Mean:</span> 
-                                            <span className="font-mono font-medium">{activeColumnStats.mean}</span>
-                                        </div>
-                                        <div className="flex justify-between gap-4">
-                                            <span>Median:</span> 
-                                            <span className="font-mono font-medium">{activeColumnStats.median}</span>
-                                        </div>
-                                        {activeColumnStats.type === 'Date' ? (
+                                        {activeColumnStats.type === 'Text' ? (
+                                            <div className="flex justify-between gap-4">
+                                                <span>Distinct:</span> 
+                                                <span className="font-mono font-medium">{activeColumnStats.distinct.toLocaleString()}</span>
+                                            </div>
+                                        ) : (
+                                            <>
+                                                <div className="flex justify-between gap-4">
+                                                    <span>Mean:</span> 
+                                                    <span className="font-mono font-medium">{activeColumnStats.mean}</span>
+                                                </div>
+                                                <div className="flex justify-between gap-4">
+                                                    <span>Median:</span> 
+                                                    <span className="font-mono font-medium">{activeColumnStats.median}</span>
+                                                </div>
+                                            </>
+                                        )}
+                                        {activeColumnStats.type === 'Text' ? null : activeColumnStats.type === 'Date' ? (
                                             <>
                                                 <div className="flex justify-between gap-4">
                                                     <span>Oldest:</span> 
@@ -1042,161 +3109,247 @@ export default function DataFloor() {
                                             </div>
                                         )}
                                     </div>
+                                    <StatsChart
+                                        bins={activeColumnStats.bins}
+                                        top={activeColumnStats.top}
+                                        formatValue={activeColumnStats.type === 'Date'
+                                            ? (v) => new Date(v).toLocaleDateString()
+                                            : (v) => v.toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                                    />
                                 </div>
                             )}
-                          </th>
-                        ))}
-                      </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-slate-100">
-                      {currentRows.map((row, rIdx) => {
-                        // Calculate the absolute index in the sorted array to update state correctly
-                        const globalIndex = (currentPage - 1) * rowsPerPage + rIdx;
-                        return (
-                          <tr key={rIdx} className="hover:bg-slate-50 group transition-colors">
-                            <td className="px-4 py-3 whitespace-nowrap text-xs text-slate-400 font-mono bg-slate-50/50 border-r border-slate-100">
-                              {globalIndex + 1}
-                            </td>
-                            {columns.map((col, cIdx) => {
-                              const cellValue = row[col];
-                              // Only calculate empty status if toggle is ON
-                              const isEmpty = showEmptyStats && (cellValue === null || cellValue === undefined || cellValue === '');
-
-                              return (
-                                <td 
-                                  key={`${rIdx}-${cIdx}`} 
-                                  className="px-0 py-0 whitespace-nowrap border-r border-slate-100 min-w-[150px] relative"
-                                >
-                                  <input
-                                    type="text"
-                                    className={`w-full h-full px-6 py-3 text-sm text-slate-700 outline-none truncate transition-colors
-                                      ${isEmpty ? 'bg-red-100/50' : 'bg-transparent'} 
-                                      focus:bg-white focus:ring-2 focus:ring-inset focus:ring-indigo-500`}
-                                    value={cellValue || ''}
-                                    // Updating logic needs to find original index in 'data' array
-                                    // For simplicity in this demo, we update filtered/sorted view,
-                                    // but a real app would need a stable ID to map back to 'data'.
-                                    // Here we search 'data' for the object reference.
-                                    onChange={(e) => {
-                                        const newValue = e.target.value;
-                                        const rowIndexInData = data.indexOf(row);
-                                        if (rowIndexInData > -1) {
-                                            const newData = [...data];
-                                            newData[rowIndexInData] = { ...newData[rowIndexInData], [col]: newValue };
-                                            setData(newData);
-                                        }
-                                    }}
-                                  />
-                                </td>
-                              );
-                            })}
-                          </tr>
+                          </div>
                         );
                       })}
-                      {currentRows.length === 0 && (
-                        <tr>
-                          <td colSpan={columns.length + 1} className="px-6 py-12 text-center text-slate-400">
-                             No matching records found.
-                          </td>
-                        </tr>
-                      )}
-                    </tbody>
-                  </table>
-                </div>
-              </div>
-            </div>
-
-            {/* PAGINATION */}
-            <div className="bg-white border-t border-slate-200 p-3 flex flex-col sm:flex-row items-center justify-between shadow-lg z-10 gap-4 sm:gap-0">
-               {/* Left side: Rows per page + Info */}
-               <div className="flex items-center gap-4">
-                  <div className="flex items-center gap-2 text-sm text-slate-600">
-                      <span className="hidden xs:inline">Rows:</span>
-                      <select
-                          aria-label="Rows per page"
-                          value={rowsPerPage}
-                          onChange={(e) => {
-                              setRowsPerPage(Number(e.target.value));
-                              setCurrentPage(1);
-                          }}
-                          className="border border-slate-300 rounded px-2 py-1 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500 cursor-pointer"
-                      >
-                          {[50, 100, 250, 500, 1000].map(val => (
-                              <option key={val} value={val}>{val}</option>
-                          ))}
-                      </select>
-                  </div>
-                  <div className="text-sm text-slate-500 hidden sm:block">
-                      <span className="font-medium text-slate-900">{((currentPage - 1) * rowsPerPage) + 1}</span> - <span className="font-medium text-slate-900">{Math.min(currentPage * rowsPerPage, filteredData.length)}</span> of <span className="font-medium text-slate-900">{filteredData.length}</span>
+                    </div>
+
+                    {/* ROWS (only the visible window is rendered) */}
+                    {Array.from({ length: grid.endRow - grid.startRow }, (_, k) => {
+                      const rIdx = grid.startRow + k;
+                      const row = sortedData[rIdx];
+                      const dataIndex = viewingResult ? -1 : indexOfRow(row);
+                      const isSelected = selectedRows.has(dataIndex);
+                      // Duplicate groups are told apart by alternating shades
+                      const duplicateGroup = viewingDuplicates ? duplicateResult.groupOf.get(row) : undefined;
+                      return (
+                        <div
+                          key={rIdx}
+                          className={`absolute left-0 flex border-b border-slate-100 group transition-colors ${isSelected ? 'bg-indigo-50' : duplicateGroup % 2 === 1 ? 'bg-slate-100 hover:bg-slate-200/70' : 'bg-white hover:bg-slate-50'}`}
+                          style={{ top: grid.rowTop(rIdx), width: grid.totalWidth, height: ROW_HEIGHT }}
+                        >
+                          <div
+                            role="rowheader"
+                            onClick={(e) => !gridReadOnly && selectRow(rIdx, e)}
+                            className={`sticky left-0 z-10 shrink-0 flex items-center px-4 whitespace-nowrap text-xs font-mono border-r border-slate-100 select-none
+                              ${isSelected ? 'bg-indigo-100 text-indigo-700' : 'bg-slate-50 text-slate-400'}
+                              ${gridReadOnly ? '' : 'cursor-pointer hover:bg-indigo-50 hover:text-indigo-600'}`}
+                            style={{ width: GUTTER_WIDTH }}
+                            title={duplicateGroup !== undefined ? `Duplicate group ${duplicateGroup + 1}` : viewingResult ? undefined : 'Click to select, Shift+click for a range, Ctrl+click to toggle'}
+                          >
+                            {rIdx + 1}
+                          </div>
+                          {visibleColumns.map((col, i) => {
+                            const cIdx = grid.startCol + i;
+                            const cellValue = row[col];
+                            // Only calculate empty status if toggle is ON
+                            const isEmpty = showEmptyStats && (cellValue === null || cellValue === undefined || cellValue === '');
+                            const isComputed = !viewingResult && computedColumns[col] !== undefined;
+                            const invalidCells = viewingResult ? null : validation.cells.get(row);
+                            const invalidReason = invalidCells ? invalidCells[col] : null;
+                            // In the compare view changed cells keep their old value in the title; added and removed rows are tinted
+                            const diffEntry = viewingCompare ? compareView.cells.get(row) : null;
+                            const changedCell = Boolean(diffEntry && diffEntry.changed.includes(col));
+                            const diffTint = !diffEntry ? null
+                              : changedCell ? 'bg-amber-100/70'
+                              : diffEntry.change === 'added' ? 'bg-emerald-50'
+                              : diffEntry.change === 'removed' ? 'bg-red-50'
+                              : null;
+
+                            return (
+                              <div 
+                                key={col} 
+                                className="absolute top-0 h-full border-r border-slate-100"
+                                style={{ left: GUTTER_WIDTH + grid.columnLefts[cIdx], width: columnWidths[cIdx] }}
+                              >
+                                <input
+                                  type="text"
+                                  data-grid-cell
+                                  aria-label={`${col}, row ${rIdx + 1}`}
+                                  className={`w-full h-full px-6 text-sm text-slate-700 outline-none truncate transition-colors
+                                    ${diffTint || (invalidReason ? 'bg-amber-100/60' : isEmpty ? 'bg-red-100/50' : isComputed ? 'bg-indigo-50/40' : 'bg-transparent')} 
+                                    focus:bg-white focus:ring-2 focus:ring-inset focus:ring-indigo-500`}
+                                  title={changedCell ? `Was: ${diffEntry.before[col] === null || diffEntry.before[col] === undefined ? '' : diffEntry.before[col]}` : invalidReason || undefined}
+                                  value={cellValue === null || cellValue === undefined ? '' : String(cellValue)}
+                                  readOnly={gridReadOnly || isComputed}
+                                  onChange={(e) => updateCell(dataIndex, col, e.target.value)}
+                                  onDoubleClick={viewingPivot ? () => drillIntoPivot(row, col) : undefined}
+                                />
+                              </div>
+                            );
+                          })}
+                        </div>
+                      );
+                    })}
+                    {sortedData.length === 0 && (
+                      <div className="absolute left-0 w-full px-6 py-12 text-center text-slate-400" style={{ top: HEADER_HEIGHT }}>
+                         No matching records found.
+                      </div>
+                    )}
                   </div>
-               </div>
+                </div>
 
-               {/* Right side: Navigation */}
-               <div className="flex items-center gap-1 sm:gap-2">
-                 <button 
-                   type="button"
-                   onClick={() => setCurrentPage(1)} 
-                   disabled={currentPage === 1}
-                   className="p-1.5 rounded-md hover:bg-slate-100 disabled:opacity-50 disabled:cursor-not-allowed text-slate-600 transition-colors"
-                   title="First Page"
-                 >
-                   <ChevronsLeft size={18} />
-                 </button>
-                 <button 
-                   type="button"
-                   onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
-                   disabled={currentPage === 1}
-                   className="p-1.5 rounded-md hover:bg-slate-100 disabled:opacity-50 disabled:cursor-not-allowed text-slate-600 transition-colors"
-                   title="Previous Page"
-                 >
-                   <ChevronLeft size={18} />
-                 </button>
+                {/* STATUS BAR */}
+                <div className="bg-white border-t border-slate-200 p-3 flex flex-col sm:flex-row items-center justify-between shadow-lg z-10 gap-4 sm:gap-0">
+                   <div className="text-sm text-slate-500">
+                      {sortedData.length > 0 ? (
+                        <>
+                          <span className="font-medium text-slate-900">{(grid.firstVisibleRow + 1).toLocaleString()}</span> - <span className="font-medium text-slate-900">{grid.lastVisibleRow.toLocaleString()}</span> of <span className="font-medium text-slate-900">{sortedData.length.toLocaleString()}</span>
+                        </>
+                      ) : (
+                        <span>0 rows</span>
+                      )}
+                      {sortedData.length !== viewData.length && (
+                        <span className="text-slate-400"> (filtered from {viewData.length.toLocaleString()})</span>
+                      )}
+                   </div>
 
-                 <span className="flex items-center gap-2 text-sm text-slate-600 mx-2">
-                    <span className="hidden xs:inline">Page</span>
-                    <input
-                        aria-label="Page number"
-                        type="number"
-                        min="1"
-                        max={totalPages}
-                        value={currentPage}
-                        onChange={(e) => {
-                            const val = e.target.value;
-                            // Allow user to clear input while typing
-                            if (val === '') return; 
-                            const num = Number(val);
-                            if (!isNaN(num) && num >= 1 && num <= totalPages) {
-                                setCurrentPage(num);
-                            }
-                        }}
-                        // Use onBlur to handle empty state reset if needed, or keeping last valid
-                        onBlur={(e) => {
-                            if (e.target.value === '') setCurrentPage(1);
-                        }}
-                        className="w-12 sm:w-16 border border-slate-300 rounded px-1 py-1 text-center text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
-                    />
-                    <span>of {totalPages}</span>
-                 </span>
+                   <div className="flex items-center gap-4">
+                     <label className="flex items-center gap-2 text-sm text-slate-600" title="Where empty values appear when sorting">
+                        <span>Empty values</span>
+                        <select
+                            aria-label="Empty values sort position"
+                            value={nullsPosition}
+                            onChange={(e) => setNullsPosition(e.target.value)}
+                            className="border border-slate-300 rounded px-2 py-1 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500 cursor-pointer"
+                        >
+                            <option value="first">First</option>
+                            <option value="last">Last</option>
+                        </select>
+                     </label>
+
+                     <label className="flex items-center gap-2 text-sm text-slate-600">
+                        <span>Go to row</span>
+                        <input
+                            aria-label="Go to row"
+                            type="number"
+                            min="1"
+                            max={sortedData.length}
+                            placeholder="#"
+                            onKeyDown={(e) => {
+                                if (e.key !== 'Enter') return;
+                                const num = Number(e.currentTarget.value);
+                                if (!isNaN(num) && num >= 1 && num <= sortedData.length) {
+                                    grid.scrollToRow(num - 1);
+                                }
+                            }}
+                            className="w-24 border border-slate-300 rounded px-2 py-1 text-center text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        />
+                     </label>
+                   </div>
+                </div>
+              </div>
 
-                 <button 
-                   type="button"
-                   onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
-                   disabled={currentPage === totalPages || totalPages === 0}
-                   className="p-1.5 rounded-md hover:bg-slate-100 disabled:opacity-50 disabled:cursor-not-allowed text-slate-600 transition-colors"
-                   title="Next Page"
-                 >
-                   <ChevronRight size={18} />
-                 </button>
-                 <button 
-                   type="button"
-                   onClick={() => setCurrentPage(totalPages)}
-                   disabled={currentPage === totalPages || totalPages === 0}
-                   className="p-1.5 rounded-md hover:bg-slate-100 disabled:opacity-50 disabled:cursor-not-allowed text-slate-600 transition-colors"
-                   title="Last Page"
-                 >
-                   <ChevronsRight size={18} />
-                 </button>
-               </div>
+              {showProfilePanel && (
+                <ProfilePanel
+                  columns={viewColumns}
+                  rows={filteredData}
+                  schema={columnSchema}
+                  fileName={fileName}
+                  onClose={() => setShowProfilePanel(false)}
+                />
+              )}
+
+              {showComparePanel && (
+                <ComparePanel
+                  base={compareBase}
+                  other={compareWith}
+                  others={otherTabDatasets}
+                  spec={compareSpec}
+                  diff={compareDiff}
+                  showingDiff={viewingCompare}
+                  onLoadTab={loadTabDataset}
+                  onLoadFile={loadDatasetFile}
+                  onChooseOther={(dataset) => {
+                    setCompareWith(dataset);
+                    setCompareSpec(prev => ({ ...prev, keys: [] }));
+                  }}
+                  onChange={setCompareSpec}
+                  onToggleDiff={() => {
+                    setShowCompare(!viewingCompare);
+                    setShowPivot(false);
+                    setShowQueryResult(false);
+                  }}
+                  onClose={() => setShowComparePanel(false)}
+                />
+              )}
+
+              {showDedupePanel && (
+                <DedupePanel
+                  columns={columns}
+                  spec={dedupeSpec}
+                  result={duplicateResult}
+                  showingGroups={viewingDuplicates}
+                  onChange={setDedupeSpec}
+                  onToggleGroups={() => {
+                    setShowDuplicates(!viewingDuplicates);
+                    setShowPivot(false);
+                    setShowQueryResult(false);
+                    setSelectedRows(new Set());
+                  }}
+                  onRemove={removeDuplicates}
+                  onClose={() => setShowDedupePanel(false)}
+                />
+              )}
+
+              {showValidationPanel && (
+                <ValidationPanel
+                  columns={columns}
+                  rules={validationRules}
+                  result={validation}
+                  onlyInvalid={onlyInvalidRows}
+                  fileName={fileName}
+                  onChange={setValidationRules}
+                  onToggleOnlyInvalid={() => setOnlyInvalidRows(!onlyInvalidRows)}
+                  onClose={() => setShowValidationPanel(false)}
+                />
+              )}
+
+              {showPivotPanel && (
+                <PivotPanel
+                  columns={columns}
+                  spec={pivotSpec}
+                  sourceCount={pivotSource.length}
+                  result={pivotResult}
+                  showingPivot={viewingPivot}
+                  onChange={(spec) => {
+                    setPivotSpec(spec);
+                    if (!viewingPivot) backToPivot();
+                  }}
+                  onTogglePivot={togglePivot}
+                  onClose={() => setShowPivotPanel(false)}
+                />
+              )}
+
+              {showQueryPanel && (
+                <QueryPanel
+                  tables={[
+                    { name: 'data', fileName, rowCount: data.length, columns, removable: false },
+                    ...queryTables.map(t => ({ name: t.name, fileName: t.fileName, rowCount: t.rows.length, columns: t.columns, removable: true }))
+                  ]}
+                  result={queryResult}
+                  showingResult={viewingQuery}
+                  running={queryRunning}
+                  error={queryError}
+                  onRun={executeQuery}
+                  onAddTable={addQueryTable}
+                  onRemoveTable={(name) => setQueryTables(prev => prev.filter(t => t.name !== name))}
+                  onToggleResult={() => {
+                    setShowQueryResult(!viewingQuery);
+                    setShowPivot(false);
+                  }}
+                  onClose={() => setShowQueryPanel(false)}
+                />
+              )}
             </div>
           </div>
         )}
@@ -1207,9 +3360,9 @@ export default function DataFloor() {
          <footer className="bg-slate-50 py-6 text-center text-slate-400 text-sm">
            <div className="flex items-center justify-center gap-2 mb-1">
              <Info size={14} />
-             <span>Data stays in your browser. No server uploads.</span>
+             <span>Data stays in your browser. No server uploads. Works offline.</span>
            </div>
-           Powered by PapaParse & HyParquet
+           Powered by PapaParse, HyParquet, Apache Arrow, parquet-wasm & ExcelJS
          </footer>
       )}
     </div>
@@ -1,7 +1,14 @@
 import type { NextConfig } from "next";
 
 const nextConfig: NextConfig = {
-  /* config options here */
+  turbopack: {
+    resolveAlias: {
+      // AlaSQL's default entry pulls in Node/React Native file APIs; the app only runs it in the browser
+      alasql: "./node_modules/alasql/dist/alasql.min.js",
+      // Same for ExcelJS, whose Node entry brings in fs and stream helpers
+      exceljs: "./node_modules/exceljs/dist/exceljs.min.js",
+    },
+  },
 };
 
 export default nextConfig;
@@ -0,0 +1,63 @@
+// -- OFFLINE SERVICE WORKER --
+// Serves Data Floor from the cache when there is no network. Build assets under /_next/static
+// have content-hashed names, so they are served cache-first; the page and everything else go
+// to the network first and fall back to the cache.
+
+const CACHE = 'datafloor-v1';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.add('/'))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page sends the URLs it loaded before this worker took control of it
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'cache') return;
+  event.waitUntil(
+    caches.open(CACHE).then(cache => Promise.all(
+      event.data.urls.map(url => cache.add(url).catch(() => null))
+    ))
+  );
+});
+
+const fromNetwork = async (request) => {
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+const fromCache = async (request) => {
+  const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (cached) return cached;
+  if (request.mode === 'navigate') {
+    const page = await caches.match('/');
+    if (page) return page;
+  }
+  return Response.error();
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/_next/static/')) {
+    event.respondWith(caches.match(request).then(cached => cached || fromNetwork(request)));
+    return;
+  }
+  event.respondWith(fromNetwork(request).catch(() => fromCache(request)));
+});